@@ -1,36 +1,198 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander'
+import { appendFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
 import { z } from 'zod'
 import pkg from '../package.json' with { type: 'json' }
-import { executePrompt } from '../src/index.js'
-import { hasFlag } from '../src/utils/argv.js'
-import { hasStdinData, readStdin } from '../src/utils/input.js'
-import { loadPreset } from '../src/utils/preset.js'
-import { buildPrompt } from '../src/utils/prompt.js'
-import { findUndefinedVariables, promptForVariable, replaceVariables } from '../src/utils/variables.js'
-
-const DEFAULT_MODEL = 'openai/gpt-5.6-luna'
-const DEFAULT_CRAWLER = 'fetch'
-
-const modelFlag = ['-m, --model <model>', 'AI model to use', process.env.HEYI_MODEL ?? DEFAULT_MODEL]
-const formatFlag = ['-f, --format <format>', 'Output format: string, number, object, array', 'string']
+import { createHeyi, mergeOptions } from '../src/heyi.js'
+import { findArgument, getFlagValue, hasFlag } from '../src/utils/argv.js'
+import { executeBatch, readRows, rowToVariables } from '../src/utils/batch.js'
+import { cacheDirectory, cacheNamespaces, clearCache, getCacheStats, parseDuration } from '../src/utils/cache.js'
+import { startChat } from '../src/utils/chat.js'
+import {
+  defaultSettings,
+  findProjectConfigPath,
+  listConfigValues,
+  loadSettings,
+  resolveSettings,
+  setConfigValue,
+  settingKeys,
+  userConfigPath,
+} from '../src/utils/config.js'
+import { parseSize } from '../src/utils/files.js'
+import { askConfirmation, hasStdinData, readFileContent, readStdin } from '../src/utils/input.js'
+import { formatResult, writeStream } from '../src/utils/output.js'
+import { parameterKeys, parametersSchema, providerOptionsSchema, reasoningEfforts } from '../src/utils/parameters.js'
+import { getPresetTexts, getStepVariableNames, listPresets, loadPreset } from '../src/utils/preset.js'
+import { createRecorder, getRecordingsPath } from '../src/utils/recording.js'
+import { loadSession } from '../src/utils/session.js'
+import { includePartials } from '../src/utils/template.js'
+import { findTestFiles, runTestFile } from '../src/utils/testing.js'
+import { defaultToolNames, toolNames } from '../src/utils/tools.js'
+import { appendUsageLog, formatUsage, sumUsage } from '../src/utils/usage.js'
+import {
+  extractVariables,
+  formatVariablesHelp,
+  loadVariables,
+  promptForMissingVariable,
+  resolveVariableValues,
+} from '../src/utils/variables.js'
+
+// Variables of the .env file of the current directory, e.g. HEYI_API_KEY, are set before the config is loaded
+try {
+  process.loadEnvFile(path.resolve(process.cwd(), '.env'))
+} catch (error) {
+  if (error.code !== 'ENOENT') throw error
+}
+
+// Config files, profiles and environment variables set the defaults of the flags
+let defaults = defaultSettings
+try {
+  defaults = await loadSettings(getFlagValue(['--profile']))
+} catch (error) {
+  // The config command reports the error itself, so invalid config files can still be fixed with it
+  if (process.argv[2] !== 'config') {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const modelFlag = ['-m, --model <model>', 'AI model to use', defaults.model]
+const fallbackModelFlag = [
+  '--fallback-model <model>',
+  'AI model to use when the model fails, tried in order (can be used multiple times)',
+  (value, previous) => {
+    return previous ? [...previous, value] : [value]
+  },
+]
+const retriesFlag = [
+  '--retries <number>',
+  'Maximum number of retries of failed requests and responses that do not match the format',
+  defaults.retries,
+]
+const timeoutFlag = ['--timeout <duration>', 'Maximum duration of each request, e.g. 30s, 2m', defaults.timeout]
+const temperatureFlag = ['--temperature <number>', 'Randomness of the response between 0 and 2', defaults.temperature]
+const maxTokensFlag = ['--max-tokens <number>', 'Maximum number of tokens of the response', defaults.maxTokens]
+const topPFlag = [
+  '--top-p <number>',
+  'Only sample from the most likely tokens with this probability mass between 0 and 1',
+  defaults.topP,
+]
+const seedFlag = ['--seed <number>', 'Seed for deterministic responses, if supported by the model', defaults.seed]
+const stopFlag = [
+  '--stop <sequence>',
+  'Stop the response when the sequence is generated (can be used multiple times)',
+  (value, previous) => {
+    return previous ? [...previous, value] : [value]
+  },
+]
+const reasoningEffortFlag = [
+  '--reasoning-effort <effort>',
+  `How much the model reasons before answering: ${reasoningEfforts.join(', ')}`,
+  defaults.reasoningEffort,
+]
+const providerOptionsFlag = [
+  '--provider-options <json>',
+  'Options of the providers as JSON with the name of the provider as key, e.g. {"openrouter":{"provider":{"sort":"price"}}}',
+  (value) => {
+    try {
+      return JSON.parse(value)
+    } catch (error) {
+      throw new Error(`Invalid --provider-options: '${value}'. Expected JSON`, { cause: error })
+    }
+  },
+]
+const providerFlag = ['-p, --provider <provider>', 'Provider to use: openrouter, openai-compatible', defaults.provider]
+const baseUrlFlag = [
+  '--base-url <url>',
+  'Base URL of the provider API (required for openai-compatible provider)',
+  defaults.baseUrl,
+]
+const formatFlag = [
+  '-f, --format <format>',
+  'Output format: string, number, boolean, enum, object, array',
+  defaults.format,
+]
+const choicesFlag = [
+  '--choices <choices>',
+  'Comma-separated allowed values for enum format, e.g. positive,negative,neutral',
+  (value, previous) => {
+    const choices = value
+      .split(',')
+      .map((choice) => choice.trim())
+      .filter(Boolean)
+
+    return previous ? [...previous, ...choices] : choices
+  },
+]
+const outputFormatFlag = [
+  '--output-format <format>',
+  'Render the result as json, yaml, csv or table',
+  defaults.outputFormat,
+]
 const schemaFlag = [
   '-s, --schema <schema>',
-  'Zod schema for object/array format (required when format is object or array)',
+  'Zod schema or JSON Schema for object/array format (required when format is object or array)',
+]
+const schemaFileFlag = ['--schema-file <path>', 'Read JSON Schema for object/array format from file']
+const crawlerFlag = ['-c, --crawler <crawler>', 'Crawler to use for fetching URLs: fetch, chrome', defaults.crawler]
+const cacheFlag = ['--cache', 'Reuse cached responses of identical requests']
+const noCacheFlag = ['--no-cache', "Don't reuse cached responses, even when enabled in preset"]
+const cacheTtlFlag = ['--cache-ttl <duration>', 'Maximum age of cached responses, e.g. 30m, 12h, 7d', defaults.cacheTtl]
+const urlCacheTtlFlag = [
+  '--url-cache-ttl <duration>',
+  'Cache fetched URL contents for the duration, e.g. 30m, 12h, 7d',
+  defaults.urlCacheTtl,
 ]
-const crawlerFlag = [
-  '-c, --crawler <crawler>',
-  'Crawler to use for fetching URLs: fetch, chrome',
-  process.env.HEYI_CRAWLER ?? DEFAULT_CRAWLER,
+const extractFlag = [
+  '-e, --extract <extract>',
+  'Content to extract from fetched HTML: main, markdown, text or a CSS selector',
+  defaults.extract,
 ]
+const streamFlag = ['--stream', 'Print the response while it is generated (string and array format)']
 const fileFlag = [
   '--file <path>',
-  'Read content from file and include as context (can be used multiple times)',
+  'Read content from file, directory or glob pattern and include as context (can be used multiple times)',
   (value, previous) => {
     return previous ? [...previous, value] : [value]
   },
 ]
+const excludeFlag = [
+  '--exclude <pattern>',
+  'Skip files in directories and glob patterns matching the .gitignore pattern (can be used multiple times)',
+  (value, previous) => {
+    return previous ? [...previous, value] : [value]
+  },
+]
+const maxFileSizeFlag = [
+  '--max-file-size <size>',
+  'Skip files larger than the size, e.g. 500kb, 2mb',
+  defaults.maxFileSize,
+]
+const maxTotalSizeFlag = [
+  '--max-total-size <size>',
+  'Skip files once all files together are larger than the size, e.g. 10mb',
+  defaults.maxTotalSize,
+]
+const maxContextTokensFlag = [
+  '--max-context-tokens <number>',
+  'Maximum number of estimated tokens of the context',
+  defaults.maxContextTokens,
+]
+const contextStrategyFlag = [
+  '--context-strategy <strategy>',
+  'What to do when the context exceeds --max-context-tokens: fail, truncate, map-reduce',
+  defaults.contextStrategy,
+]
+const contextPlacementFlag = [
+  '--context-placement <placement>',
+  'Where to place the context of files and URLs: inline (appended to the prompt), system, message',
+  defaults.contextPlacement,
+]
+const systemFlag = ['--system <text>', 'System message that sets the behavior of the model']
+const systemFileFlag = ['--system-file <path>', 'Read the system message from a file']
 const urlFlag = [
   '--url <url>',
   'Fetch content from URL and include as context (can be used multiple times)',
@@ -40,7 +202,7 @@ const urlFlag = [
 ]
 const varFlag = [
   '--var <variable=value>',
-  'Define variables for replacement in prompt using {{variable}} syntax (can be used multiple times)',
+  'Define variables for replacement in prompt using {{variable}} syntax, @path reads the value from a file (can be used multiple times)',
   (value, previous) => {
     const [variable, ...variableValueParts] = value.split('=')
     const variableValue = variableValueParts.join('=') // Handle values with = in them
@@ -52,11 +214,76 @@ const varFlag = [
     return { ...previous, [variable]: variableValue }
   },
 ]
+const varsFileFlag = [
+  '--vars-file <path>',
+  'Read variables from a JSON or .env file (can be used multiple times)',
+  (value, previous) => {
+    return previous ? [...previous, value] : [value]
+  },
+]
+const allowVarCommandsFlag = [
+  '--allow-var-commands',
+  "Allow variables to be set to the output of shell commands, e.g. --var 'diff=$(git diff)'",
+]
+const allowVarEnvFlag = [
+  '--allow-var-env',
+  'Allow prompts and variables to read environment variables, e.g. {{env.USER}}',
+]
 
-const hasModelFlag = hasFlag(['--model', '-m'])
-const hasFormatFlag = hasFlag(['--format', '-f'])
-const hasSchemaFlag = hasFlag(['--schema', '-s'])
-const hasCrawlerFlag = hasFlag(['--crawler', '-c'])
+const outputFileFlag = ['-o, --output <path>', 'Write the result to file instead of stdout']
+const appendFlag = [
+  '--append',
+  'Append the result as a line of JSON (JSONL) to the --output file instead of overwriting it',
+]
+const agentFlag = ['--agent', `Let the model call tools while answering: ${defaultToolNames.join(', ')}`]
+const toolsFlag = [
+  '--tools <tools>',
+  `Comma-separated tools the model can call: ${toolNames.join(', ')} (enables agent mode)`,
+  (value, previous) => {
+    const tools = value
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean)
+
+    return previous ? [...previous, ...tools] : tools
+  },
+]
+const allowDirFlag = ['--allow-dir <path>', 'Directory the tools can read files from and run commands in']
+const allowCommandFlag = [
+  '--allow-command <command>',
+  'Command the run_command tool is allowed to run with any arguments, e.g. git (can be used multiple times)',
+  (value, previous) => {
+    return previous ? [...previous, value] : [value]
+  },
+]
+const maxStepsFlag = ['--max-steps <number>', 'Maximum number of steps of the model in agent mode', '10']
+const yesFlag = ['--yes', 'Run commands and fetch URLs in agent mode without asking for confirmation']
+const usageFlag = ['--usage', 'Print token usage, latency and cost to stderr']
+const jsonEnvelopeFlag = [
+  '--json-envelope',
+  'Print the result as JSON with model, finish reason, token usage, cost and timing',
+]
+const usageLogFlag = [
+  '--usage-log <path>',
+  'Append the usage of every run as a line of JSON (JSONL) to the file',
+  defaults.usageLog,
+]
+const profileFlag = ['--profile <name>', 'Use the defaults of a profile of the config files']
+const resumeFlag = ['--resume <name>', 'Continue a chat session saved with /save']
+const presetFlag = [
+  '--preset <file>',
+  'Path to preset JSON or YAML file or name of a preset to use instead of a prompt',
+]
+const concurrencyFlag = ['--concurrency <number>', 'Maximum number of rows processed at the same time', '4']
+const outputFlag = ['-o, --output <path>', 'Write results as JSONL to file instead of stdout']
+const resumeBatchFlag = ['--resume', 'Skip rows that have been completed successfully in the output file']
+const stepFlag = ['--step <name>', 'Run only this step of the preset, results of earlier steps can be set via --var']
+const verboseFlag = ['--verbose', 'Print the result of every step of the preset to stderr']
+const recordFlag = ['--record', 'Run the tests with the provider and record its responses next to the test files']
+const liveFlag = ['--live', 'Run the tests with the provider without using or recording responses']
+const testVerboseFlag = ['--verbose', 'Print the result of every test case']
+const resolvedFlag = ['--resolved', 'Show the value and source of every setting, including defaults']
+const projectFlag = ['--project', 'Write to the config of the project instead of the config of the user']
 
 const program = new Command()
 
@@ -71,6 +298,26 @@ Examples:
   $ heyi preset file.json
   $ heyi preset file.json --model google/gemini-3.5-flash-lite
   $ heyi help preset
+
+  # Chats
+  $ heyi chat
+  $ heyi chat --resume my-session
+  $ heyi help chat
+
+  # Batches
+  $ heyi batch rows.csv "Translate {{text}} to {{language}}"
+  $ heyi batch rows.jsonl --preset file.json --output results.jsonl
+  $ heyi help batch
+
+  # Preset tests
+  $ heyi test
+  $ heyi test summarize --record
+  $ heyi help test
+
+  # Config
+  $ heyi config set model google/gemini-3.5-flash-lite
+  $ heyi config list --resolved
+  $ heyi help config
 `
 
 const promptHelpText = `
@@ -82,6 +329,32 @@ Examples:
   $ heyi prompt "List 5 programming languages" --format array --schema "z.string()"
   $ heyi prompt "Analyze this data" --format object --schema "z.object({revenue:z.number(),costs:z.number()})"
   $ heyi prompt "List 3 countries" --format array --schema "z.object({name:z.string(),capital:z.string()})"
+  $ heyi prompt "List 3 countries" --format array --schema '{"type":"object","properties":{"name":{"type":"string"}}}'
+  $ heyi prompt "List 3 countries" --format array --schema-file country.json
+  $ heyi prompt "Is Paris the capital of France?" --format boolean
+  $ heyi prompt "What is the sentiment of this review?" --file review.txt --format enum --choices positive,negative,neutral
+
+  # Model parameters
+  $ heyi prompt "Write a haiku about autumn" --temperature 1.2 --max-tokens 100
+  $ heyi prompt "Solve this puzzle" --file puzzle.txt --reasoning-effort high
+
+  # System message and context placement
+  $ heyi prompt "Review this code" --file src/cache.js --system "You are a senior JavaScript developer"
+  $ heyi prompt "Review this code" --file src --system-file reviewer.md --context-placement system
+
+  # Let the model call tools to read files, fetch URLs or run allowed commands
+  $ heyi prompt "Which modules handle the cache?" --agent
+  $ heyi prompt "Summarize the docs" --tools read_file,list_directory --allow-dir docs
+  $ heyi prompt "What changed in the last 3 commits?" --tools run_command --allow-command git
+
+  # Report token usage, latency and cost
+  $ heyi prompt "Explain quantum computing" --usage
+  $ heyi prompt "Explain quantum computing" --json-envelope
+  $ heyi prompt "Explain quantum computing" --usage-log usage.jsonl
+
+  # Render the result or write it to a file
+  $ heyi prompt "List 3 countries" --format array --schema "z.object({name:z.string(),capital:z.string()})" --output-format table
+  $ heyi prompt "Summarize this article" --url https://example.com/article.html --output summaries.jsonl --append
 
   # Variable replacement
   $ heyi prompt "Translate to {{language}}" --var language="German"
@@ -92,14 +365,43 @@ Examples:
   # Variable with description (shows during prompt)
   $ heyi prompt "Explain {{topic description='What to explain'}} in simple terms"
 
+  # Variables from files, the environment and commands
+  $ heyi prompt "Summarize {{document}}" --var document=@report.md
+  $ heyi prompt "Greet {{user.name}} in {{language}}" --vars-file user.json
+  $ heyi prompt "Write a commit message for {{diff}}" --var 'diff=$(git diff --staged)' --allow-var-commands
+
+  # Templates with defaults, filters, conditions and partials
+  $ heyi prompt "Answer in a {{tone default='friendly'}} tone: {{question | trim}}"
+  $ heyi prompt "{{> prompts/review.md}}{{#if focus}} Focus on {{focus}}.{{/if}}" --file src
+
   # Environment variables
   $ HEYI_MODEL=perplexity/sonar heyi prompt "Explain AI"
   $ HEYI_API_KEY=your-key heyi prompt "Hello, AI!"
 
+  # OpenAI-compatible providers (e.g., Ollama, vLLM)
+  $ heyi prompt "Explain AI" --provider openai-compatible --base-url http://localhost:11434/v1 --model llama3.2
+  $ HEYI_PROVIDER=openai-compatible HEYI_BASE_URL=http://localhost:8000/v1 heyi prompt "Explain AI"
+
+  # Stream the response while it is generated
+  $ heyi prompt "Write a short story" --stream
+  $ heyi prompt "List 100 animals" --format array --schema "z.string()" --stream
+
+  # Reuse cached responses and URL contents
+  $ heyi prompt "Summarize this article" --url https://example.com/article.html --cache --url-cache-ttl 1h
+  $ heyi cache stats
+  $ heyi cache clear
+
   # Attach context
   $ heyi prompt "Summarize this content" --file input.txt
   $ heyi prompt "Compare these files" --file a.txt --file b.txt
+  $ heyi prompt "Review this code" --file src --exclude "*.test.js"
+  $ heyi prompt "Document these modules" --file "src/**/*.js" --max-file-size 200kb
+
+  # Limit the context and answer the prompt for chunks of it when it is too large
+  $ heyi prompt "Summarize this book" --file book.txt --max-context-tokens 50000 --context-strategy map-reduce
+  $ heyi prompt "List all people" --file "chapters/*.md" --max-context-tokens 50000 --context-strategy map-reduce --format array --schema "z.string()"
   $ heyi prompt "Summarize this article" --url https://example.com/article.html
+  $ heyi prompt "Summarize the comments" --url https://example.com/article.html --extract "#comments"
 
   # Input from stdin
   $ cat prompt.txt | heyi prompt
@@ -108,11 +410,21 @@ Examples:
 const presetHelpText = `
 Examples:
   $ heyi preset file.json
+  $ heyi preset file.yaml
   $ heyi preset file.json --model google/gemini-3.5-flash-lite
 
+  # Named presets from .heyi/presets or ~/.config/heyi/presets
+  $ heyi preset summarize
+  $ heyi preset list
+  $ heyi preset show summarize
+
   # Overwrite options from preset
   $ heyi preset file.json --model openai/gpt-5.6-luna
+  $ heyi preset file.json --provider openai-compatible --base-url http://localhost:11434/v1
   $ heyi preset file.json --format array --schema "z.string()"
+  $ heyi preset file.json --format object --schema-file schema.json
+  $ heyi preset file.json --stream
+  $ heyi preset file.json --no-cache
 
   # Variable replacement
   $ heyi preset file.json --var language=german
@@ -121,55 +433,363 @@ Examples:
   $ heyi preset file.json
   # (prompts for any variables in preset not provided via --var)
 
+  # Variables from a file and variables declared with a command
+  $ heyi preset file.json --vars-file vars.json --allow-var-commands
+
+  # Show the variables declared in the preset
+  $ heyi preset file.json --help
+
+  # Presets with steps: print the result of every step or debug a single step
+  $ heyi preset pipeline.yaml --verbose
+  $ heyi preset pipeline.yaml --step summarize --var 'extract=["First","Second"]'
+
   # Attach additional context
   $ heyi preset file.json --file additional.txt
   $ heyi preset file.json --url https://example.com/additional.html
 `
 
-const optionsSchema = z
-  .object({
-    model: z.string(),
-    format: z.enum(['string', 'number', 'object', 'array']),
+const chatHelpText = `
+Examples:
+  $ heyi chat
+  $ heyi chat --model google/gemini-3.5-flash-lite
+
+  # Attach context to the first message
+  $ heyi chat --file input.txt --url https://example.com/article.html
+  $ heyi chat --file "docs/**/*.md"
+
+  # Variable replacement in every message
+  $ heyi chat --var language=german
+
+  # Sampling parameters and timeout of every response
+  $ heyi chat --temperature 0.2 --max-tokens 500 --timeout 1m
+
+  # Continue a session saved with /save
+  $ heyi chat --resume my-session
+
+Commands:
+  /model [model]  Show or switch the AI model
+  /file <path>    Attach a file, directory or glob pattern as context to the next message
+  /url <url>      Attach a URL as context to the next message
+  /reset          Clear the conversation history
+  /save [name]    Save the session to continue it later with --resume
+  /help           Show all commands
+  /exit           Exit the chat
+`
+
+const batchHelpText = `
+Examples:
+  # Run a prompt for each row, fields are available as {{variables}}
+  $ heyi batch rows.csv "Translate {{text}} to {{language}}"
+  $ heyi batch rows.jsonl "Summarize {{title}}" --format object --schema "z.object({summary:z.string()})"
+
+  # Run a preset for each row, presets with steps run all steps for each row
+  $ heyi batch rows.jsonl --preset file.json
+
+  # Process up to 10 rows at the same time
+  $ heyi batch rows.csv "Translate {{text}} to German" --concurrency 10
+
+  # Write results to file and continue an interrupted run
+  $ heyi batch rows.csv "Translate {{text}} to German" --output results.jsonl
+  $ heyi batch rows.csv "Translate {{text}} to German" --output results.jsonl --resume
+
+  # Print the usage of all rows and log the usage of each row
+  $ heyi batch rows.csv "Translate {{text}} to German" --usage --usage-log usage.jsonl
+
+  # Variables that are the same for every row
+  $ heyi batch rows.csv "Translate {{text}} to {{language}}" --var language=German
+`
+
+const testHelpText = `
+Examples:
+  # Run the tests of all presets in .heyi/presets with recorded responses
+  $ heyi test
+
+  # Run the tests of a preset, of a test file or of all test files of a directory
+  $ heyi test summarize
+  $ heyi test presets/summarize.test.yaml
+  $ heyi test presets
+
+  # Record the responses of the provider after changing a preset
+  $ heyi test summarize --record
+
+  # Run the tests with the provider and print every result
+  $ heyi test --live --verbose
+`
+
+const configHelpText = `
+Examples:
+  # Set defaults for all projects of the user
+  $ heyi config set model google/gemini-3.5-flash-lite
+  $ heyi config set cache true
+
+  # Set defaults for the current project
+  $ heyi config set crawler chrome --project
+
+  # Define a profile and use it
+  $ heyi config set profiles.work.provider openai-compatible
+  $ heyi config set profiles.work.baseUrl http://localhost:11434/v1
+  $ heyi prompt "Explain AI" --profile work
+
+  # Show values and where they come from
+  $ heyi config get model
+  $ heyi config list
+  $ heyi config list --resolved --profile work
+`
+
+// Flags that can't be combined or only work together with other flags
+const flagsSchema = z
+  .looseObject({
     schema: z.string().optional(),
-    crawler: z.enum(['fetch', 'chrome']),
-    files: z.array(z.string()).default([]),
-    urls: z.array(z.string()).default([]),
-    vars: z.record(z.string(), z.string()).default({}),
+    schemaFile: z.string().optional(),
+    system: z.string().optional(),
+    systemFile: z.string().optional(),
+    output: z.string().optional(),
+    append: z.boolean().optional(),
   })
-  .refine((data) => !['object', 'array'].includes(data.format) || data.schema, {
-    message: '--schema or -s is required when format is object or array',
-    path: ['schema'],
+  .refine((data) => !data.schema || !data.schemaFile, {
+    message: '--schema and --schema-file can not be used together',
+    path: ['schemaFile'],
   })
-
-const flagsToOptions = (flags) => {
-  return optionsSchema.parse({
-    model: flags.model,
-    format: flags.format,
-    schema: flags.schema,
-    crawler: flags.crawler,
-    files: flags.file,
-    urls: flags.url,
-    vars: flags.var,
+  .refine((data) => data.system === undefined || !data.systemFile, {
+    message: '--system and --system-file can not be used together',
+    path: ['systemFile'],
   })
+  .refine((data) => !data.append || data.output, {
+    message: '--append requires --output',
+    path: ['append'],
+  })
+
+// Options of the CLI that decide how results are written, all other options are options of heyi (see createHeyi)
+const outputOptionsSchema = z.object({
+  format: z.enum(['string', 'number', 'boolean', 'enum', 'object', 'array']),
+  outputFormat: z.enum(['json', 'yaml', 'csv', 'table']).optional(),
+  output: z.string().optional(),
+  append: z.boolean().default(false),
+  usage: z.boolean().default(false),
+  jsonEnvelope: z.boolean().default(false),
+  usageLog: z.string().optional(),
+  stream: z.boolean().default(false),
+  verbose: z.boolean().default(false),
+})
+
+const chatOptionsSchema = z.object({
+  model: z.string(),
+  parameters: parametersSchema,
+  providerOptions: providerOptionsSchema.optional(),
+  retries: z.coerce.number().int().nonnegative(),
+  timeout: z.string().optional(),
+  provider: z.enum(['openrouter', 'openai-compatible']),
+  baseUrl: z.string().optional(),
+  crawler: z.enum(['fetch', 'chrome']),
+  extract: z.string().min(1),
+  files: z.array(z.string()).default([]),
+  exclude: z.array(z.string()).default([]),
+  maxFileSize: z.string(),
+  maxTotalSize: z.string(),
+  urls: z.array(z.string()).default([]),
+  vars: z.record(z.string(), z.string()).default({}),
+  varsFiles: z.array(z.string()).default([]),
+  allowVarCommands: z.boolean().default(false),
+  allowVarEnv: z.boolean().default(false),
+  resume: z.string().optional(),
+})
+
+const batchOptionsSchema = z.object({
+  concurrency: z.coerce.number().int().positive(),
+  output: z.string().optional(),
+  resume: z.boolean().default(false),
+})
+
+// The settings of the config files are the defaults of heyi, the flags of a command are the options of each run
+const heyiDefaults = {
+  ...defaults,
+  parameters: Object.fromEntries(
+    parameterKeys.filter((key) => defaults[key] !== undefined).map((key) => [key, defaults[key]]),
+  ),
 }
+// Retries, fallback models, tool calls and warnings are printed to stderr, so they don't end up in the result
+const heyi = createHeyi({ defaults: heyiDefaults, onLog: console.error })
 
-const mergeOptionsWithPreset = (options, presetContent) => {
-  return optionsSchema.parse({
-    // Overwrite model, format, schema, crawler only if not provided via flags
-    model: hasModelFlag ? options.model : (presetContent.model ?? options.model),
-    format: hasFormatFlag ? options.format : (presetContent.format ?? options.format),
-    schema: hasSchemaFlag ? options.schema : (presetContent.schema ?? options.schema),
-    crawler: hasCrawlerFlag ? options.crawler : (presetContent.crawler ?? options.crawler),
-    // Merge files
-    files: [...presetContent.files, ...options.files],
-    // Merge URLs
-    urls: [...presetContent.urls, ...options.urls],
-    // Keep vars as is
-    vars: options.vars,
-  })
+const getProvidedFlags = (flags, command) => {
+  // Flags that haven't been provided have the defaults of the config as value, which the defaults of heyi cover
+  return Object.fromEntries(Object.entries(flags).filter(([name]) => command.getOptionValueSource(name) === 'cli'))
+}
+
+const loadSystemMessage = async (flags) => {
+  // Partials are relative to the system file or the current directory, like the ones of prompts
+  if (flags.systemFile) {
+    const content = await readFileContent(flags.systemFile)
+    return includePartials(content.trimEnd(), path.dirname(flags.systemFile))
+  }
+
+  return flags.system === undefined ? undefined : includePartials(flags.system, process.cwd())
+}
+
+const flagsToOptions = async (flags, command) => {
+  const providedFlags = flagsSchema.parse(getProvidedFlags(flags, command))
+
+  return {
+    model: providedFlags.model,
+    parameters: Object.fromEntries(
+      parameterKeys.filter((key) => providedFlags[key] !== undefined).map((key) => [key, providedFlags[key]]),
+    ),
+    providerOptions: providedFlags.providerOptions,
+    fallbackModels: providedFlags.fallbackModel,
+    retries: providedFlags.retries,
+    timeout: providedFlags.timeout,
+    provider: providedFlags.provider,
+    baseUrl: providedFlags.baseUrl,
+    format: providedFlags.format,
+    schema: providedFlags.schemaFile ? await readFileContent(providedFlags.schemaFile) : providedFlags.schema,
+    choices: providedFlags.choices,
+    outputFormat: providedFlags.outputFormat,
+    output: providedFlags.output,
+    append: providedFlags.append,
+    usage: providedFlags.usage,
+    jsonEnvelope: providedFlags.jsonEnvelope,
+    usageLog: providedFlags.usageLog,
+    agent: providedFlags.agent,
+    tools: providedFlags.tools,
+    allowedDirectory: providedFlags.allowDir,
+    allowedCommands: providedFlags.allowCommand,
+    maxSteps: providedFlags.maxSteps,
+    confirm: providedFlags.yes ? false : undefined,
+    onConfirm: askConfirmation,
+    crawler: providedFlags.crawler,
+    extract: providedFlags.extract,
+    stream: providedFlags.stream,
+    cache: providedFlags.cache,
+    cacheTtl: providedFlags.cacheTtl,
+    urlCacheTtl: providedFlags.urlCacheTtl,
+    files: providedFlags.file,
+    exclude: providedFlags.exclude,
+    maxFileSize: providedFlags.maxFileSize,
+    maxTotalSize: providedFlags.maxTotalSize,
+    maxContextTokens: providedFlags.maxContextTokens,
+    contextStrategy: providedFlags.contextStrategy,
+    contextPlacement: providedFlags.contextPlacement,
+    system: await loadSystemMessage(providedFlags),
+    urls: providedFlags.url,
+    // Values of --var can be read from files and commands
+    vars: providedFlags.var
+      ? await resolveVariableValues(providedFlags.var, { allowCommands: providedFlags.allowVarCommands })
+      : undefined,
+    varsFiles: providedFlags.varsFile,
+    allowVarCommands: providedFlags.allowVarCommands,
+    allowVarEnv: providedFlags.allowVarEnv,
+    step: providedFlags.step,
+    verbose: providedFlags.verbose,
+  }
+}
+
+const getUsageLogRecord = (usage, startedAt, labels) => {
+  return { timestamp: startedAt.toISOString(), ...labels, ...usage, duration: Date.now() - startedAt.getTime() }
+}
+
+const reportUsage = async (run, options) => {
+  const usage = sumUsage(run.usageRecords)
+
+  if (options.usage) {
+    console.error(formatUsage(usage))
+  }
+
+  if (options.usageLog) {
+    await appendUsageLog(options.usageLog, getUsageLogRecord(usage, run.startedAt, run.labels))
+  }
+}
+
+const getEnvelope = (result, run) => {
+  const { model, finishReason, requests, inputTokens, outputTokens, reasoningTokens, cost, latency, cached } = sumUsage(
+    run.usageRecords,
+  )
+
+  return {
+    result,
+    model,
+    finishReason,
+    usage: { inputTokens, outputTokens, reasoningTokens, cost, requests },
+    timing: { startedAt: run.startedAt.toISOString(), duration: Date.now() - run.startedAt.getTime(), latency },
+    cached,
+  }
+}
+
+const printStep = ({ name, result, format }) => {
+  console.error(`Step ${name}:\n${formatResult(result, format)}\n`)
+}
+
+const writeResult = async (result, options, run) => {
+  // The envelope is an object, so it's written as JSON unless another output format is requested
+  const [output, format] = options.jsonEnvelope ? [getEnvelope(result, run), 'object'] : [result, options.format]
+
+  if (options.output && options.append) {
+    await appendFile(options.output, `${JSON.stringify(output)}\n`)
+  } else if (options.output) {
+    await writeFile(options.output, `${formatResult(output, format, options.outputFormat)}\n`)
+  } else {
+    console.log(formatResult(output, format, options.outputFormat))
+  }
+
+  await reportUsage(run, options)
+
+  // Boolean answers are reflected in the exit code, so they can be used in conditions of shell scripts
+  if (result === false && options.format === 'boolean') {
+    process.exitCode = 1
+  }
+}
+
+const printPrompt = async ({ prompt, preset }, options, labels = {}) => {
+  // Options of the preset are merged by heyi, but they decide how the result is written too
+  const outputOptions = outputOptionsSchema.parse(mergeOptions(heyiDefaults, preset, options))
+
+  // Usage of all requests of the run, e.g. of fallback models or the chunks of map-reduce
+  const run = { startedAt: new Date(), usageRecords: [], labels }
+  const runOptions = {
+    ...options,
+    onUsage: (record) => {
+      run.usageRecords.push(record)
+    },
+    // Results of steps are written to stderr, so stdout only has the result of the last step
+    onStep: outputOptions.verbose ? printStep : undefined,
+  }
+
+  // Only text and JSONL written to stdout can be streamed, other results are written once they are complete.
+  // Presets with steps have the result once their last step is complete.
+  const canStream =
+    !preset?.steps &&
+    !outputOptions.outputFormat &&
+    !outputOptions.output &&
+    !outputOptions.jsonEnvelope &&
+    ['string', 'array'].includes(outputOptions.format)
+  if (!canStream || !outputOptions.stream) {
+    const { result, format } = preset ? await heyi.runPreset(preset, runOptions) : await heyi.run(prompt, runOptions)
+
+    await writeResult(result, { ...outputOptions, format }, run)
+    return
+  }
+
+  // Stop the generation on SIGINT, but keep and flush everything printed so far
+  const controller = new AbortController()
+  const abort = () => controller.abort()
+  process.once('SIGINT', abort)
+
+  try {
+    const streamOptions = { ...runOptions, signal: controller.signal }
+    const chunks = preset ? heyi.streamPreset(preset, streamOptions) : heyi.stream(prompt, streamOptions)
+
+    await writeStream(chunks, controller.signal)
+  } finally {
+    process.off('SIGINT', abort)
+  }
+
+  if (controller.signal.aborted) {
+    process.exitCode = 130
+    return
+  }
+
+  await reportUsage(run, outputOptions)
 }
 
-const executePromptAction = async (prompt, flags) => {
+const executePromptAction = async (prompt, flags, command) => {
   try {
     // Handle stdin input
     const stdinContent = hasStdinData() ? await readStdin() : null
@@ -180,31 +800,37 @@ const executePromptAction = async (prompt, flags) => {
     }
 
     // Build options from flags
-    const options = flagsToOptions(flags)
+    const options = await flagsToOptions(flags, command)
 
-    // Get the user prompt (prefer argument over stdin)
-    const rawPrompt = prompt ?? stdinContent
+    // Get the user prompt (prefer argument over stdin) with partials relative to the current directory
+    const rawPrompt = await includePartials(prompt ?? stdinContent, process.cwd())
 
-    // Find undefined variables in the prompt
-    const undefinedVars = findUndefinedVariables(rawPrompt, options.vars)
+    // Prompt user for each variable of the prompt and the system message without value
+    await printPrompt({ prompt: rawPrompt }, { ...options, onMissingVariable: promptForMissingVariable })
+  } catch (error) {
+    console.error(error)
 
-    // Prompt user for each undefined variable
-    for (const varInfo of undefinedVars) {
-      const value = await promptForVariable(varInfo.name, varInfo.description)
-      options.vars[varInfo.name] = value
-    }
+    process.exit(1)
+  }
+}
 
-    // Build the prompt with all variables replaced
-    const userPrompt = replaceVariables(rawPrompt, options.vars)
-    const finalPrompt = await buildPrompt(userPrompt, options.files, options.urls, options.crawler)
+const executePresetAction = async (preset, flags, command) => {
+  try {
+    // Validate that preset file is provided
+    if (!preset) {
+      throw new Error('Preset file path or name is required when using "preset" command')
+    }
 
-    const result = await executePrompt(finalPrompt, {
-      model: options.model,
-      format: options.format,
-      schema: options.schema,
-    })
+    // Options of flags take precedence over the preset and its steps
+    const presetContent = await heyi.loadPreset(preset)
+    const options = await flagsToOptions(flags, command)
 
-    console.log(result)
+    // Prompt user for missing variables, declared ones are validated against the declarations of the preset
+    await printPrompt(
+      { preset: presetContent },
+      { ...options, onMissingVariable: promptForMissingVariable },
+      { preset },
+    )
   } catch (error) {
     console.error(error)
 
@@ -212,40 +838,387 @@ const executePromptAction = async (prompt, flags) => {
   }
 }
 
-const executePresetAction = async (preset, flags) => {
+/**
+ * Get a path for messages, relative to the working directory when it's inside it.
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {string} The relative or the absolute path
+ */
+const getDisplayPath = (filePath) => {
+  const relativePath = path.relative(process.cwd(), filePath)
+
+  return relativePath.startsWith('..') || path.isAbsolute(relativePath) ? filePath : relativePath
+}
+
+const executePresetListAction = async () => {
   try {
-    // Validate that preset file is provided
-    if (!preset) {
-      throw new Error('Preset file path is required when using "preset" command')
+    const presets = await listPresets()
+
+    if (presets.length === 0) {
+      console.log('No presets found in .heyi/presets or ~/.config/heyi/presets')
+      return
     }
 
-    // Load preset and use prompt from it
+    for (const { name, filePath, scope, overridden, reserved } of presets) {
+      console.log(`${name} (${scope}${overridden ? ', overridden' : ''})`)
+
+      // Broken presets are listed with their error instead of stopping the whole list
+      try {
+        const presetContent = await loadPreset(filePath)
+        // Results of steps are variables of later steps, but they aren't provided by the user
+        const stepVariables = getStepVariableNames(presetContent)
+        const variables = new Set([
+          ...Object.keys(presetContent.variables),
+          ...extractVariables(getPresetTexts(presetContent))
+            .map(({ name: variable }) => variable)
+            .filter((variable) => !stepVariables.includes(variable)),
+        ])
+
+        if (presetContent.description) console.log(`  ${presetContent.description}`)
+        if (variables.size > 0) console.log(`  Variables: ${[...variables].join(', ')}`)
+      } catch (error) {
+        console.log(`  Error: ${error.message}`)
+      }
+
+      // The commands heyi preset list and heyi preset show run instead, so the presets can only be run by their path
+      if (reserved) console.log(`  Run with: heyi preset ${getDisplayPath(filePath)}`)
+    }
+  } catch (error) {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const executePresetShowAction = async (preset) => {
+  try {
     const presetContent = await loadPreset(preset)
-    const prompt = presetContent.prompt
 
-    // Build options from flags and merge with preset
-    const options = mergeOptionsWithPreset(flagsToOptions(flags), presetContent)
+    console.log(JSON.stringify(presetContent, null, 2))
+  } catch (error) {
+    console.error(error)
 
-    // Find undefined variables in the prompt
-    const undefinedVars = findUndefinedVariables(prompt, options.vars)
+    process.exit(1)
+  }
+}
 
-    // Prompt user for each undefined variable
-    for (const varInfo of undefinedVars) {
-      const value = await promptForVariable(varInfo.name, varInfo.description)
-      options.vars[varInfo.name] = value
+const executeChatAction = async (flags, command) => {
+  try {
+    const options = chatOptionsSchema.parse({
+      model: flags.model,
+      // Flags have the values of the config as defaults, except for --stop, which only the defaults of heyi have
+      parameters: {
+        ...heyiDefaults.parameters,
+        ...Object.fromEntries(parameterKeys.filter((key) => flags[key] !== undefined).map((key) => [key, flags[key]])),
+      },
+      providerOptions: flags.providerOptions ?? defaults.providerOptions,
+      retries: flags.retries,
+      timeout: flags.timeout,
+      provider: flags.provider,
+      baseUrl: flags.baseUrl,
+      crawler: flags.crawler,
+      extract: flags.extract,
+      files: flags.file,
+      exclude: flags.exclude,
+      maxFileSize: flags.maxFileSize,
+      maxTotalSize: flags.maxTotalSize,
+      urls: flags.url,
+      vars: flags.var,
+      varsFiles: flags.varsFile,
+      allowVarCommands: flags.allowVarCommands,
+      allowVarEnv: flags.allowVarEnv,
+      resume: flags.resume,
+    })
+
+    // Read variables from files and commands
+    const vars = await resolveVariableValues(options.vars, { allowCommands: options.allowVarCommands })
+    options.vars = await loadVariables(vars, {
+      files: options.varsFiles,
+      allowCommands: options.allowVarCommands,
+    })
+
+    // Load the session to continue and prefer its model unless provided via flags
+    const session = options.resume ? await loadSession(options.resume) : null
+    const model = !session || command.getOptionValueSource('model') === 'cli' ? options.model : session.model
+
+    await startChat(
+      {
+        ...options,
+        heyi,
+        model,
+        timeout: options.timeout === undefined ? undefined : parseDuration(options.timeout),
+        maxFileSize: parseSize(options.maxFileSize),
+        maxTotalSize: parseSize(options.maxTotalSize),
+      },
+      { name: options.resume, messages: session?.messages },
+    )
+  } catch (error) {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const executeBatchAction = async (input, prompt, flags, command) => {
+  try {
+    // Validate that we have a prompt or preset
+    if (!prompt && !flags.preset) {
+      throw new Error('A prompt or --preset is required when using "batch" command')
     }
 
-    // Build the prompt with all variables replaced
-    const userPrompt = replaceVariables(prompt, options.vars)
-    const finalPrompt = await buildPrompt(userPrompt, options.files, options.urls, options.crawler)
+    // Load preset and use prompt from it, presets with steps run all their steps unless a prompt is provided
+    const { prompt: presetPrompt, steps, ...presetOptions } = flags.preset ? await heyi.loadPreset(flags.preset) : {}
+    const rawPrompt = prompt ? await includePartials(prompt, process.cwd()) : presetPrompt
+
+    // Options of flags take precedence over the preset
+    const flagOptions = await flagsToOptions(flags, command)
+    const options = mergeOptions(presetOptions, flagOptions)
+    const outputOptions = outputOptionsSchema.parse(mergeOptions(heyiDefaults, options))
+    const batchOptions = batchOptionsSchema.parse({
+      concurrency: flags.concurrency,
+      output: flags.output,
+      resume: flags.resume,
+    })
+
+    // Load rows and the context that is the same for every row only once
+    const rows = await readRows(input)
+    // Steps build their own context, as each of them can have its own files and URLs
+    const context = rawPrompt ? await heyi.buildContext(options) : undefined
 
-    const result = await executePrompt(finalPrompt, {
-      model: options.model,
-      format: options.format,
-      schema: options.schema,
+    // Variables that are the same for every row are only read once
+    const vars = await loadVariables(options.vars, {
+      files: options.varsFiles,
+      definitions: options.variables,
+      allowCommands: options.allowVarCommands,
+      allowEnv: options.allowVarEnv,
     })
 
-    console.log(result)
+    // Usage of the requests of all rows for --usage
+    const usageRecords = []
+
+    const processRow = async (row, index) => {
+      const startedAt = new Date()
+      const rowUsageRecords = []
+
+      try {
+        // Row fields overwrite variables provided via flags
+        const rowOptions = {
+          vars: { ...vars, ...rowToVariables(row) },
+          varsFiles: [],
+          onUsage: (record) => {
+            rowUsageRecords.push(record)
+            usageRecords.push(record)
+          },
+        }
+
+        // Variables files have been read already, so the ones of the preset are skipped too
+        const { result } = rawPrompt
+          ? await heyi.run(rawPrompt, { ...options, context, ...rowOptions })
+          : await heyi.runPreset({ ...presetOptions, varsFiles: [], steps }, { ...flagOptions, ...rowOptions })
+
+        return result
+      } finally {
+        // Failed rows are logged too, as their requests may have used tokens
+        if (outputOptions.usageLog) {
+          const labels = { preset: flags.preset, row: index }
+          await appendUsageLog(outputOptions.usageLog, getUsageLogRecord(sumUsage(rowUsageRecords), startedAt, labels))
+        }
+      }
+    }
+
+    const { completed, failed, skipped } = await executeBatch(rows, processRow, batchOptions)
+
+    console.error(`Processed ${rows.length} rows: ${completed} completed, ${failed} failed, ${skipped} skipped`)
+
+    if (outputOptions.usage) {
+      console.error(formatUsage(sumUsage(usageRecords)))
+    }
+
+    if (failed > 0) {
+      process.exitCode = 1
+    }
+  } catch (error) {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const executeCacheClearAction = async (type) => {
+  try {
+    if (type && !cacheNamespaces.includes(type)) {
+      throw new Error(`Unknown cache type '${type}'. Expected one of: ${cacheNamespaces.join(', ')}`)
+    }
+
+    await clearCache(type ? [type] : cacheNamespaces)
+
+    console.error(type ? `Cleared cached ${type}` : 'Cleared cache')
+  } catch (error) {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const executeCacheStatsAction = async () => {
+  try {
+    const stats = await getCacheStats()
+
+    console.log(`Location: ${cacheDirectory}`)
+    for (const { namespace, entries, size } of stats) {
+      console.log(`${namespace}: ${entries} entries (${(size / 1024).toFixed(1)} KB)`)
+    }
+  } catch (error) {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const indentLines = (text, prefix) => {
+  return text
+    .split('\n')
+    .map((line) => `${prefix}${line}`)
+    .join('\n')
+}
+
+const printTestCase = ({ name, passed, result, format, failures }, flags) => {
+  console.log(`  ${passed ? 'PASS' : 'FAIL'} ${name}`)
+
+  for (const failure of failures) {
+    console.log(indentLines(failure, ' '.repeat(4)))
+  }
+
+  if (result !== undefined && flags.verbose) {
+    console.log(indentLines(String(formatResult(result, format)), '    > '))
+  }
+}
+
+const executeTestAction = async (references, flags) => {
+  try {
+    if (flags.record && flags.live) {
+      throw new Error('--record and --live can not be used together')
+    }
+
+    const mode = ['record', 'live'].find((name) => flags[name]) ?? 'replay'
+
+    // Without references, the tests of the named presets of the project are run
+    const testFiles = await findTestFiles(references.length > 0 ? references : [path.join('.heyi', 'presets')])
+    if (testFiles.length === 0) {
+      throw new Error('No test files found. Add a test file like summarize.test.yaml next to a preset.')
+    }
+
+    const counts = { passed: 0, failed: 0, errors: 0 }
+    for (const filePath of testFiles) {
+      console.log(filePath)
+
+      // Test files with errors are reported instead of stopping the other test files
+      try {
+        const recorder = await createRecorder(getRecordingsPath(filePath), mode)
+
+        // Replayed requests never reach the provider, so they don't need an API key
+        const testHeyi = createHeyi({
+          defaults: heyiDefaults,
+          apiKey: mode === 'replay' ? (process.env.HEYI_API_KEY ?? 'replay') : undefined,
+          fetch: recorder.fetch,
+          onLog: console.error,
+        })
+
+        await runTestFile(filePath, {
+          heyi: testHeyi,
+          onCase: (outcome) => {
+            counts[outcome.passed ? 'passed' : 'failed']++
+            printTestCase(outcome, flags)
+          },
+        })
+
+        await recorder.save()
+      } catch (error) {
+        counts.errors++
+
+        // Causes explain why a test file or its preset can't be read, e.g. the issues of its schema
+        const cause = error.cause instanceof z.ZodError ? z.prettifyError(error.cause) : error.cause?.message
+        console.log(indentLines(cause ? `Error: ${error.message}\n${cause}` : `Error: ${error.message}`, '  '))
+      }
+    }
+
+    console.log(
+      `\n${counts.passed + counts.failed} tests: ${counts.passed} passed, ${counts.failed} failed` +
+        (counts.errors > 0 ? `, ${counts.errors} of ${testFiles.length} test files could not be run` : ''),
+    )
+
+    if (counts.failed > 0 || counts.errors > 0) {
+      process.exitCode = 1
+    }
+  } catch (error) {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const executeConfigGetAction = async (key, flags) => {
+  try {
+    if (key !== 'profile' && !settingKeys.includes(key)) {
+      throw new Error(`Unknown config key '${key}'. Supported are ${['profile', ...settingKeys].join(', ')}`)
+    }
+
+    const { profile, settings } = await resolveSettings(flags.profile)
+    const value = key === 'profile' ? profile : settings[key]?.value
+
+    if (value !== undefined) console.log(value)
+  } catch (error) {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const executeConfigSetAction = async (key, value, flags) => {
+  try {
+    // Projects without config file get one in the current directory
+    const filePath = flags.project
+      ? ((await findProjectConfigPath()) ?? path.resolve('.heyi', 'config.json'))
+      : userConfigPath
+
+    await setConfigValue(filePath, key, value)
+
+    console.error(`Set ${key} in ${filePath}`)
+  } catch (error) {
+    console.error(error)
+
+    process.exit(1)
+  }
+}
+
+const executeConfigListAction = async (flags) => {
+  try {
+    if (flags.resolved) {
+      const { profile, settings } = await resolveSettings(flags.profile)
+      const width = Math.max(...settingKeys.map((key) => key.length))
+
+      console.log(
+        'Precedence: flags > preset > profile > environment variables > project config > user config > default',
+      )
+      console.log(`Profile: ${profile ?? 'none'}`)
+      for (const key of settingKeys) {
+        const setting = settings[key]
+        console.log(`${key.padEnd(width)}  ${setting ? `${setting.value} (${setting.source})` : '(not set)'}`)
+      }
+
+      return
+    }
+
+    const values = await listConfigValues()
+    if (values.length === 0) {
+      console.log(`No config values set. Use 'heyi config set' to set defaults in ${userConfigPath}`)
+      return
+    }
+
+    for (const [index, { filePath, key, value }] of values.entries()) {
+      if (values[index - 1]?.filePath !== filePath) console.log(`${index === 0 ? '' : '\n'}${filePath}:`)
+      console.log(`  ${key}=${value}`)
+    }
   } catch (error) {
     console.error(error)
 
@@ -259,26 +1232,281 @@ program
   .command('prompt')
   .argument('[prompt]', 'The AI prompt to execute (optional when using stdin)')
   .option(...modelFlag)
+  .option(...fallbackModelFlag)
+  .option(...temperatureFlag)
+  .option(...maxTokensFlag)
+  .option(...topPFlag)
+  .option(...seedFlag)
+  .option(...stopFlag)
+  .option(...reasoningEffortFlag)
+  .option(...providerOptionsFlag)
+  .option(...retriesFlag)
+  .option(...timeoutFlag)
+  .option(...providerFlag)
+  .option(...baseUrlFlag)
+  .option(...systemFlag)
+  .option(...systemFileFlag)
   .option(...formatFlag)
   .option(...schemaFlag)
+  .option(...schemaFileFlag)
+  .option(...choicesFlag)
+  .option(...outputFormatFlag)
+  .option(...outputFileFlag)
+  .option(...appendFlag)
+  .option(...usageFlag)
+  .option(...jsonEnvelopeFlag)
+  .option(...usageLogFlag)
+  .option(...agentFlag)
+  .option(...toolsFlag)
+  .option(...allowDirFlag)
+  .option(...allowCommandFlag)
+  .option(...maxStepsFlag)
+  .option(...yesFlag)
   .option(...crawlerFlag)
+  .option(...extractFlag)
+  .option(...streamFlag)
+  .option(...cacheFlag)
+  .option(...noCacheFlag)
+  .option(...cacheTtlFlag)
+  .option(...urlCacheTtlFlag)
   .option(...fileFlag)
+  .option(...excludeFlag)
+  .option(...maxFileSizeFlag)
+  .option(...maxTotalSizeFlag)
+  .option(...maxContextTokensFlag)
+  .option(...contextStrategyFlag)
+  .option(...contextPlacementFlag)
   .option(...urlFlag)
   .option(...varFlag)
+  .option(...varsFileFlag)
+  .option(...allowVarCommandsFlag)
+  .option(...allowVarEnvFlag)
+  .option(...profileFlag)
   .addHelpText('after', promptHelpText)
   .action(executePromptAction)
 
-program
+const presetCommand = program
   .command('preset')
-  .argument('[file]', 'Path to preset JSON file')
+  .argument('[file]', 'Path to preset JSON or YAML file or name of a preset')
   .option(...modelFlag)
+  .option(...fallbackModelFlag)
+  .option(...temperatureFlag)
+  .option(...maxTokensFlag)
+  .option(...topPFlag)
+  .option(...seedFlag)
+  .option(...stopFlag)
+  .option(...reasoningEffortFlag)
+  .option(...providerOptionsFlag)
+  .option(...retriesFlag)
+  .option(...timeoutFlag)
+  .option(...providerFlag)
+  .option(...baseUrlFlag)
+  .option(...systemFlag)
+  .option(...systemFileFlag)
   .option(...formatFlag)
   .option(...schemaFlag)
+  .option(...schemaFileFlag)
+  .option(...choicesFlag)
+  .option(...outputFormatFlag)
+  .option(...outputFileFlag)
+  .option(...appendFlag)
+  .option(...usageFlag)
+  .option(...jsonEnvelopeFlag)
+  .option(...usageLogFlag)
+  .option(...agentFlag)
+  .option(...toolsFlag)
+  .option(...allowDirFlag)
+  .option(...allowCommandFlag)
+  .option(...maxStepsFlag)
+  .option(...yesFlag)
   .option(...crawlerFlag)
+  .option(...extractFlag)
+  .option(...streamFlag)
+  .option(...cacheFlag)
+  .option(...noCacheFlag)
+  .option(...cacheTtlFlag)
+  .option(...urlCacheTtlFlag)
   .option(...fileFlag)
+  .option(...excludeFlag)
+  .option(...maxFileSizeFlag)
+  .option(...maxTotalSizeFlag)
+  .option(...maxContextTokensFlag)
+  .option(...contextStrategyFlag)
+  .option(...contextPlacementFlag)
   .option(...urlFlag)
   .option(...varFlag)
+  .option(...varsFileFlag)
+  .option(...allowVarCommandsFlag)
+  .option(...allowVarEnvFlag)
+  .option(...profileFlag)
+  .option(...stepFlag)
+  .option(...verboseFlag)
   .addHelpText('after', presetHelpText)
   .action(executePresetAction)
 
+presetCommand
+  .command('list')
+  .description('List the presets of the project (.heyi/presets) and the user (~/.config/heyi/presets)')
+  .action(executePresetListAction)
+
+presetCommand
+  .command('show')
+  .description('Show the configuration of a preset with all presets it extends merged')
+  .argument('<preset>', 'Path to preset JSON or YAML file or name of a preset')
+  .action(executePresetShowAction)
+
+program
+  .command('chat')
+  .option(...modelFlag)
+  .option(...temperatureFlag)
+  .option(...maxTokensFlag)
+  .option(...topPFlag)
+  .option(...seedFlag)
+  .option(...stopFlag)
+  .option(...reasoningEffortFlag)
+  .option(...providerOptionsFlag)
+  .option(...retriesFlag)
+  .option(...timeoutFlag)
+  .option(...providerFlag)
+  .option(...baseUrlFlag)
+  .option(...crawlerFlag)
+  .option(...extractFlag)
+  .option(...fileFlag)
+  .option(...excludeFlag)
+  .option(...maxFileSizeFlag)
+  .option(...maxTotalSizeFlag)
+  .option(...urlFlag)
+  .option(...varFlag)
+  .option(...varsFileFlag)
+  .option(...allowVarCommandsFlag)
+  .option(...allowVarEnvFlag)
+  .option(...profileFlag)
+  .option(...resumeFlag)
+  .addHelpText('after', chatHelpText)
+  .action(executeChatAction)
+
+program
+  .command('batch')
+  .argument('<input>', 'Path to CSV or JSONL file with one row per prompt')
+  .argument('[prompt]', 'The AI prompt to execute for each row (optional when using --preset)')
+  .option(...presetFlag)
+  .option(...modelFlag)
+  .option(...fallbackModelFlag)
+  .option(...temperatureFlag)
+  .option(...maxTokensFlag)
+  .option(...topPFlag)
+  .option(...seedFlag)
+  .option(...stopFlag)
+  .option(...reasoningEffortFlag)
+  .option(...providerOptionsFlag)
+  .option(...retriesFlag)
+  .option(...timeoutFlag)
+  .option(...providerFlag)
+  .option(...baseUrlFlag)
+  .option(...systemFlag)
+  .option(...systemFileFlag)
+  .option(...formatFlag)
+  .option(...schemaFlag)
+  .option(...schemaFileFlag)
+  .option(...choicesFlag)
+  .option(...crawlerFlag)
+  .option(...extractFlag)
+  .option(...cacheFlag)
+  .option(...noCacheFlag)
+  .option(...cacheTtlFlag)
+  .option(...urlCacheTtlFlag)
+  .option(...fileFlag)
+  .option(...excludeFlag)
+  .option(...maxFileSizeFlag)
+  .option(...maxTotalSizeFlag)
+  .option(...maxContextTokensFlag)
+  .option(...contextStrategyFlag)
+  .option(...contextPlacementFlag)
+  .option(...urlFlag)
+  .option(...varFlag)
+  .option(...varsFileFlag)
+  .option(...allowVarCommandsFlag)
+  .option(...allowVarEnvFlag)
+  .option(...profileFlag)
+  .option(...concurrencyFlag)
+  .option(...outputFlag)
+  .option(...resumeBatchFlag)
+  .option(...usageFlag)
+  .option(...usageLogFlag)
+  .addHelpText('after', batchHelpText)
+  .action(executeBatchAction)
+
+program
+  .command('test')
+  .description('Run the test cases of presets and report which pass, exits with code 1 when a test fails')
+  .argument(
+    '[tests...]',
+    'Test files, directories with test files or paths or names of presets (default: .heyi/presets)',
+  )
+  .option(...recordFlag)
+  .option(...liveFlag)
+  .option(...testVerboseFlag)
+  .option(...profileFlag)
+  .addHelpText('after', testHelpText)
+  .action(executeTestAction)
+
+const cacheCommand = program.command('cache').description('Manage cached responses and URL contents')
+
+cacheCommand
+  .command('clear')
+  .description('Remove cached entries')
+  .argument('[type]', `Type of entries to remove: ${cacheNamespaces.join(', ')} (default: all)`)
+  .action(executeCacheClearAction)
+
+cacheCommand.command('stats').description('Show number and size of cached entries').action(executeCacheStatsAction)
+
+const configCommand = program
+  .command('config')
+  .description('Manage defaults in the config files of the user and the project')
+  .addHelpText('after', configHelpText)
+
+configCommand
+  .command('get')
+  .description('Show the value of a setting with config files, environment variables and profile applied')
+  .argument('<key>', 'Key of the setting, e.g. model')
+  .option(...profileFlag)
+  .action(executeConfigGetAction)
+
+configCommand
+  .command('set')
+  .description('Set the value of a setting in the config of the user or the project')
+  .argument('<key>', 'Key of the setting, e.g. model, or of a setting of a profile, e.g. profiles.work.model')
+  .argument('<value>', 'Value of the setting')
+  .option(...projectFlag)
+  .action(executeConfigSetAction)
+
+configCommand
+  .command('list')
+  .description('List the values set in the config files')
+  .option(...resolvedFlag)
+  .option(...profileFlag)
+  .action(executeConfigListAction)
+
+// Document the variables of a preset in the help of the preset command, e.g. heyi preset file.json --help
+if (process.argv[2] === 'preset' && hasFlag(['--help', '-h'])) {
+  const preset = findArgument(process.argv.slice(3), presetCommand)
+
+  // Subcommands like list have their own help
+  if (preset && presetCommand.commands.every((command) => command.name() !== preset)) {
+    try {
+      const presetContent = await loadPreset(preset)
+      presetCommand.addHelpText(
+        'after',
+        formatVariablesHelp(
+          getPresetTexts(presetContent),
+          presetContent.variables,
+          getStepVariableNames(presetContent),
+        ),
+      )
+    } catch (error) {
+      console.error(error)
+    }
+  }
+}
+
 program.parse()
@@ -0,0 +1,651 @@
+import { NoObjectGeneratedError, Output, generateText, isStepCount, streamText, wrapLanguageModel } from 'ai'
+import process from 'node:process'
+import { getCacheKey, readCache, writeCache } from './utils/cache.js'
+import { formatResult } from './utils/output.js'
+import { getCallSettings } from './utils/parameters.js'
+import { placeContext } from './utils/prompt.js'
+import { getProviderModel } from './utils/provider.js'
+import { withRetries } from './utils/retry.js'
+import { getFormatSchema, parseSchema } from './utils/schema.js'
+import { getCachedUsageRecord, getUsageRecord } from './utils/usage.js'
+
+/**
+ * Get the language model for the specified model name and provider.
+ * Every request to the model is retried on its own and limited in duration, so the steps before a failed request,
+ * e.g. tool calls of agent mode, aren't repeated.
+ *
+ * @param {object} options - Configuration options
+ * @param {string} options.model - The AI model to use
+ * @param {string} [options.provider] - The provider to use (openrouter, openai-compatible)
+ * @param {string} [options.baseUrl] - Base URL of the provider API
+ * @param {string} [options.apiKey] - API key of the provider (default: HEYI_API_KEY environment variable)
+ * @param {typeof fetch} [options.fetch] - Function that sends the requests to the provider (default: global fetch)
+ * @param {number} [options.retries] - Maximum number of retries of a failed request (default: 2)
+ * @param {number} [options.timeout] - Maximum duration of each request in seconds (default: no limit)
+ * @param {AbortSignal} [options.abortSignal] - Signal that stops retrying when aborted
+ * @param {(message: string) => void} [options.onLog] - Called with a message before every retry (default: none)
+ * @returns {import('ai').LanguageModel} The language model
+ */
+const getModel = ({
+  model,
+  provider = 'openrouter',
+  baseUrl,
+  apiKey = process.env.HEYI_API_KEY,
+  fetch,
+  retries = 2,
+  timeout,
+  abortSignal,
+  onLog,
+}) => {
+  const sendRequest = (send) => {
+    return withRetries(
+      async () => {
+        try {
+          return await send()
+        } catch (error) {
+          if (error.name === 'TimeoutError') {
+            throw new Error(`Request to ${model} timed out after ${timeout}s`, { cause: error })
+          }
+
+          throw error
+        }
+      },
+      { retries, label: `Request to ${model}`, signal: abortSignal, onLog },
+    )
+  }
+
+  return wrapLanguageModel({
+    model: getProviderModel(model, { provider, baseUrl, apiKey, fetch }),
+    middleware: {
+      wrapGenerate: ({ model: languageModel, params }) => {
+        return sendRequest(() => {
+          return languageModel.doGenerate({ ...params, abortSignal: getAbortSignal(params.abortSignal, timeout) })
+        })
+      },
+      wrapStream: ({ model: languageModel, params }) => {
+        return sendRequest(() => {
+          return languageModel.doStream({ ...params, abortSignal: getAbortSignal(params.abortSignal, timeout) })
+        })
+      },
+    },
+  })
+}
+
+/**
+ * Get the prompt input of the AI SDK for a prompt.
+ * Prompts with images consist of parts and prompts with messages before them, e.g. few-shot examples, have to be sent
+ * as messages.
+ *
+ * @param {string|Array<{type: string}>} prompt - The prompt as text or as text and file parts
+ * @param {object} [options] - Configuration options
+ * @param {string} [options.system] - The system message
+ * @param {Array<{role: string, content: *}>} [options.messages] - Messages before the prompt
+ * @returns {{system?: string, prompt: string}|{system?: string, messages: Array<{role: string, content: *}>}} The
+ * prompt input
+ */
+const getPromptInput = (prompt, options = {}) => {
+  const { system, messages = [] } = options
+  const systemInput = system ? { system } : {}
+
+  if (typeof prompt === 'string' && messages.length === 0) {
+    return { ...systemInput, prompt }
+  }
+
+  return { ...systemInput, messages: [...messages, { role: 'user', content: prompt }] }
+}
+
+/**
+ * Get the signal that stops a request when it is aborted or takes too long.
+ *
+ * @param {AbortSignal} [abortSignal] - Signal to stop the request
+ * @param {number} [timeout] - Maximum duration of the request in seconds (default: no limit)
+ * @returns {AbortSignal|undefined} The combined signal
+ */
+const getAbortSignal = (abortSignal, timeout) => {
+  const signals = [abortSignal, timeout ? AbortSignal.timeout(timeout * 1000) : undefined].filter(Boolean)
+
+  return signals.length > 0 ? AbortSignal.any(signals) : undefined
+}
+
+/**
+ * Get the options of the AI SDK that let the model call tools.
+ *
+ * @param {object} [tools] - The tools the model can call (see createTools)
+ * @param {number} [maxSteps] - Maximum number of steps, each step is a response of the model (default: 10)
+ * @returns {object} The options, empty when there are no tools
+ */
+const getToolOptions = (tools, maxSteps = 10) => {
+  return tools ? { tools, stopWhen: isStepCount(maxSteps) } : {}
+}
+
+/**
+ * Get the prompt input that asks the model to correct a response that doesn't match the format.
+ * The conversation is continued, so the model sees its invalid response and why it's invalid. In agent mode, the
+ * conversation includes the tool calls and their results, so the tools aren't called again.
+ *
+ * @param {object} promptInput - The prompt input of the invalid response (see getPromptInput)
+ * @param {Error} error - The NoObjectGeneratedError of the invalid response
+ * @param {Array<{role: string, content: *}>} [responseMessages] - The messages of the model and the tools that led to
+ * the invalid response (default: the invalid response)
+ * @returns {{system?: string, messages: Array<{role: string, content: *}>}} The prompt input with the correction
+ */
+const getCorrectionInput = (
+  promptInput,
+  error,
+  responseMessages = [{ role: 'assistant', content: error.text ?? '' }],
+) => {
+  const validationError = error.cause?.message ?? error.message
+
+  return {
+    system: promptInput.system,
+    messages: [
+      ...(promptInput.messages ?? [{ role: 'user', content: promptInput.prompt }]),
+      ...responseMessages,
+      {
+        role: 'user',
+        content: `Your response doesn't match the required format:\n${validationError}\n\nAnswer again with a response that matches the format.`,
+      },
+    ],
+  }
+}
+
+/**
+ * Generate the result of an AI prompt with a single model.
+ * Temporary errors are retried with backoff (see getModel) and responses that don't match the format are retried
+ * with the validation error, so the model can correct its response.
+ *
+ * @param {string|Array<{type: string}>} prompt - The user's prompt as text or as text and file parts
+ * @param {string} model - The AI model to use
+ * @param {object} options - Configuration options (see generateResult)
+ * @param {object} run - Tracks the tool calls and messages of the model (see withFallbackModels)
+ * @returns {Promise<*>} The AI response matching the format
+ */
+const generateModelResult = async (prompt, model, options, run) => {
+  const {
+    format = 'string',
+    schema,
+    choices,
+    retries = 2,
+    abortSignal,
+    onUsage,
+    tools,
+    maxSteps = 10,
+    parameters,
+    providerOptions,
+    onLog,
+  } = options
+
+  const languageModel = getModel({ ...options, model })
+  const output = Output.object({
+    schema: getFormatSchema(format, schema, choices),
+  })
+
+  let promptInput = getPromptInput(prompt, options)
+  for (let retry = 0; ; retry++) {
+    const startTime = performance.now()
+    try {
+      const result = await generateText({
+        model: languageModel,
+        ...promptInput,
+        output,
+        ...getCallSettings(parameters),
+        providerOptions,
+        ...getToolOptions(tools, maxSteps),
+        // Retries are handled by the model (see getModel)
+        maxRetries: 0,
+        abortSignal,
+        onStepFinish: ({ toolCalls }) => {
+          run.toolCalls += toolCalls.length
+        },
+        onFinish: (event) => {
+          run.responseMessages = event.responseMessages
+        },
+      })
+
+      onUsage?.(getUsageRecord(model, result, performance.now() - startTime))
+
+      // The model still wanted to call tools when it reached the step limit
+      if (result.finishReason === 'tool-calls') {
+        throw new Error(`${model} reached the limit of ${maxSteps} steps without answering`)
+      }
+
+      return result.output.result
+    } catch (error) {
+      // Responses that don't match the format have been generated, so their tokens count too
+      if (NoObjectGeneratedError.isInstance(error)) {
+        onUsage?.(getUsageRecord(model, error, performance.now() - startTime))
+      }
+
+      if (retry >= retries || !NoObjectGeneratedError.isInstance(error)) throw error
+
+      onLog?.(
+        `Response of ${model} doesn't match the format. Retrying with the validation error (retry ${retry + 1} of ${retries})`,
+      )
+
+      promptInput = getCorrectionInput(promptInput, error, run.responseMessages)
+    }
+  }
+}
+
+/**
+ * Call a function with the model and, when it fails, with each fallback model in order until one succeeds.
+ * Models that fail after they called tools don't fall back, as the fallback model would call the tools again.
+ *
+ * @param {object} options - Configuration options
+ * @param {string} options.model - The AI model to use
+ * @param {string[]} [options.fallbackModels] - Models to try in order when the model fails (default: none)
+ * @param {AbortSignal} [options.abortSignal] - Signal that stops falling back when aborted
+ * @param {(message: string) => void} [options.onLog] - Called with a message when falling back (default: none)
+ * @param {(model: string, run: object) => Promise<*>} fn - The function that answers the prompt with a model and
+ * tracks its tool calls and messages in run
+ * @returns {Promise<*>} The result of the first model that succeeded
+ * @throws {Error} The error of the last model
+ */
+const withFallbackModels = async (options, fn) => {
+  const { model, fallbackModels = [], abortSignal, onLog } = options
+  const models = [model, ...fallbackModels]
+
+  for (const [index, currentModel] of models.entries()) {
+    // The tool calls of the model and the messages of its last response
+    const run = { toolCalls: 0 }
+    try {
+      const result = await fn(currentModel, run)
+
+      // The answer could come from any of the models, so tell which one it was. Without fallback models it's always
+      // the model of the prompt. The model of every answer is part of its usage record, e.g. for --json-envelope
+      if (fallbackModels.length > 0) onLog?.(`Answered by ${currentModel}`)
+
+      return result
+    } catch (error) {
+      if (index === models.length - 1 || abortSignal?.aborted || run.toolCalls > 0) throw error
+
+      onLog?.(`${currentModel} failed: ${error.message}. Falling back to ${models[index + 1]}`)
+    }
+  }
+}
+
+/**
+ * Get the key of the cached response of a prompt. Identical requests produce the same key, so their response can be
+ * reused by generateResult and streamPrompt.
+ *
+ * @param {string|Array<{type: string}>} prompt - The user's prompt as text or as text and file parts
+ * @param {object} options - Configuration options (see generateResult)
+ * @returns {string|null} The cache key, null when the cache is disabled or the model can call tools
+ */
+const getResponseCacheKey = (prompt, options) => {
+  const {
+    model,
+    fallbackModels = [],
+    provider = 'openrouter',
+    baseUrl,
+    format = 'string',
+    schema,
+    choices,
+    system,
+    messages,
+    parameters,
+    providerOptions,
+    cacheTtl = 0,
+    tools,
+  } = options
+
+  // Responses of models that call tools depend on the results of the tools, which can change
+  if (tools || cacheTtl <= 0) return null
+
+  return getCacheKey({
+    prompt,
+    system,
+    messages,
+    model,
+    // Answers of fallback models are cached too, so they are only reused with the same fallback models
+    fallbackModels,
+    provider,
+    baseUrl,
+    format,
+    schema,
+    choices,
+    parameters,
+    providerOptions,
+  })
+}
+
+/**
+ * Generate the result of an AI prompt with the specified model and format without formatting it.
+ *
+ * @param {string|Array<{type: string}>} prompt - The user's prompt as text or as text and file parts
+ * @param {object} options - Configuration options
+ * @param {string} options.model - The AI model to use
+ * @param {string[]} [options.fallbackModels] - Models to try in order when the model fails (default: none)
+ * @param {string} [options.provider] - The provider to use (openrouter, openai-compatible)
+ * @param {string} [options.baseUrl] - Base URL of the provider API
+ * @param {string} [options.apiKey] - API key of the provider (default: HEYI_API_KEY environment variable)
+ * @param {typeof fetch} [options.fetch] - Function that sends the requests to the provider (default: global fetch)
+ * @param {string} options.format - The output format (string, number, boolean, enum, object, array)
+ * @param {string|object} options.schema - The Zod schema string or JSON Schema for object/array format
+ * @param {string[]} [options.choices] - The allowed values for enum format
+ * @param {string} [options.system] - The system message
+ * @param {Array<{role: string, content: *}>} [options.messages] - Messages before the prompt, e.g. few-shot examples
+ * @param {object} [options.parameters] - Sampling and reasoning parameters of the model (see getCallSettings)
+ * @param {object} [options.providerOptions] - Options of the providers with the name of the provider as key
+ * @param {number} [options.retries] - Maximum number of retries of failed requests and responses that don't match
+ * the format (default: 2)
+ * @param {number} [options.timeout] - Maximum duration of each request in seconds (default: no limit)
+ * @param {AbortSignal} [options.abortSignal] - Signal to stop the generation
+ * @param {number} [options.cacheTtl] - Reuse cached responses that are younger than this many seconds (default: 0, disabled)
+ * @param {(message: string) => void} [options.onLog] - Called with progress messages, e.g. of retries and fallback models
+ * (default: none)
+ * @param {(record: object) => void} [options.onUsage] - Called with the usage record of every request and cached
+ * response (see getUsageRecord)
+ * @param {object} [options.tools] - Tools the model can call while generating the response (see createTools)
+ * @param {number} [options.maxSteps] - Maximum number of steps when the model calls tools (default: 10)
+ * @returns {Promise<*>} The AI response matching the format
+ */
+export const generateResult = async (prompt, options = {}) => {
+  const { model, cacheTtl = 0 } = options
+
+  const cacheKey = getResponseCacheKey(prompt, options)
+  if (cacheKey) {
+    const cached = await readCache('responses', cacheKey, cacheTtl)
+    if (cached) {
+      options.onUsage?.(getCachedUsageRecord(model))
+      return cached.value
+    }
+  }
+
+  const result = await withFallbackModels(options, (currentModel, run) => {
+    return generateModelResult(prompt, currentModel, options, run)
+  })
+
+  if (cacheKey) {
+    await writeCache('responses', cacheKey, result)
+  }
+
+  return result
+}
+
+/**
+ * Execute an AI prompt with the specified model and format.
+ *
+ * @param {string|Array<{type: string}>} prompt - The user's prompt as text or as text and file parts
+ * @param {object} options - Configuration options
+ * @param {string} options.model - The AI model to use
+ * @param {string} [options.provider] - The provider to use (openrouter, openai-compatible)
+ * @param {string} [options.baseUrl] - Base URL of the provider API
+ * @param {string} [options.apiKey] - API key of the provider (default: HEYI_API_KEY environment variable)
+ * @param {typeof fetch} [options.fetch] - Function that sends the requests to the provider (default: global fetch)
+ * @param {string} options.format - The output format (string, number, boolean, enum, object, array)
+ * @param {string|object} options.schema - The Zod schema string or JSON Schema for object/array format
+ * @param {string[]} [options.choices] - The allowed values for enum format
+ * @param {string} [options.system] - The system message
+ * @param {Array<{role: string, content: *}>} [options.messages] - Messages before the prompt, e.g. few-shot examples
+ * @param {object} [options.parameters] - Sampling and reasoning parameters of the model (see getCallSettings)
+ * @param {object} [options.providerOptions] - Options of the providers with the name of the provider as key
+ * @param {number} [options.cacheTtl] - Reuse cached responses that are younger than this many seconds (default: 0, disabled)
+ * @param {string} [options.outputFormat] - How to render the result: json, yaml, csv or table (see formatResult)
+ * @param {(record: object) => void} [options.onUsage] - Called with the usage record of every request (see generateResult)
+ * @returns {Promise<string|number|boolean>} The formatted AI response
+ */
+export const executePrompt = async (prompt, options = {}) => {
+  const { format = 'string', outputFormat } = options
+
+  const result = await generateResult(prompt, options)
+
+  return formatResult(result, format, outputFormat)
+}
+
+/**
+ * Generate the result of an AI prompt for each chunk of a context and combine the partial results.
+ * Results of the array format are merged and de-duplicated, other formats are combined by the AI model.
+ *
+ * @param {string} prompt - The user's prompt without context
+ * @param {Array<Array<{path: string}>>} contexts - The chunks of the context (see fitContext)
+ * @param {object} options - Configuration options (see generateResult)
+ * @param {string} [options.contextPlacement] - Where to place each chunk: 'inline', 'system' or 'message'
+ * (see placeContext)
+ * @returns {Promise<*>} The combined AI response matching the format
+ */
+export const generateMapReduceResult = async (prompt, contexts, options = {}) => {
+  const { format = 'string', onLog } = options
+
+  const results = []
+  for (const [index, context] of contexts.entries()) {
+    onLog?.(`Processing chunk ${index + 1} of ${contexts.length}`)
+    const { prompt: chunkPrompt, ...input } = placeContext(prompt, context, options)
+    results.push(await generateResult(chunkPrompt, { ...options, ...input }))
+  }
+
+  if (results.length === 1) {
+    return results[0]
+  }
+
+  if (format === 'array') {
+    // Elements found in multiple chunks are only kept once
+    const elements = new Map(results.flat().map((element) => [JSON.stringify(element), element]))
+    return elements.values().toArray()
+  }
+
+  const partialResults = results
+    .map((result, index) => `Partial answer ${index + 1}:\n${formatResult(result, format)}`)
+    .join('\n\n---\n\n')
+  const reducePrompt = `${prompt}\n\nThe context of this prompt was too large, so it has been split into ${results.length} parts and the prompt has been answered for each part. Combine the following partial answers into one answer to the prompt.\n\n${partialResults}`
+
+  onLog?.(`Combining ${results.length} partial answers`)
+  return generateResult(reducePrompt, options)
+}
+
+/**
+ * Execute an AI prompt for each chunk of a context and combine the partial results (see generateMapReduceResult).
+ *
+ * @param {string} prompt - The user's prompt without context
+ * @param {Array<Array<{path: string}>>} contexts - The chunks of the context (see fitContext)
+ * @param {object} options - Configuration options (see executePrompt)
+ * @returns {Promise<string|number|boolean>} The formatted AI response
+ */
+export const executeMapReducePrompt = async (prompt, contexts, options = {}) => {
+  const { format = 'string', outputFormat } = options
+
+  const result = await generateMapReduceResult(prompt, contexts, options)
+
+  return formatResult(result, format, outputFormat)
+}
+
+/**
+ * Start streaming the response of a single model and wait for its first chunk, so responses that fail before they
+ * start can be answered by another model.
+ *
+ * @param {object} promptInput - The prompt input (see getPromptInput)
+ * @param {string} model - The AI model to use
+ * @param {object} options - Configuration options (see streamPrompt)
+ * @param {object} run - Tracks the tool calls and messages of the model (see withFallbackModels)
+ * @returns {Promise<{first: object, chunks: object, result: object, state: {error?: Error}}>} The first chunk, the
+ * async iterator of the remaining chunks, the result of streamText and the error of the stream
+ * @throws {Error} If the request fails before the first chunk or an array without elements doesn't match the schema
+ */
+const startModelStream = async (promptInput, model, options, run) => {
+  const { format, schema, timeout, abortSignal, onUsage, tools, maxSteps = 10, parameters, providerOptions } = options
+
+  // Errors are not thrown by the streams, so remember them and throw them once the stream ended
+  const state = {}
+  const startTime = performance.now()
+  const result = streamText({
+    model: getModel({ ...options, model }),
+    ...promptInput,
+    abortSignal,
+    // Retries are handled by the model (see getModel)
+    maxRetries: 0,
+    ...getCallSettings(parameters),
+    providerOptions,
+    ...getToolOptions(tools, maxSteps),
+    ...(format === 'array' && { output: Output.array({ element: parseSchema(schema) }) }),
+    onError: ({ error }) => {
+      state.error =
+        error.name === 'TimeoutError'
+          ? new Error(`Request to ${model} timed out after ${timeout}s`, { cause: error })
+          : error
+    },
+    onStepFinish: ({ toolCalls }) => {
+      run.toolCalls += toolCalls.length
+    },
+    onFinish: (event) => {
+      run.responseMessages = event.responseMessages
+      onUsage?.(getUsageRecord(model, event, performance.now() - startTime))
+
+      // The model still wanted to call tools when it reached the step limit
+      if (event.finishReason === 'tool-calls') {
+        state.error ??= new Error(`${model} reached the limit of ${maxSteps} steps without answering`)
+      }
+    },
+  })
+
+  // Element streams are only available with an array output
+  const chunks = (format === 'array' ? result.elementStream : result.textStream)[Symbol.asyncIterator]()
+  const first = await chunks.next()
+  if (state.error) throw state.error
+
+  // Arrays without elements could still be invalid, which can be corrected as nothing has been yielded yet
+  if (format === 'array' && first.done) await result.output
+
+  return { first, chunks, result, state }
+}
+
+/**
+ * Start streaming the response of a single model. Temporary errors are retried with backoff (see getModel) and arrays
+ * without elements that don't match the schema are retried with the validation error, so the model can correct its
+ * response.
+ *
+ * @param {string|Array<{type: string}>} prompt - The user's prompt as text or as text and file parts
+ * @param {string} model - The AI model to use
+ * @param {object} options - Configuration options (see streamPrompt)
+ * @param {object} run - Tracks the tool calls and messages of the model (see withFallbackModels)
+ * @returns {Promise<object>} The started stream (see startModelStream)
+ */
+const startModelStreamWithRetries = async (prompt, model, options, run) => {
+  const { retries = 2, onLog } = options
+
+  let promptInput = getPromptInput(prompt, options)
+  for (let retry = 0; ; retry++) {
+    try {
+      return await startModelStream(promptInput, model, options, run)
+    } catch (error) {
+      if (retry >= retries || !NoObjectGeneratedError.isInstance(error)) throw error
+
+      onLog?.(
+        `Response of ${model} doesn't match the format. Retrying with the validation error (retry ${retry + 1} of ${retries})`,
+      )
+      promptInput = getCorrectionInput(promptInput, error, run.responseMessages)
+    }
+  }
+}
+
+/**
+ * Execute an AI prompt and stream the response while it is generated.
+ * Yields text deltas for the string format and one JSONL line per validated element for the array format.
+ * Other formats can't be streamed and yield the complete response once it is available.
+ * Like generateResult, requests that fail before the response starts are retried, answered by the fallback models and
+ * arrays without elements that don't match the schema are corrected by the model. Errors after the first chunk are
+ * thrown once the stream ended, as the chunks have been yielded already.
+ *
+ * @param {string|Array<{type: string}>} prompt - The user's prompt as text or as text and file parts
+ * @param {object} options - Configuration options
+ * @param {string} options.model - The AI model to use
+ * @param {string[]} [options.fallbackModels] - Models to try in order when the model fails before the response
+ * starts (default: none)
+ * @param {string} [options.provider] - The provider to use (openrouter, openai-compatible)
+ * @param {string} [options.baseUrl] - Base URL of the provider API
+ * @param {string} [options.apiKey] - API key of the provider (default: HEYI_API_KEY environment variable)
+ * @param {typeof fetch} [options.fetch] - Function that sends the requests to the provider (default: global fetch)
+ * @param {string} options.format - The output format (string, number, boolean, enum, object, array)
+ * @param {string|object} options.schema - The Zod schema string or JSON Schema for object/array format
+ * @param {string[]} [options.choices] - The allowed values for enum format
+ * @param {string} [options.system] - The system message
+ * @param {Array<{role: string, content: *}>} [options.messages] - Messages before the prompt, e.g. few-shot examples
+ * @param {object} [options.parameters] - Sampling and reasoning parameters of the model (see getCallSettings)
+ * @param {object} [options.providerOptions] - Options of the providers with the name of the provider as key
+ * @param {number} [options.retries] - Maximum number of retries of a failed request before the response
+ * starts (default: 2)
+ * @param {number} [options.timeout] - Maximum duration of the request in seconds (default: no limit)
+ * @param {AbortSignal} [options.abortSignal] - Signal to stop the generation
+ * @param {number} [options.cacheTtl] - Reuse cached responses that are younger than this many seconds (default: 0, disabled)
+ * @param {(message: string) => void} [options.onLog] - Called with progress messages, e.g. of retries and fallback models
+ * (default: none)
+ * @param {(record: object) => void} [options.onUsage] - Called with the usage record once the response is complete
+ * (see getUsageRecord)
+ * @param {object} [options.tools] - Tools the model can call while generating the response (see createTools)
+ * @param {number} [options.maxSteps] - Maximum number of steps when the model calls tools (default: 10)
+ * @yields {string} Chunks of the AI response
+ */
+export const streamPrompt = async function* (prompt, options = {}) {
+  const { model, format = 'string', cacheTtl = 0 } = options
+
+  if (!['string', 'array'].includes(format)) {
+    yield String(await executePrompt(prompt, options))
+    return
+  }
+
+  // Cached responses are complete, so they are replayed at once
+  const cacheKey = getResponseCacheKey(prompt, options)
+  const cached = cacheKey ? await readCache('responses', cacheKey, cacheTtl) : null
+  if (cached) {
+    options.onUsage?.(getCachedUsageRecord(model))
+    yield format === 'array' ? cached.value.map((element) => `${JSON.stringify(element)}\n`).join('') : cached.value
+    return
+  }
+
+  const { first, chunks, result, state } = await withFallbackModels(options, (currentModel, run) => {
+    return startModelStreamWithRetries(prompt, currentModel, { ...options, format }, run)
+  })
+
+  let text = ''
+  for (let chunk = first; !chunk.done; chunk = await chunks.next()) {
+    if (format === 'string') text += chunk.value
+    yield format === 'array' ? `${JSON.stringify(chunk.value)}\n` : chunk.value
+  }
+
+  if (state.error) throw state.error
+
+  // Fails when the complete response isn't a valid array
+  const value = format === 'array' ? await result.output : text
+
+  if (cacheKey) {
+    await writeCache('responses', cacheKey, value)
+  }
+}
+
+/**
+ * Continue a conversation and stream the response of the AI model while it is generated.
+ * Like streamPrompt, requests that fail before the response starts are retried.
+ *
+ * @param {Array<{role: string, content: string|Array<{type: string}>}>} messages - The conversation history, ending with the user's message
+ * @param {object} options - Configuration options
+ * @param {string} options.model - The AI model to use
+ * @param {string} [options.provider] - The provider to use (openrouter, openai-compatible)
+ * @param {string} [options.baseUrl] - Base URL of the provider API
+ * @param {string} [options.apiKey] - API key of the provider (default: HEYI_API_KEY environment variable)
+ * @param {typeof fetch} [options.fetch] - Function that sends the requests to the provider (default: global fetch)
+ * @param {object} [options.parameters] - Sampling and reasoning parameters of the model (see getCallSettings)
+ * @param {object} [options.providerOptions] - Options of the providers with the name of the provider as key
+ * @param {number} [options.retries] - Maximum number of retries of a failed request before the response
+ * starts (default: 2)
+ * @param {number} [options.timeout] - Maximum duration of the request in seconds (default: no limit)
+ * @param {AbortSignal} [options.abortSignal] - Signal to stop the generation
+ * @param {(message: string) => void} [options.onLog] - Called with progress messages, e.g. of retries (default: none)
+ * @param {(record: object) => void} [options.onUsage] - Called with the usage record once the response is complete
+ * (see getUsageRecord)
+ * @yields {string} Text deltas of the AI response
+ */
+export const streamChat = async function* (messages, options = {}) {
+  const { model } = options
+
+  const { first, chunks, state } = await startModelStream(
+    { messages },
+    model,
+    { ...options, format: 'string' },
+    { toolCalls: 0 },
+  )
+
+  for (let chunk = first; !chunk.done; chunk = await chunks.next()) {
+    yield chunk.value
+  }
+
+  if (state.error) throw state.error
+}
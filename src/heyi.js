@@ -0,0 +1,678 @@
+import { z } from 'zod'
+import { generateMapReduceResult, generateResult, streamChat, streamPrompt } from './generate.js'
+import { parseDuration } from './utils/cache.js'
+import { defaultSettings } from './utils/config.js'
+import {
+  ContextError,
+  GenerationError,
+  HeyiError,
+  MissingVariablesError,
+  PresetError,
+  ValidationError,
+} from './utils/errors.js'
+import { parseSize } from './utils/files.js'
+import { formatResult } from './utils/output.js'
+import { parametersSchema, providerOptionsSchema } from './utils/parameters.js'
+import { defaultItemName, loadPreset, messageSchema, variableSchema } from './utils/preset.js'
+import { buildContext, getPromptTexts, placeContext } from './utils/prompt.js'
+import { fitContext } from './utils/tokens.js'
+import { createTools, toolNames } from './utils/tools.js'
+import { sumUsage } from './utils/usage.js'
+import {
+  findMissingVariables,
+  loadVariables,
+  parseVariableValue,
+  readFileVariables,
+  replaceVariables,
+  validateVariables,
+} from './utils/variables.js'
+
+// Options of which the values are appended to the values of defaults and presets instead of replacing them
+const appendedOptions = new Set(['files', 'urls', 'exclude', 'allowedCommands', 'varsFiles'])
+
+// Options with entries that are merged into the entries of defaults and presets
+const mergedOptions = new Set(['parameters', 'variables', 'vars'])
+
+// Durations and sizes can be given as text with unit (e.g. 30s, 2mb) or as number of seconds or bytes
+const amountSchema = z.union([z.string(), z.number().nonnegative()])
+
+const functionSchema = z.custom((value) => typeof value === 'function', { message: 'Expected a function' })
+
+const runOptionsSchema = z
+  .object({
+    model: z.string().min(1),
+    fallbackModels: z.array(z.string().min(1)).default([]),
+    parameters: parametersSchema.default({}),
+    providerOptions: providerOptionsSchema.optional(),
+    retries: z.coerce.number().int().nonnegative(),
+    timeout: amountSchema.optional(),
+    provider: z.enum(['openrouter', 'openai-compatible']),
+    baseUrl: z.string().optional(),
+    format: z.enum(['string', 'number', 'boolean', 'enum', 'object', 'array']),
+    schema: z.union([z.string(), z.record(z.string(), z.unknown())]).optional(),
+    choices: z.array(z.string()).optional(),
+    system: z.string().optional(),
+    messages: z.array(messageSchema).default([]),
+    crawler: z.enum(['fetch', 'chrome']),
+    extract: z.string().min(1),
+    cache: z.boolean(),
+    cacheTtl: amountSchema,
+    urlCacheTtl: amountSchema.optional(),
+    files: z.array(z.string()).default([]),
+    exclude: z.array(z.string()).default([]),
+    urls: z.array(z.string()).default([]),
+    context: z.array(z.looseObject({ path: z.string() })).optional(),
+    maxFileSize: amountSchema.optional(),
+    maxTotalSize: amountSchema.optional(),
+    maxContextTokens: z.coerce.number().int().positive().optional(),
+    contextStrategy: z.enum(['fail', 'truncate', 'map-reduce']),
+    contextPlacement: z.enum(['inline', 'system', 'message']),
+    agent: z.boolean().default(false),
+    tools: z.array(z.enum(toolNames)).optional(),
+    allowedDirectory: z.string().optional(),
+    allowedCommands: z.array(z.string()).default([]),
+    maxSteps: z.coerce.number().int().positive().default(10),
+    confirm: z.boolean().default(true),
+    onConfirm: functionSchema.optional(),
+    variables: z.record(z.string(), variableSchema).default({}),
+    vars: z.record(z.string(), z.string()).default({}),
+    varsFiles: z.array(z.string()).default([]),
+    allowVarCommands: z.boolean().default(false),
+    allowVarEnv: z.boolean().default(false),
+    signal: z.instanceof(AbortSignal).optional(),
+    onUsage: functionSchema.optional(),
+    onMissingVariable: functionSchema.optional(),
+    onLog: functionSchema.optional(),
+  })
+  .refine((data) => !['object', 'array'].includes(data.format) || data.schema, {
+    message: 'schema is required when format is object or array',
+    path: ['schema'],
+  })
+  .refine((data) => data.format !== 'enum' || data.choices?.length > 0, {
+    message: 'choices are required when format is enum',
+    path: ['choices'],
+  })
+
+/**
+ * Merge options in order of precedence, e.g. defaults, preset and options of a run.
+ * Files, URLs, exclude patterns, allowed commands and variables files are appended, parameters, declared variables
+ * and variable values are merged by name and all other options replace the ones of lower precedence.
+ * Options that are undefined are skipped.
+ *
+ * @param {...object} optionSets - The options, the last ones take precedence
+ * @returns {object} The merged options
+ */
+export const mergeOptions = (...optionSets) => {
+  const merged = {}
+  const entries = optionSets.flatMap((options) => Object.entries(options ?? {}))
+
+  for (const [key, value] of entries) {
+    if (value === undefined) continue
+
+    if (appendedOptions.has(key)) {
+      // Sources of multiple option sets are only used once
+      merged[key] = [...new Set([...(merged[key] ?? []), ...value])]
+    } else if (mergedOptions.has(key)) {
+      merged[key] = { ...merged[key], ...value }
+    } else {
+      merged[key] = value
+    }
+  }
+
+  return merged
+}
+
+/**
+ * Run a function and turn its errors into errors of the library.
+ * Errors of the library are thrown as they are, so the most specific type is kept.
+ *
+ * @param {typeof HeyiError} ErrorClass - Class of the error to throw
+ * @param {() => *} fn - The function to run
+ * @returns {Promise<*>} The result of the function
+ */
+const withErrorType = async (ErrorClass, fn) => {
+  try {
+    return await fn()
+  } catch (error) {
+    throw error instanceof HeyiError ? error : new ErrorClass(error.message, { cause: error })
+  }
+}
+
+/**
+ * Run a generation and turn its errors into generation errors.
+ * Errors of aborted generations are thrown as they are, so they can be told apart from failures.
+ *
+ * @param {AbortSignal} [signal] - Signal that stops the generation
+ * @param {() => Promise<*>} fn - The generation
+ * @returns {Promise<*>} The result of the generation
+ */
+const withGenerationError = async (signal, fn) => {
+  try {
+    return await fn()
+  } catch (error) {
+    if (signal?.aborted) throw error
+
+    throw new GenerationError(error.message, { cause: error })
+  }
+}
+
+/**
+ * Run a stream and turn its errors into generation errors (see withGenerationError).
+ *
+ * @param {AbortSignal} [signal] - Signal that stops the stream
+ * @param {object} chunks - Async iterable with the chunks of the stream
+ * @yields {string} The chunks
+ */
+const withStreamGenerationError = async function* (signal, chunks) {
+  try {
+    yield* chunks
+  } catch (error) {
+    if (signal?.aborted) throw error
+
+    throw new GenerationError(error.message, { cause: error })
+  }
+}
+
+/**
+ * Validate run options and add the defaults of options that aren't set.
+ *
+ * @param {object} options - The merged options (see mergeOptions)
+ * @returns {object} The validated options
+ * @throws {ValidationError} If options are invalid
+ */
+const parseRunOptions = (options) => {
+  const result = runOptionsSchema.safeParse(options)
+  if (!result.success) {
+    throw new ValidationError(`Invalid options:\n${z.prettifyError(result.error)}`, { cause: result.error })
+  }
+
+  return result.data
+}
+
+/**
+ * Get the options of buildContext for run options.
+ *
+ * @param {object} options - The validated run options
+ * @param {typeof fetch} [fetch] - Function that sends the requests of the fetch crawler
+ * @returns {object} The options for reading files and fetching URLs
+ */
+const getContextOptions = (options, fetch) => {
+  return {
+    exclude: options.exclude,
+    maxFileSize: options.maxFileSize === undefined ? undefined : parseSize(options.maxFileSize),
+    maxTotalSize: options.maxTotalSize === undefined ? undefined : parseSize(options.maxTotalSize),
+    crawler: options.crawler,
+    extract: options.extract,
+    urlCacheTtl: options.urlCacheTtl === undefined ? 0 : parseDuration(options.urlCacheTtl),
+    fetch,
+    onLog: options.onLog,
+  }
+}
+
+/**
+ * Get the options of generateResult and streamPrompt for run options.
+ *
+ * @param {object} options - The validated run options
+ * @param {string} [apiKey] - API key of the provider
+ * @param {typeof fetch} [fetch] - Function that sends the requests to the provider
+ * @returns {object} The options of the generation
+ */
+const getPromptOptions = (options, apiKey, fetch) => {
+  return {
+    model: options.model,
+    parameters: options.parameters,
+    providerOptions: options.providerOptions,
+    fallbackModels: options.fallbackModels,
+    retries: options.retries,
+    timeout: options.timeout === undefined ? undefined : parseDuration(options.timeout),
+    provider: options.provider,
+    baseUrl: options.baseUrl,
+    apiKey,
+    fetch,
+    format: options.format,
+    schema: options.schema,
+    choices: options.choices,
+    contextPlacement: options.contextPlacement,
+    cacheTtl: options.cache ? parseDuration(options.cacheTtl) : 0,
+    // Selecting tools enables agent mode, agent alone enables the default tools
+    tools:
+      options.agent || options.tools
+        ? createTools({
+            tools: options.tools,
+            directory: options.allowedDirectory,
+            commands: options.allowedCommands,
+            confirm: options.confirm,
+            onConfirm: options.onConfirm,
+            ...getContextOptions(options, fetch),
+          })
+        : undefined,
+    maxSteps: options.maxSteps,
+    abortSignal: options.signal,
+    onLog: options.onLog,
+  }
+}
+
+/**
+ * Load the variables of a run, validate them against their declarations and ask for missing ones.
+ *
+ * @param {string[]} texts - All texts of the prompt (see getPromptTexts)
+ * @param {object} options - The validated run options
+ * @returns {Promise<object>} The variables with the content of file variables
+ * @throws {MissingVariablesError} If variables are missing and there is no onMissingVariable option
+ */
+const resolveRunVariables = async (texts, options) => {
+  const { variables: definitions, onMissingVariable } = options
+
+  const variables = await withErrorType(ValidationError, async () => {
+    const loadedVariables = await loadVariables(options.vars, {
+      files: options.varsFiles,
+      definitions,
+      allowCommands: options.allowVarCommands,
+      allowEnv: options.allowVarEnv,
+    })
+
+    return validateVariables(loadedVariables, definitions)
+  })
+
+  const missingVariables = await withErrorType(ValidationError, () => {
+    return findMissingVariables(texts, variables, definitions)
+  })
+  if (!onMissingVariable && missingVariables.length > 0) {
+    throw new MissingVariablesError(missingVariables)
+  }
+
+  for (const variable of missingVariables) {
+    const definition = definitions[variable.name]
+    const value = await onMissingVariable({ ...variable, definition })
+
+    variables[variable.name] = await withErrorType(ValidationError, () => {
+      return definition ? parseVariableValue(variable.name, String(value), definition) : String(value)
+    })
+  }
+
+  return withErrorType(ValidationError, () => readFileVariables(variables, definitions))
+}
+
+/**
+ * Load a preset unless it has been loaded already.
+ *
+ * @param {string|object} preset - Path or name of the preset or a preset returned by loadPreset
+ * @returns {Promise<object>} The preset
+ * @throws {PresetError} If the preset can't be loaded
+ */
+const resolvePresetReference = (preset) => {
+  return withErrorType(PresetError, () => (typeof preset === 'string' ? loadPreset(preset) : preset))
+}
+
+/**
+ * Place the context of a run that hasn't been split.
+ *
+ * @param {string} prompt - The prompt with variables replaced
+ * @param {Array<object>} context - The context
+ * @param {object} promptOptions - The options of the generation
+ * @returns {Promise<object>} The prompt and the options of the generation with the context placed
+ */
+const placeRunContext = (prompt, context, promptOptions) => {
+  return withErrorType(ValidationError, () => {
+    const { prompt: finalPrompt, ...promptInput } = placeContext(prompt, context, promptOptions)
+    return { prompt: finalPrompt, promptOptions: { ...promptOptions, ...promptInput } }
+  })
+}
+
+/**
+ * Convert the result of a step into the value of a variable. Objects and arrays are converted to JSON, so their
+ * fields can be accessed in later steps, e.g. {{extract.title}}.
+ *
+ * @param {*} value - The result
+ * @returns {string} The value of the variable
+ */
+const toVariableValue = (value) => {
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Get the array a step fans out over from its each path, e.g. extract or extract.items.
+ *
+ * @param {object} step - The step
+ * @param {object} variables - The variables with the results of earlier steps
+ * @returns {Array} The elements of the array
+ * @throws {ValidationError} If the path doesn't reference a JSON array
+ */
+const getEachItems = (step, variables) => {
+  const [name, ...fields] = step.each.split('.')
+  let value = Object.hasOwn(variables, name) ? variables[name] : undefined
+
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value)
+    } catch (error) {
+      throw new ValidationError(`Variable '${name}' of step '${step.name}' must be JSON to use it with each`, {
+        cause: error,
+      })
+    }
+  }
+
+  for (const field of fields) {
+    value = typeof value === 'object' && value !== null && Object.hasOwn(value, field) ? value[field] : undefined
+  }
+
+  if (!Array.isArray(value)) {
+    throw new ValidationError(`'${step.each}' of step '${step.name}' must be an array to use it with each`)
+  }
+
+  return value
+}
+
+/**
+ * Create an instance of heyi with its own configuration. Nothing is read from config files, .env files or the
+ * command line, only the API key falls back to the HEYI_API_KEY environment variable.
+ *
+ * Options of runs take precedence over presets, presets over the defaults of the instance and those over the
+ * built-in defaults (see mergeOptions).
+ *
+ * @param {object} [config] - Configuration of the instance
+ * @param {string} [config.provider] - The provider to use: 'openrouter' or 'openai-compatible' (default: 'openrouter')
+ * @param {string} [config.baseUrl] - Base URL of the provider API (required for 'openai-compatible')
+ * @param {string} [config.apiKey] - API key of the provider (default: HEYI_API_KEY environment variable)
+ * @param {typeof fetch} [config.fetch] - Function that sends the requests to the provider and of URLs fetched with
+ * the fetch crawler, e.g. to record them (default: global fetch)
+ * @param {object} [config.defaults] - Default options of all runs, e.g. the model
+ * @param {(message: string) => void} [config.onLog] - Called with progress messages and warnings, e.g. of retries,
+ * fallback models, tool calls and skipped files. Nothing is written to stderr by the library (default: none)
+ * @returns {object} The instance with run, stream, chat, runPreset, streamPreset, buildContext and loadPreset
+ */
+export const createHeyi = (config = {}) => {
+  const { provider, baseUrl, apiKey, fetch, defaults, onLog } = config
+  const baseOptions = mergeOptions(defaultSettings, defaults, { provider, baseUrl, onLog })
+
+  /**
+   * Validate the options of a run, resolve its variables and build its context.
+   *
+   * @param {string} prompt - The prompt with variables
+   * @param {object} options - Options of the run
+   * @returns {Promise<{prompt: string, contexts: Array<Array<object>>, promptOptions: object, usageRecords: object[]}>}
+   * The prompt with variables replaced, the chunks of the context and the options of the generation
+   */
+  const prepareRun = async (prompt, options) => {
+    const runOptions = parseRunOptions(mergeOptions(baseOptions, options))
+    const variables = await resolveRunVariables(getPromptTexts(prompt, runOptions), runOptions)
+
+    const { userPrompt, system, messages } = await withErrorType(ValidationError, () => {
+      const templateOptions = { allowEnv: runOptions.allowVarEnv }
+
+      return {
+        userPrompt: replaceVariables(prompt, variables, templateOptions),
+        system:
+          runOptions.system === undefined ? undefined : replaceVariables(runOptions.system, variables, templateOptions),
+        messages: runOptions.messages.map((message) => ({
+          ...message,
+          content: replaceVariables(message.content, variables, templateOptions),
+        })),
+      }
+    })
+
+    const contexts = await withErrorType(ContextError, async () => {
+      const context =
+        runOptions.context ??
+        (await buildContext(runOptions.files, runOptions.urls, getContextOptions(runOptions, fetch)))
+
+      return fitContext(context, {
+        maxTokens: runOptions.maxContextTokens,
+        strategy: runOptions.contextStrategy,
+        onLog: runOptions.onLog,
+      })
+    })
+
+    // Usage of all requests of the run, e.g. of fallback models or the chunks of map-reduce
+    const usageRecords = []
+    const promptOptions = await withErrorType(ValidationError, () => ({
+      ...getPromptOptions(runOptions, apiKey, fetch),
+      system,
+      messages,
+      onUsage: (record) => {
+        usageRecords.push(record)
+        runOptions.onUsage?.(record)
+      },
+    }))
+
+    return { prompt: userPrompt, contexts, promptOptions, usageRecords }
+  }
+
+  /**
+   * Run a prompt and return the result matching the format.
+   * Contexts that exceed maxContextTokens with the map-reduce strategy are answered in chunks.
+   *
+   * @param {string} prompt - The prompt with {{variables}}
+   * @param {object} [options] - Options of the run, the fields of presets and signal, vars, context, onUsage,
+   * onMissingVariable, onConfirm and onLog (see README)
+   * @returns {Promise<{result: *, format: string, usage: object}>} The result, its format and the usage of all
+   * requests (see sumUsage)
+   */
+  const run = async (prompt, options = {}) => {
+    const { prompt: userPrompt, contexts, promptOptions, usageRecords } = await prepareRun(prompt, options)
+
+    if (contexts.length > 1) {
+      const result = await withGenerationError(promptOptions.abortSignal, () => {
+        return generateMapReduceResult(userPrompt, contexts, promptOptions)
+      })
+
+      return { result, format: promptOptions.format, usage: sumUsage(usageRecords) }
+    }
+
+    const input = await placeRunContext(userPrompt, contexts[0], promptOptions)
+    const result = await withGenerationError(promptOptions.abortSignal, () => {
+      return generateResult(input.prompt, input.promptOptions)
+    })
+
+    return { result, format: promptOptions.format, usage: sumUsage(usageRecords) }
+  }
+
+  /**
+   * Run a prompt and stream the response while it is generated (see streamPrompt).
+   * Contexts that have been split into chunks can't be streamed and yield the formatted result once it is complete.
+   *
+   * @param {string} prompt - The prompt with {{variables}}
+   * @param {object} [options] - Options of the run (see run)
+   * @yields {string} Chunks of the response
+   */
+  const stream = async function* (prompt, options = {}) {
+    const { prompt: userPrompt, contexts, promptOptions } = await prepareRun(prompt, options)
+
+    if (contexts.length > 1) {
+      const result = await withGenerationError(promptOptions.abortSignal, () => {
+        return generateMapReduceResult(userPrompt, contexts, promptOptions)
+      })
+
+      yield String(formatResult(result, promptOptions.format))
+      return
+    }
+
+    const input = await placeRunContext(userPrompt, contexts[0], promptOptions)
+    yield* withStreamGenerationError(promptOptions.abortSignal, streamPrompt(input.prompt, input.promptOptions))
+  }
+
+  /**
+   * Continue a conversation and stream the answer of the model while it is generated (see streamChat).
+   * The messages are sent as they are, without variables, context, fallback models, cache or tools.
+   *
+   * @param {Array<{role: string, content: string|Array<{type: string}>}>} messages - The conversation history, ending
+   * with the user's message
+   * @param {object} [options] - Options of the run: model, parameters, providerOptions, retries, timeout, provider,
+   * baseUrl, signal, onUsage and onLog (see run)
+   * @yields {string} Chunks of the answer
+   */
+  const chat = async function* (messages, options = {}) {
+    const runOptions = parseRunOptions(mergeOptions(baseOptions, options))
+    const chatOptions = await withErrorType(ValidationError, () => ({
+      model: runOptions.model,
+      parameters: runOptions.parameters,
+      providerOptions: runOptions.providerOptions,
+      retries: runOptions.retries,
+      timeout: runOptions.timeout === undefined ? undefined : parseDuration(runOptions.timeout),
+      provider: runOptions.provider,
+      baseUrl: runOptions.baseUrl,
+      apiKey,
+      fetch,
+      abortSignal: runOptions.signal,
+      onUsage: runOptions.onUsage,
+      onLog: runOptions.onLog,
+    }))
+
+    yield* withStreamGenerationError(chatOptions.abortSignal, streamChat(messages, chatOptions))
+  }
+
+  /**
+   * Run the steps of a preset in order. The result of each step is available to later steps as variable with the
+   * name of the step and steps with each run once per element of an array.
+   * Options of the run take precedence over the step and the step over the preset.
+   *
+   * @param {object[]} steps - The steps of the preset
+   * @param {object} presetOptions - The options of the preset
+   * @param {object} options - Options of the run with step and onStep (see runPreset)
+   * @returns {Promise<{result: *, format: string, usage: object}>} The result of the last step, its format and the
+   * usage of all requests
+   * @throws {ValidationError} If the step doesn't exist
+   */
+  const runSteps = async (steps, presetOptions, options) => {
+    const { step: stepName, onStep, ...runOptions } = options
+
+    const selectedSteps = stepName === undefined ? steps : steps.filter(({ name }) => name === stepName)
+    if (selectedSteps.length === 0) {
+      const names = steps.map(({ name }) => name).join(', ')
+      throw new ValidationError(`Unknown step '${stepName}'. Available steps: ${names}`)
+    }
+
+    // Variables are loaded once, so sources and answers to missing variables are shared by all steps
+    const {
+      vars,
+      varsFiles,
+      variables: definitions,
+      allowVarCommands,
+      allowVarEnv,
+      onUsage,
+      onMissingVariable,
+    } = mergeOptions(baseOptions, presetOptions, runOptions)
+    const variables = await withErrorType(ValidationError, () => {
+      return loadVariables(vars, {
+        files: varsFiles,
+        definitions,
+        allowCommands: allowVarCommands,
+        allowEnv: allowVarEnv,
+      })
+    })
+
+    const usageRecords = []
+    const runStep = (step, stepVariables = {}) => {
+      const stepOptions = mergeOptions(presetOptions, step, runOptions, {
+        vars: { ...variables, ...stepVariables },
+        onUsage: (record) => {
+          usageRecords.push(record)
+          onUsage?.(record)
+        },
+        onMissingVariable:
+          onMissingVariable &&
+          (async (variable) => {
+            const value = await onMissingVariable(variable)
+            variables[variable.name] = String(value)
+            return value
+          }),
+      })
+
+      return run(step.prompt, { ...stepOptions, varsFiles: [] })
+    }
+
+    let output
+    for (const step of selectedSteps) {
+      try {
+        if (step.each === undefined) {
+          const { result, format } = await runStep(step)
+          output = { result, format }
+        } else {
+          const results = []
+          const items = await withErrorType(ValidationError, () => getEachItems(step, variables))
+          for (const item of items) {
+            const { result } = await runStep(step, { [step.as ?? defaultItemName]: toVariableValue(item) })
+            results.push(result)
+          }
+          output = { result: results, format: 'array' }
+        }
+      } catch (error) {
+        // The failed step is kept, so callers can report it
+        error.step ??= step.name
+        throw error
+      }
+
+      variables[step.name] = toVariableValue(output.result)
+      onStep?.({ name: step.name, ...output })
+    }
+
+    return { ...output, usage: sumUsage(usageRecords) }
+  }
+
+  /**
+   * Run the prompt or the steps of a preset with the options of the preset.
+   *
+   * @param {string|object} preset - Path or name of the preset or a preset returned by loadPreset
+   * @param {object} [options] - Options of the run that take precedence over the preset (see run)
+   * @param {string} [options.step] - Name of the only step to run, results of earlier steps are variables then
+   * @param {Function} [options.onStep] - Called with the name, result and format of every finished step
+   * @returns {Promise<{result: *, format: string, usage: object}>} The result, its format and the usage of all requests
+   * @throws {ValidationError} If a step is selected, but the preset has no steps or not that one
+   */
+  const runPreset = async (preset, options = {}) => {
+    const { prompt, steps, ...presetOptions } = await resolvePresetReference(preset)
+    if (steps) return runSteps(steps, presetOptions, options)
+
+    if (options.step !== undefined) {
+      throw new ValidationError(`Can't run step '${options.step}', the preset has no steps`)
+    }
+
+    return run(prompt, mergeOptions(presetOptions, options))
+  }
+
+  /**
+   * Run the prompt of a preset and stream the response while it is generated.
+   * Presets with steps can't be streamed and yield the formatted result of the last step once it is complete.
+   *
+   * @param {string|object} preset - Path or name of the preset or a preset returned by loadPreset
+   * @param {object} [options] - Options of the run that take precedence over the preset (see runPreset)
+   * @yields {string} Chunks of the response
+   */
+  const streamPreset = async function* (preset, options = {}) {
+    const { prompt, steps, ...presetOptions } = await resolvePresetReference(preset)
+
+    if (steps) {
+      const { result, format } = await runSteps(steps, presetOptions, options)
+
+      yield String(formatResult(result, format))
+      return
+    }
+
+    yield* stream(prompt, mergeOptions(presetOptions, options))
+  }
+
+  /**
+   * Build the context of files and URLs once, so it can be reused by multiple runs via the context option.
+   *
+   * @param {object} [options] - The files, urls, exclude, maxFileSize, maxTotalSize, crawler, extract and urlCacheTtl
+   * options (see run)
+   * @returns {Promise<Array<{path: string, content?: string, image?: string, mediaType?: string}>>} The context
+   */
+  const buildRunContext = (options = {}) => {
+    return withErrorType(ContextError, () => {
+      const runOptions = parseRunOptions(mergeOptions(baseOptions, options))
+
+      return buildContext(runOptions.files, runOptions.urls, getContextOptions(runOptions, fetch))
+    })
+  }
+
+  return {
+    run,
+    stream,
+    chat,
+    runPreset,
+    streamPreset,
+    buildContext: buildRunContext,
+    loadPreset: resolvePresetReference,
+  }
+}
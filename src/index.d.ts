@@ -0,0 +1,329 @@
+export type Provider = 'openrouter' | 'openai-compatible'
+
+export type Format = 'string' | 'number' | 'boolean' | 'enum' | 'object' | 'array'
+
+export type ToolName = 'read_file' | 'list_directory' | 'fetch_url' | 'run_command'
+
+/** Durations and sizes as text with unit, e.g. '30s' or '2mb', or as number of seconds or bytes */
+export type Amount = string | number
+
+export interface Parameters {
+  /** Randomness of the response between 0 and 2 */
+  temperature?: number
+  /** Maximum number of tokens of the response */
+  maxTokens?: number
+  /** Probability mass of the tokens to sample from between 0 and 1 */
+  topP?: number
+  /** Seed for deterministic sampling, if supported by the model */
+  seed?: number
+  /** Sequences that stop the generation */
+  stop?: string[]
+  reasoningEffort?: 'none' | 'minimal' | 'low' | 'medium' | 'high' | 'xhigh'
+}
+
+export interface Message {
+  role: 'user' | 'assistant'
+  content: string
+}
+
+export interface VariableDefinition {
+  type?: 'string' | 'number' | 'boolean' | 'enum' | 'file'
+  description?: string
+  default?: string | number | boolean
+  required?: boolean
+  pattern?: string
+  values?: Array<string | number>
+  /** Read the value from an environment variable, requires allowVarEnv */
+  env?: string
+  /** Read the value from a file in the directory of the preset */
+  file?: string
+  /** Read the value from the output of a command, requires allowVarCommands */
+  command?: string
+}
+
+export interface MissingVariable {
+  name: string
+  description: string | null
+  /** Declaration of the variable, if it is declared */
+  definition?: VariableDefinition
+}
+
+export interface ContextSource {
+  path: string
+  content?: string
+  image?: string
+  mediaType?: string
+}
+
+export interface UsageRecord {
+  model: string
+  finishReason?: string
+  inputTokens: number
+  outputTokens: number
+  reasoningTokens: number
+  cost?: number
+  latency: number
+  cached: boolean
+}
+
+export interface Usage {
+  model?: string
+  finishReason?: string
+  requests: number
+  inputTokens: number
+  outputTokens: number
+  reasoningTokens: number
+  cost?: number
+  latency: number
+  cached: boolean
+}
+
+/** Options of a run, with the same names as the fields of presets */
+export interface RunOptions {
+  model?: string
+  fallbackModels?: string[]
+  parameters?: Parameters
+  /** Options of the providers with the name of the provider as key */
+  providerOptions?: Record<string, Record<string, unknown>>
+  retries?: number
+  timeout?: Amount
+  provider?: Provider
+  baseUrl?: string
+  format?: Format
+  /** Zod schema string or JSON Schema, required for the object and array format */
+  schema?: string | Record<string, unknown>
+  /** Allowed values of the enum format */
+  choices?: string[]
+  system?: string
+  /** Messages before the prompt, e.g. few-shot examples */
+  messages?: Message[]
+  crawler?: 'fetch' | 'chrome'
+  extract?: string
+  cache?: boolean
+  cacheTtl?: Amount
+  urlCacheTtl?: Amount
+  files?: string[]
+  exclude?: string[]
+  urls?: string[]
+  /** Context built with buildContext, used instead of files and urls */
+  context?: ContextSource[]
+  maxFileSize?: Amount
+  maxTotalSize?: Amount
+  maxContextTokens?: number
+  contextStrategy?: 'fail' | 'truncate' | 'map-reduce'
+  contextPlacement?: 'inline' | 'system' | 'message'
+  agent?: boolean
+  tools?: ToolName[]
+  allowedDirectory?: string
+  allowedCommands?: string[]
+  maxSteps?: number
+  /** Confirm calls of run_command and fetch_url with onConfirm, defaults to true */
+  confirm?: boolean
+  /** Asks the user to confirm a tool call, calls that need a confirmation are denied when not set */
+  onConfirm?: (question: string) => boolean | Promise<boolean>
+  /** Declarations of the variables with variable names as keys */
+  variables?: Record<string, VariableDefinition>
+  /** Values of the variables with variable names as keys */
+  vars?: Record<string, string>
+  varsFiles?: string[]
+  allowVarCommands?: boolean
+  /** Allow the prompt and the variables to read environment variables, e.g. {{env.USER}}, defaults to false */
+  allowVarEnv?: boolean
+  /** Signal to stop the run */
+  signal?: AbortSignal
+  /** Called with the usage record of every request and cached response */
+  onUsage?: (record: UsageRecord) => void
+  /** Called for each variable without value, MissingVariablesError is thrown when not set */
+  onMissingVariable?: (variable: MissingVariable) => string | Promise<string>
+  /** Called with progress messages and warnings, e.g. of retries, fallback models, tool calls and skipped files */
+  onLog?: (message: string) => void
+}
+
+export interface RunResult<T = unknown> {
+  result: T
+  /** Format of the result, the one of the last step for presets with steps */
+  format: Format
+  usage: Usage
+}
+
+/** Step of a preset, it can set the options of the preset that decide how its prompt runs */
+export interface Step extends Omit<
+  RunOptions,
+  'context' | 'variables' | 'vars' | 'varsFiles' | 'allowVarCommands' | 'allowVarEnv' | 'confirm' | 'signal'
+> {
+  /** Name of the step and of the variable with its result */
+  name: string
+  description?: string
+  prompt: string
+  /** Variable with a JSON array to run the step once per element, e.g. the result of an earlier step */
+  each?: string
+  /** Name of the variable with the current element of each, defaults to item */
+  as?: string
+}
+
+export interface StepResult {
+  name: string
+  result: unknown
+  format: Format
+}
+
+export interface PresetRunOptions extends RunOptions {
+  /** Name of the only step to run, results of earlier steps are variables then */
+  step?: string
+  /** Called when a step is complete */
+  onStep?: (step: StepResult) => void
+}
+
+export interface Preset extends RunOptions {
+  /** Presets with steps have no prompt */
+  prompt?: string
+  description?: string
+  outputFormat?: 'json' | 'yaml' | 'csv' | 'table'
+  stream?: boolean
+  steps?: Step[]
+}
+
+export interface HeyiConfig {
+  provider?: Provider
+  baseUrl?: string
+  /** Defaults to the HEYI_API_KEY environment variable */
+  apiKey?: string
+  /** Sends the requests to the provider and of URLs fetched with the fetch crawler, e.g. to record them, defaults to the global fetch */
+  fetch?: typeof fetch
+  /** Default options of all runs */
+  defaults?: RunOptions
+  /** Called with progress messages and warnings of all runs, nothing is written to stderr without it */
+  onLog?: (message: string) => void
+}
+
+export interface ChatMessage {
+  role: 'user' | 'assistant'
+  /** Text or parts of text, images and files */
+  content: string | unknown[]
+}
+
+export type ChatOptions = Pick<
+  RunOptions,
+  | 'model'
+  | 'parameters'
+  | 'providerOptions'
+  | 'retries'
+  | 'timeout'
+  | 'provider'
+  | 'baseUrl'
+  | 'signal'
+  | 'onUsage'
+  | 'onLog'
+>
+
+export interface Heyi {
+  run<T = unknown>(prompt: string, options?: RunOptions): Promise<RunResult<T>>
+  stream(prompt: string, options?: RunOptions): AsyncGenerator<string, void>
+  /** Continue a conversation and stream the answer, the messages are sent without variables, context or tools */
+  chat(messages: ChatMessage[], options?: ChatOptions): AsyncGenerator<string, void>
+  runPreset<T = unknown>(preset: string | Preset, options?: PresetRunOptions): Promise<RunResult<T>>
+  streamPreset(preset: string | Preset, options?: PresetRunOptions): AsyncGenerator<string, void>
+  buildContext(options?: RunOptions): Promise<ContextSource[]>
+  loadPreset(preset: string | Preset): Promise<Preset>
+}
+
+export function createHeyi(config?: HeyiConfig): Heyi
+
+export class HeyiError extends Error {
+  code: string
+  /** Name of the step of a preset that failed */
+  step?: string
+}
+
+export class ValidationError extends HeyiError {}
+
+export class MissingVariablesError extends HeyiError {
+  constructor(variables: Array<{ name: string; description: string | null }>)
+  variables: Array<{ name: string; description: string | null }>
+}
+
+export class PresetError extends HeyiError {}
+
+export class ContextError extends HeyiError {}
+
+export class GenerationError extends HeyiError {}
+
+export function loadPreset(reference: string): Promise<Preset>
+
+export function listPresets(): Promise<
+  Array<{
+    name: string
+    filePath: string
+    scope: string
+    overridden: boolean
+    /** Named like a command of heyi preset (list, show), so the command line runs it by path only */
+    reserved: boolean
+  }>
+>
+
+export function formatResult(result: unknown, format: Format, outputFormat?: string): string | number | boolean
+
+/** Options of the functions that run a single prompt without resolving variables or building the context */
+export interface PromptOptions {
+  model: string
+  fallbackModels?: string[]
+  provider?: Provider
+  baseUrl?: string
+  apiKey?: string
+  fetch?: typeof fetch
+  format?: Format
+  schema?: string | Record<string, unknown>
+  choices?: string[]
+  system?: string
+  messages?: Message[]
+  parameters?: Parameters
+  providerOptions?: Record<string, Record<string, unknown>>
+  retries?: number
+  /** Seconds */
+  timeout?: number
+  abortSignal?: AbortSignal
+  /** Seconds */
+  cacheTtl?: number
+  outputFormat?: 'json' | 'yaml' | 'csv' | 'table'
+  contextPlacement?: 'inline' | 'system' | 'message'
+  onUsage?: (record: UsageRecord) => void
+  onLog?: (message: string) => void
+  maxSteps?: number
+}
+
+export function generateResult(prompt: string, options: PromptOptions): Promise<unknown>
+
+export function executePrompt(prompt: string, options: PromptOptions): Promise<string | number | boolean>
+
+export function generateMapReduceResult(
+  prompt: string,
+  contexts: ContextSource[][],
+  options: PromptOptions,
+): Promise<unknown>
+
+export function executeMapReducePrompt(
+  prompt: string,
+  contexts: ContextSource[][],
+  options: PromptOptions,
+): Promise<string | number | boolean>
+
+export function streamPrompt(prompt: string, options: PromptOptions): AsyncGenerator<string, void>
+
+export function streamChat(
+  messages: Array<{ role: string; content: unknown }>,
+  options: Pick<
+    PromptOptions,
+    | 'model'
+    | 'provider'
+    | 'baseUrl'
+    | 'apiKey'
+    | 'fetch'
+    | 'parameters'
+    | 'providerOptions'
+    | 'retries'
+    | 'timeout'
+    | 'abortSignal'
+    | 'onLog'
+    | 'onUsage'
+  >,
+): AsyncGenerator<string, void>
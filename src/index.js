@@ -1,57 +1,21 @@
-import { createOpenRouter } from '@openrouter/ai-sdk-provider'
-import { Output, generateText } from 'ai'
-import path from 'node:path'
-import process from 'node:process'
-import { getFormatSchema } from './utils/schema.js'
-
-try {
-  process.loadEnvFile(path.resolve(process.cwd(), '.env'))
-} catch (error) {
-  if (error.code !== 'ENOENT') throw error
-}
-
-/**
- * Execute an AI prompt with the specified model and format.
- *
- * @param {string} prompt - The user's prompt
- * @param {object} options - Configuration options
- * @param {string} options.model - The AI model to use
- * @param {string} options.format - The output format (string, number, object, array)
- * @param {string} options.schema - The Zod schema string for object/array format
- * @returns {Promise<string|number>} The formatted AI response
- */
-export const executePrompt = async (prompt, options = {}) => {
-  const { model, format = 'string', schema } = options
-
-  const apiKey = process.env.HEYI_API_KEY
-  if (!apiKey) {
-    throw new Error('HEYI_API_KEY environment variable is required. Set it via environment or .env file.')
-  }
-
-  const openrouter = createOpenRouter({
-    apiKey,
-  })
-
-  const zodSchema = getFormatSchema(format, schema)
-  const { output } = await generateText({
-    model: openrouter(model),
-    prompt,
-    output: Output.object({
-      schema: zodSchema,
-    }),
-  })
-
-  switch (format) {
-    case 'string':
-    case 'number': {
-      return output.result
-    }
-    case 'object':
-    case 'array': {
-      return JSON.stringify(output.result, null, 2)
-    }
-    default: {
-      throw new Error(`Can't format response for unknown format '${format}'`)
-    }
-  }
-}
+// Public entry point of the library. Importing it has no side effects: nothing is read from config files, .env files
+// or the command line (see createHeyi)
+export {
+  executeMapReducePrompt,
+  executePrompt,
+  generateMapReduceResult,
+  generateResult,
+  streamChat,
+  streamPrompt,
+} from './generate.js'
+export { createHeyi } from './heyi.js'
+export {
+  ContextError,
+  GenerationError,
+  HeyiError,
+  MissingVariablesError,
+  PresetError,
+  ValidationError,
+} from './utils/errors.js'
+export { formatResult } from './utils/output.js'
+export { listPresets, loadPreset } from './utils/preset.js'
@@ -9,3 +9,43 @@ export const hasFlag = (flagNames) => {
     return flagNames.includes(arg) || flagNames.some((name) => arg.startsWith(`${name}=`))
   })
 }
+
+/**
+ * Get the value of a flag in process.argv.
+ *
+ * @param {string[]} flagNames - Array of flag names to check for (e.g., ['--profile'])
+ * @returns {string|undefined} The value of the last occurrence of the flag or undefined if the flag is not found
+ */
+export const getFlagValue = (flagNames) => {
+  let value
+  for (const [index, arg] of process.argv.entries()) {
+    if (flagNames.includes(arg)) {
+      value = process.argv[index + 1]
+    } else {
+      const name = flagNames.find((flagName) => arg.startsWith(`${flagName}=`))
+      if (name) value = arg.slice(name.length + 1)
+    }
+  }
+
+  return value
+}
+
+/**
+ * Find the first argument of a command in a list of arguments, skipping options and their values.
+ *
+ * @param {string[]} args - Arguments after the command name
+ * @param {import('commander').Command} command - The command with its options
+ * @returns {string|undefined} The first argument or undefined when there is none
+ */
+export const findArgument = (args, command) => {
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index]
+
+    if (arg === '--') return args[index + 1]
+    if (arg === '-' || !arg.startsWith('-')) return arg
+
+    // Skip the value of options like --model <model>, unless it is part of the option (--model=value)
+    const option = command.options.find((commandOption) => commandOption.is(arg))
+    if (option?.required && !arg.includes('=')) index++
+  }
+}
@@ -0,0 +1,221 @@
+import { appendFile, open, readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+/**
+ * Parse CSV content with a header row into objects.
+ * Supports quoted fields with commas, line breaks and escaped quotes ("").
+ *
+ * @param {string} content - The CSV content
+ * @returns {object[]} One object per row with the header names as keys
+ */
+const parseCsv = (content) => {
+  // Match one field and the separator after it, fields are either quoted or don't contain any special characters
+  const fieldPattern = /(?:"((?:[^"]|"")*)"|([^\n\r",]*))(,|\r?\n|\r|$)/gy
+
+  const records = []
+  let record = []
+  let position = 0
+
+  for (const match of content.matchAll(fieldPattern)) {
+    const [field, quotedValue, value, separator] = match
+
+    record.push(quotedValue === undefined ? value : quotedValue.replaceAll('""', '"'))
+    position += field.length
+
+    if (separator !== ',') {
+      records.push(record)
+      record = []
+    }
+
+    if (separator === '') break
+  }
+
+  if (position < content.length) {
+    throw new Error(`Invalid CSV at position ${position + 1}`)
+  }
+
+  // Ignore empty lines
+  const [header = [], ...rows] = records.filter((values) => values.length > 1 || values[0] !== '')
+
+  return rows.map((values) => {
+    return Object.fromEntries(header.map((name, index) => [name.trim(), values[index] ?? '']))
+  })
+}
+
+/**
+ * Parse JSONL content into objects.
+ *
+ * @param {string} content - The JSONL content with one JSON object per line
+ * @returns {object[]} One object per non-empty line
+ */
+const parseJsonl = (content) => {
+  const rows = []
+
+  for (const [index, line] of content.split(/\r?\n/).entries()) {
+    if (line.trim() === '') continue
+
+    let row
+    try {
+      row = JSON.parse(line)
+    } catch (error) {
+      throw new Error(`Invalid JSON in line ${index + 1}`, { cause: error })
+    }
+
+    if (typeof row !== 'object' || row === null || Array.isArray(row)) {
+      throw new Error(`Expected a JSON object in line ${index + 1}`)
+    }
+
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Read rows from a CSV or JSONL file. The format is detected by the file extension.
+ *
+ * @param {string} filePath - Path to the CSV (.csv) or JSONL file
+ * @returns {Promise<object[]>} The rows
+ */
+export const readRows = async (filePath) => {
+  try {
+    const content = await readFile(filePath, 'utf8')
+    // Remove the byte order mark some spreadsheet applications add
+    const cleanContent = content.replace(/^\u{FEFF}/u, '')
+
+    return path.extname(filePath).toLowerCase() === '.csv' ? parseCsv(cleanContent) : parseJsonl(cleanContent)
+  } catch (error) {
+    throw new Error(`Failed to read rows from '${filePath}'`, { cause: error })
+  }
+}
+
+/**
+ * Convert the fields of a row into variables.
+ * Values that aren't strings are converted to strings, objects and arrays to JSON.
+ *
+ * @param {object} row - The row
+ * @returns {object} Object with field names as keys and string values
+ */
+export const rowToVariables = (row) => {
+  return Object.fromEntries(
+    Object.entries(row).map(([name, value]) => {
+      return [name, typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '')]
+    }),
+  )
+}
+
+/**
+ * Read the results of a previous run and find the rows that have been completed successfully. A result only counts
+ * for the row with its index when it was generated for the same input, so rows of edited or reordered input files are
+ * processed again. The results of the previous run are kept, the results of this run are appended to them.
+ *
+ * @param {string} outputPath - Path to the JSONL output file of the previous run
+ * @param {object[]} rows - The rows of this run
+ * @returns {Promise<Set<number>>} Indexes of the rows that have been completed successfully
+ */
+const readCompletedRows = async (outputPath, rows) => {
+  let content
+  try {
+    content = await readFile(outputPath, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Set()
+    throw new Error(`Failed to read output file '${outputPath}'`, { cause: error })
+  }
+
+  const completedRows = new Set()
+
+  for (const line of content.split('\n')) {
+    try {
+      const record = JSON.parse(line)
+      if (
+        Number.isSafeInteger(record.index) &&
+        Object.hasOwn(rows, record.index) &&
+        record.error == null &&
+        JSON.stringify(record.input) === JSON.stringify(rows[record.index])
+      ) {
+        completedRows.add(record.index)
+      }
+    } catch {
+      // Ignore incomplete lines, e.g. from an interrupted run
+    }
+  }
+
+  // End the incomplete last line of an interrupted run, so the results of this run start in a new line
+  if (content && !content.endsWith('\n')) await appendFile(outputPath, '\n')
+
+  return completedRows
+}
+
+/**
+ * Call an async function for each item with a limited number of concurrent calls.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} callback - Async function called with each item and its index
+ * @returns {Promise<void>}
+ */
+const forEachConcurrently = async (items, concurrency, callback) => {
+  let nextIndex = 0
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      await callback(items[index], index)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker))
+}
+
+/**
+ * Process rows concurrently and write one JSONL record with the row, its output and any error per row.
+ *
+ * @param {object[]} rows - The rows to process
+ * @param {Function} processRow - Async function that returns the output for a row and its index
+ * @param {object} options - Configuration options
+ * @param {number} options.concurrency - Maximum number of rows processed at the same time
+ * @param {string} [options.output] - Path to the JSONL output file (results are written to stdout otherwise)
+ * @param {boolean} [options.resume] - Skip rows that have been completed successfully in the output file
+ * @returns {Promise<{completed: number, failed: number, skipped: number}>} Statistics of the run
+ */
+export const executeBatch = async (rows, processRow, options) => {
+  const { concurrency, output, resume = false } = options
+
+  if (resume && !output) {
+    throw new Error('--output is required when using --resume')
+  }
+
+  const completedRows = resume ? await readCompletedRows(output, rows) : new Set()
+  const file = output ? await open(output, resume ? 'a' : 'w') : null
+
+  const writeRecord = async (record) => {
+    const line = `${JSON.stringify(record)}\n`
+
+    if (file) {
+      await file.appendFile(line)
+    } else {
+      process.stdout.write(line)
+    }
+  }
+
+  const statistics = { completed: 0, failed: 0, skipped: completedRows.size }
+  const pendingRows = rows.map((row, index) => ({ row, index })).filter(({ index }) => !completedRows.has(index))
+
+  try {
+    await forEachConcurrently(pendingRows, concurrency, async ({ row, index }) => {
+      try {
+        const result = await processRow(row, index)
+        await writeRecord({ index, input: row, output: result, error: null })
+        statistics.completed++
+      } catch (error) {
+        await writeRecord({ index, input: row, output: null, error: error.message })
+        statistics.failed++
+        console.error(`Row ${index + 1} failed: ${error.message}`)
+      }
+    })
+  } finally {
+    await file?.close()
+  }
+
+  return statistics
+}
@@ -0,0 +1,136 @@
+import { createHash } from 'node:crypto'
+import { mkdir, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+
+export const cacheDirectory = path.join(os.homedir(), '.cache', 'heyi')
+
+// Namespaces separate cached responses from cached URL contents
+export const cacheNamespaces = ['responses', 'urls']
+
+const durationUnits = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 }
+
+/**
+ * Parse a duration like "30s", "15m", "12h" or "7d" into seconds. Numbers without unit are seconds.
+ *
+ * @param {string|number} duration - The duration to parse
+ * @returns {number} The duration in seconds
+ * @throws {Error} If the duration has an invalid format
+ */
+export const parseDuration = (duration) => {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/.exec(String(duration).trim())
+  if (!match) {
+    throw new Error(`Invalid duration '${duration}'. Expected a number with optional unit s, m, h or d (e.g., 12h).`)
+  }
+
+  const [, value, unit] = match
+  return Number(value) * durationUnits[unit || 's']
+}
+
+/**
+ * Create a cache key by hashing data.
+ *
+ * @param {object} data - The data that identifies the cache entry
+ * @returns {string} The cache key
+ */
+export const getCacheKey = (data) => {
+  return createHash('sha256').update(JSON.stringify(data)).digest('hex')
+}
+
+/**
+ * Get the path of a cache entry.
+ *
+ * @param {string} namespace - The cache namespace
+ * @param {string} key - The cache key
+ * @returns {string} Path to the cache entry file
+ */
+const getEntryPath = (namespace, key) => {
+  return path.join(cacheDirectory, namespace, `${key}.json`)
+}
+
+/**
+ * Read a value from the cache. Expired entries are removed.
+ *
+ * @param {string} namespace - The cache namespace
+ * @param {string} key - The cache key
+ * @param {number} ttl - Maximum age of the entry in seconds
+ * @returns {Promise<{value: *}|undefined>} The cached value wrapped in an object or undefined when not cached
+ */
+export const readCache = async (namespace, key, ttl) => {
+  const entryPath = getEntryPath(namespace, key)
+
+  let entry
+  try {
+    const content = await readFile(entryPath, 'utf8')
+    entry = JSON.parse(content)
+  } catch {
+    // Missing or broken entries are treated as not cached
+    return
+  }
+
+  if (Date.now() - entry.createdAt > ttl * 1000) {
+    await rm(entryPath, { force: true })
+    return
+  }
+
+  return { value: entry.value }
+}
+
+/**
+ * Write a value to the cache.
+ *
+ * @param {string} namespace - The cache namespace
+ * @param {string} key - The cache key
+ * @param {*} value - The JSON serializable value to cache
+ * @returns {Promise<void>}
+ */
+export const writeCache = async (namespace, key, value) => {
+  try {
+    await mkdir(path.join(cacheDirectory, namespace), { recursive: true })
+    await writeFile(getEntryPath(namespace, key), JSON.stringify({ createdAt: Date.now(), value }))
+  } catch (error) {
+    throw new Error(`Failed to write cache entry to '${cacheDirectory}'`, { cause: error })
+  }
+}
+
+/**
+ * Remove all entries of the cache.
+ *
+ * @param {string[]} namespaces - The cache namespaces to clear (default: all)
+ * @returns {Promise<void>}
+ */
+export const clearCache = async (namespaces = cacheNamespaces) => {
+  for (const namespace of namespaces) {
+    await rm(path.join(cacheDirectory, namespace), { recursive: true, force: true })
+  }
+}
+
+/**
+ * Get the number of entries and their size per cache namespace.
+ *
+ * @returns {Promise<Array<{namespace: string, entries: number, size: number}>>} Statistics per namespace
+ */
+export const getCacheStats = async () => {
+  const stats = []
+
+  for (const namespace of cacheNamespaces) {
+    const namespaceDirectory = path.join(cacheDirectory, namespace)
+
+    let fileNames = []
+    try {
+      fileNames = await readdir(namespaceDirectory)
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+
+    let size = 0
+    for (const fileName of fileNames) {
+      const fileStat = await stat(path.join(namespaceDirectory, fileName))
+      size += fileStat.size
+    }
+
+    stats.push({ namespace, entries: fileNames.length, size })
+  }
+
+  return stats
+}
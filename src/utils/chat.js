@@ -0,0 +1,205 @@
+import { createInterface } from 'node:readline'
+import { writeStream } from './output.js'
+import { buildPrompt } from './prompt.js'
+import { saveSession } from './session.js'
+import { findUndefinedVariables, promptForVariable, replaceVariables } from './variables.js'
+
+const helpText = `Commands:
+  /model [model]  Show or switch the AI model
+  /file <path>    Attach a file, directory or glob pattern as context to the next message
+  /url <url>      Attach a URL as context to the next message
+  /reset          Clear the conversation history
+  /save [name]    Save the session to continue it later with --resume
+  /help           Show this help
+  /exit           Exit the chat`
+
+/**
+ * Start an interactive chat that keeps the conversation history.
+ *
+ * @param {object} options - Configuration options
+ * @param {object} options.heyi - The instance that answers the messages (see createHeyi)
+ * @param {string} options.model - The AI model to use
+ * @param {string} options.provider - The provider to use (openrouter, openai-compatible)
+ * @param {string} [options.baseUrl] - Base URL of the provider API
+ * @param {object} [options.parameters] - Sampling and reasoning parameters of the model (see getCallSettings)
+ * @param {object} [options.providerOptions] - Options of the providers with the name of the provider as key
+ * @param {number} options.retries - Maximum number of retries of a failed request before the response starts
+ * @param {number} [options.timeout] - Maximum duration of each request in seconds (default: no limit)
+ * @param {string} options.crawler - Crawler to use for fetching URLs: 'fetch' or 'chrome'
+ * @param {string} options.extract - What to extract from fetched HTML: 'text', 'markdown', 'main' or a CSS selector
+ * @param {string[]} options.files - File paths, directories or glob patterns to include as context in the first message
+ * @param {string[]} options.exclude - Patterns in .gitignore syntax of files to skip in directories and glob patterns
+ * @param {number} options.maxFileSize - Skip files larger than this many bytes
+ * @param {number} options.maxTotalSize - Skip files once all files of a message together are larger than this many bytes
+ * @param {string[]} options.urls - URLs to include as context in the first message
+ * @param {object} options.vars - Variables to replace in each message
+ * @param {boolean} [options.allowVarEnv] - Allow messages to read environment variables, e.g. {{env.USER}}
+ * @param {object} [session] - Session to continue
+ * @param {string} [session.name] - Name under which the session is saved after each response
+ * @param {Array<{role: string, content: string|Array<{type: string}>}>} [session.messages] - Conversation history of the session
+ * @returns {Promise<void>} Resolves when the chat has been closed
+ */
+export const startChat = async (options, session = {}) => {
+  const { vars } = options
+  const contextOptions = {
+    exclude: options.exclude,
+    maxFileSize: options.maxFileSize,
+    maxTotalSize: options.maxTotalSize,
+    crawler: options.crawler,
+    extract: options.extract,
+    // The chat runs on the terminal, so warnings about skipped files are shown like its other messages
+    onLog: console.error,
+  }
+
+  const state = {
+    name: session.name,
+    model: options.model,
+    messages: session.messages ?? [],
+    // Context is attached to the next message only
+    files: [...options.files],
+    urls: [...options.urls],
+  }
+
+  let controller = null
+
+  const rl = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  })
+
+  rl.on('SIGINT', () => {
+    // Stop a response that is being generated, exit otherwise
+    if (controller) {
+      controller.abort()
+    } else {
+      rl.close()
+    }
+  })
+
+  const save = async () => {
+    if (!state.name) return
+
+    await saveSession(state.name, { model: state.model, messages: state.messages })
+  }
+
+  const executeCommand = async (command, argument) => {
+    switch (command) {
+      case 'model': {
+        if (argument) state.model = argument
+        console.error(`Model: ${state.model}`)
+        break
+      }
+      case 'file': {
+        if (!argument) throw new Error('A file path is required, e.g. /file input.txt')
+        state.files.push(argument)
+        console.error(`File '${argument}' will be attached to the next message`)
+        break
+      }
+      case 'url': {
+        if (!argument) throw new Error('A URL is required, e.g. /url https://example.com')
+        state.urls.push(argument)
+        console.error(`URL '${argument}' will be attached to the next message`)
+        break
+      }
+      case 'reset': {
+        state.messages = []
+        state.files = [...options.files]
+        state.urls = [...options.urls]
+        await save()
+        console.error('Conversation history cleared')
+        break
+      }
+      case 'save': {
+        if (argument) state.name = argument
+        if (!state.name) throw new Error('A session name is required, e.g. /save my-session')
+        await save()
+        console.error(`Session saved as '${state.name}'. Continue it with: heyi chat --resume ${state.name}`)
+        break
+      }
+      case 'help': {
+        console.error(helpText)
+        break
+      }
+      default: {
+        throw new Error(`Unknown command '/${command}'. Type /help to see all commands.`)
+      }
+    }
+  }
+
+  const sendMessage = async (message) => {
+    // Prompt user for each undefined variable
+    for (const varInfo of findUndefinedVariables(message, vars)) {
+      vars[varInfo.name] = await promptForVariable(varInfo.name, varInfo.description, rl)
+    }
+
+    const content = await buildPrompt(
+      replaceVariables(message, vars, { allowEnv: options.allowVarEnv }),
+      state.files,
+      state.urls,
+      contextOptions,
+    )
+    state.files = []
+    state.urls = []
+
+    let response = ''
+    const collect = async function* (chunks) {
+      for await (const chunk of chunks) {
+        response += chunk
+        yield chunk
+      }
+    }
+
+    controller = new AbortController()
+
+    try {
+      const messages = [...state.messages, { role: 'user', content }]
+      const chatOptions = {
+        model: state.model,
+        provider: options.provider,
+        baseUrl: options.baseUrl,
+        parameters: options.parameters,
+        providerOptions: options.providerOptions,
+        retries: options.retries,
+        timeout: options.timeout,
+        signal: controller.signal,
+      }
+      await writeStream(collect(options.heyi.chat(messages, chatOptions)), controller.signal)
+
+      // Keep partial responses of aborted generations as they are part of what the user has seen
+      state.messages = [...messages, { role: 'assistant', content: response }]
+    } finally {
+      controller = null
+    }
+
+    await save()
+  }
+
+  console.error(`Chatting with ${state.model}. Type /help to see all commands.`)
+  if (state.messages.length > 0) {
+    console.error(`Continuing session '${state.name}' with ${state.messages.length} messages`)
+  }
+
+  rl.setPrompt('> ')
+  rl.prompt()
+
+  for await (const line of rl) {
+    const input = line.trim()
+    if (input === '/exit') break
+
+    try {
+      if (input.startsWith('/')) {
+        const [command, ...argumentParts] = input.slice(1).split(' ')
+        await executeCommand(command, argumentParts.join(' ').trim())
+      } else if (input) {
+        await sendMessage(input)
+      }
+    } catch (error) {
+      // Keep the chat running, the user can try again
+      console.error(error)
+    }
+
+    if (!rl.closed) rl.prompt()
+  }
+
+  rl.close()
+}
@@ -0,0 +1,280 @@
+import { mkdir, readFile, stat, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { z } from 'zod'
+import { parametersSchema, providerOptionsSchema } from './parameters.js'
+
+export const userConfigPath = path.join(os.homedir(), '.config', 'heyi', 'config.json')
+
+const projectConfigPath = path.join('.heyi', 'config.json')
+
+// Defaults of settings that are neither set in a config file nor via environment variables
+export const defaultSettings = {
+  model: 'openai/gpt-5.6-luna',
+  retries: 2,
+  provider: 'openrouter',
+  format: 'string',
+  crawler: 'fetch',
+  extract: 'main',
+  stream: false,
+  cache: false,
+  cacheTtl: '1d',
+  maxFileSize: '1mb',
+  maxTotalSize: '5mb',
+  contextStrategy: 'fail',
+  contextPlacement: 'inline',
+}
+
+// Environment variables that set the default of a setting
+const environmentVariables = {
+  model: 'HEYI_MODEL',
+  provider: 'HEYI_PROVIDER',
+  baseUrl: 'HEYI_BASE_URL',
+  crawler: 'HEYI_CRAWLER',
+}
+
+const settingsSchema = z.strictObject({
+  model: z.string().min(1).optional(),
+  fallbackModels: z.array(z.string().min(1)).optional(),
+  retries: z.number().int().nonnegative().optional(),
+  timeout: z.string().optional(),
+  provider: z.enum(['openrouter', 'openai-compatible']).optional(),
+  baseUrl: z.string().optional(),
+  format: z.enum(['string', 'number', 'boolean', 'enum', 'object', 'array']).optional(),
+  outputFormat: z.enum(['json', 'yaml', 'csv', 'table']).optional(),
+  usageLog: z.string().optional(),
+  crawler: z.enum(['fetch', 'chrome']).optional(),
+  extract: z.string().min(1).optional(),
+  stream: z.boolean().optional(),
+  cache: z.boolean().optional(),
+  cacheTtl: z.string().optional(),
+  urlCacheTtl: z.string().optional(),
+  maxFileSize: z.string().optional(),
+  maxTotalSize: z.string().optional(),
+  maxContextTokens: z.number().int().positive().optional(),
+  contextStrategy: z.enum(['fail', 'truncate', 'map-reduce']).optional(),
+  contextPlacement: z.enum(['inline', 'system', 'message']).optional(),
+  ...parametersSchema.shape,
+  providerOptions: providerOptionsSchema.optional(),
+})
+
+export const settingKeys = Object.keys(settingsSchema.shape)
+
+const configSchema = settingsSchema.extend({
+  profile: z.string().min(1).optional(),
+  profiles: z.record(z.string(), settingsSchema).optional(),
+})
+
+/**
+ * Find the config file of the project by walking up from a directory.
+ *
+ * @param {string} [directory] - Directory to start from (default: current directory)
+ * @returns {Promise<string|null>} Path to the config file or null when there is none
+ */
+export const findProjectConfigPath = async (directory = process.cwd()) => {
+  let currentDirectory = path.resolve(directory)
+
+  while (true) {
+    const filePath = path.join(currentDirectory, projectConfigPath)
+
+    try {
+      await stat(filePath)
+      return filePath
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+
+    const parentDirectory = path.dirname(currentDirectory)
+    if (parentDirectory === currentDirectory) return null
+    currentDirectory = parentDirectory
+  }
+}
+
+/**
+ * Read and validate a config file.
+ *
+ * @param {string} filePath - Path to the config file
+ * @returns {Promise<object>} The config, empty when the file doesn't exist
+ */
+export const readConfig = async (filePath) => {
+  try {
+    const content = await readFile(filePath, 'utf8')
+
+    return configSchema.parse(JSON.parse(content))
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {}
+    }
+
+    throw new Error(`Error while parsing config file '${filePath}'`, { cause: error })
+  }
+}
+
+/**
+ * Read the config files of the user and the project.
+ *
+ * @returns {Promise<Array<{source: string, filePath: string, config: object}>>} The config files in the order of
+ * their precedence, starting with the lowest
+ */
+const readConfigFiles = async () => {
+  const configFiles = [{ source: 'user config', filePath: userConfigPath, config: await readConfig(userConfigPath) }]
+
+  const projectPath = await findProjectConfigPath()
+  if (projectPath) {
+    configFiles.push({ source: 'project config', filePath: projectPath, config: await readConfig(projectPath) })
+  }
+
+  return configFiles
+}
+
+/**
+ * Resolve the settings with the source of each value.
+ * Profiles take precedence over environment variables, which take precedence over the config of the project,
+ * the config of the user and the defaults.
+ *
+ * @param {string} [profile] - Name of the profile to use (default: HEYI_PROFILE or profile of the config files)
+ * @returns {Promise<{profile: string|undefined, settings: object}>} The name of the used profile and the settings
+ * with setting keys as keys and objects with value and source as values
+ * @throws {Error} If a config file is invalid or the profile doesn't exist
+ */
+export const resolveSettings = async (profile) => {
+  const configFiles = await readConfigFiles()
+
+  const settings = {}
+  const setValue = (key, value, source) => {
+    if (value !== undefined) settings[key] = { value, source }
+  }
+
+  for (const [key, value] of Object.entries(defaultSettings)) {
+    setValue(key, value, 'default')
+  }
+
+  for (const { source, config } of configFiles) {
+    for (const key of settingKeys) setValue(key, config[key], source)
+  }
+
+  for (const [key, name] of Object.entries(environmentVariables)) {
+    // Empty environment variables are treated as not set
+    setValue(key, process.env[name] || undefined, `environment variable ${name}`)
+  }
+
+  const profileName =
+    profile ?? (process.env.HEYI_PROFILE || configFiles.findLast(({ config }) => config.profile)?.config.profile)
+
+  if (profileName) {
+    const profileFiles = configFiles.filter(({ config }) => config.profiles?.[profileName])
+
+    if (profileFiles.length === 0) {
+      const profileNames = [...new Set(configFiles.flatMap(({ config }) => Object.keys(config.profiles ?? {})))]
+      throw new Error(
+        `Profile '${profileName}' not found in config files. Available profiles: ${profileNames.join(', ') || 'none'}`,
+      )
+    }
+
+    for (const { source, config } of profileFiles) {
+      for (const key of settingKeys) {
+        setValue(key, config.profiles[profileName][key], `profile ${profileName} (${source})`)
+      }
+    }
+  }
+
+  return { profile: profileName, settings }
+}
+
+/**
+ * Load the values of the settings, see resolveSettings.
+ *
+ * @param {string} [profile] - Name of the profile to use (default: HEYI_PROFILE or profile of the config files)
+ * @returns {Promise<object>} The settings with setting keys as keys
+ */
+export const loadSettings = async (profile) => {
+  const { settings } = await resolveSettings(profile)
+
+  return Object.fromEntries(Object.entries(settings).map(([key, { value }]) => [key, value]))
+}
+
+/**
+ * List the values set in the config files.
+ *
+ * @returns {Promise<Array<{filePath: string, key: string, value: unknown}>>} The values with keys of profiles
+ * prefixed with profiles.<name>.
+ */
+export const listConfigValues = async () => {
+  const configFiles = await readConfigFiles()
+
+  return configFiles.flatMap(({ filePath, config }) => {
+    const { profiles = {}, ...values } = config
+    const entries = Object.entries(values).map(([key, value]) => ({ filePath, key, value }))
+
+    for (const [name, profileValues] of Object.entries(profiles)) {
+      for (const [key, value] of Object.entries(profileValues)) {
+        entries.push({ filePath, key: `profiles.${name}.${key}`, value })
+      }
+    }
+
+    return entries
+  })
+}
+
+/**
+ * Parse a value of a setting given as text, e.g. via the command line.
+ *
+ * @param {string} key - The key of the setting or profile
+ * @param {string} value - The value as text
+ * @returns {unknown} The parsed value
+ * @throws {Error} If the key is unknown or the value is invalid
+ */
+const parseConfigValue = (key, value) => {
+  const schema = key === 'profile' ? configSchema.shape.profile : settingsSchema.shape[key]
+  if (!schema) {
+    throw new Error(`Unknown config key '${key}'. Supported are ${['profile', ...settingKeys].join(', ')}`)
+  }
+
+  // Booleans and numbers are given as text
+  let parsedValue = value
+  if (!schema.safeParse(value).success) {
+    try {
+      parsedValue = JSON.parse(value)
+    } catch {
+      // Keep the value as text, so the error below explains the problem
+    }
+  }
+
+  const result = schema.safeParse(parsedValue)
+  if (!result.success) {
+    throw new Error(`Invalid value '${value}' for config key '${key}': ${result.error.issues[0].message}`)
+  }
+
+  return result.data
+}
+
+/**
+ * Set a value in a config file. The file and its directory are created when they don't exist.
+ *
+ * @param {string} filePath - Path to the config file
+ * @param {string} key - The key of the setting, e.g. model, or of a setting of a profile, e.g. profiles.work.model
+ * @param {string} value - The value as text
+ * @returns {Promise<void>}
+ * @throws {Error} If the key is unknown or the value is invalid
+ */
+export const setConfigValue = async (filePath, key, value) => {
+  const config = await readConfig(filePath)
+  const [, profileName, settingKey] = /^profiles\.([^.]+)\.([^.]+)$/.exec(key) ?? []
+
+  if (profileName) {
+    if (settingKey === 'profile') {
+      throw new Error("Profiles can't set the config key 'profile'")
+    }
+
+    const parsedValue = parseConfigValue(settingKey, value)
+    config.profiles = {
+      ...config.profiles,
+      [profileName]: { ...config.profiles?.[profileName], [settingKey]: parsedValue },
+    }
+  } else {
+    config[key] = parseConfigValue(key, value)
+  }
+
+  await mkdir(path.dirname(filePath), { recursive: true })
+  await writeFile(filePath, `${JSON.stringify(config, null, 2)}\n`)
+}
@@ -0,0 +1,59 @@
+/**
+ * Base class of the errors thrown by the library (see createHeyi).
+ * The original error, e.g. of a failed request, is available as cause.
+ */
+export class HeyiError extends Error {
+  name = 'HeyiError'
+  code = 'ERR_HEYI'
+}
+
+/**
+ * Thrown when options or variables are invalid, e.g. an unknown format or a value that doesn't match the declaration
+ * of its variable.
+ */
+export class ValidationError extends HeyiError {
+  name = 'ValidationError'
+  code = 'ERR_HEYI_VALIDATION'
+}
+
+/**
+ * Thrown when variables of the prompt have no value and there is no onMissingVariable option to ask for them.
+ */
+export class MissingVariablesError extends HeyiError {
+  name = 'MissingVariablesError'
+  code = 'ERR_HEYI_MISSING_VARIABLES'
+
+  /**
+   * @param {Array<{name: string, description: string|null}>} variables - The missing variables
+   * (see findMissingVariables)
+   */
+  constructor(variables) {
+    super(`Missing variables: ${variables.map(({ name }) => name).join(', ')}`)
+
+    this.variables = variables
+  }
+}
+
+/**
+ * Thrown when a preset can't be found, read or parsed.
+ */
+export class PresetError extends HeyiError {
+  name = 'PresetError'
+  code = 'ERR_HEYI_PRESET'
+}
+
+/**
+ * Thrown when the context can't be built from files and URLs or exceeds its token budget.
+ */
+export class ContextError extends HeyiError {
+  name = 'ContextError'
+  code = 'ERR_HEYI_CONTEXT'
+}
+
+/**
+ * Thrown when the model and all fallback models failed to generate a result matching the format.
+ */
+export class GenerationError extends HeyiError {
+  name = 'GenerationError'
+  code = 'ERR_HEYI_GENERATION'
+}
@@ -0,0 +1,354 @@
+import ignore from 'ignore'
+import { readdir, readFile, stat } from 'node:fs/promises'
+import path from 'node:path'
+import { createImage, extractPdfText, getFileMediaType, isImageMediaType, supportedMediaText } from './media.js'
+
+const sizeUnits = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 }
+
+// Number of bytes that are checked for null bytes to detect binary files
+const binaryCheckLength = 8000
+
+/**
+ * Parse a size like "500kb", "2mb" or "1gb" into bytes. Numbers without unit are bytes.
+ *
+ * @param {string|number} size - The size to parse
+ * @returns {number} The size in bytes
+ * @throws {Error} If the size has an invalid format
+ */
+export const parseSize = (size) => {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(size).trim())
+  if (!match) {
+    throw new Error(`Invalid size '${size}'. Expected a number with optional unit b, kb, mb or gb (e.g., 500kb).`)
+  }
+
+  const [, value, unit] = match
+  return Math.floor(Number(value) * sizeUnits[(unit || 'b').toLowerCase()])
+}
+
+/**
+ * Format a number of bytes for humans.
+ *
+ * @param {number} bytes - The number of bytes
+ * @returns {string} The formatted size (e.g., "1.5 MB")
+ */
+const formatSize = (bytes) => {
+  if (bytes < sizeUnits.kb) return `${bytes} B`
+  if (bytes < sizeUnits.mb) return `${(bytes / sizeUnits.kb).toFixed(1)} KB`
+  return `${(bytes / sizeUnits.mb).toFixed(1)} MB`
+}
+
+/**
+ * Convert a path to the forward slash format used by .gitignore files.
+ *
+ * @param {string} filePath - The path to convert
+ * @returns {string} The converted path
+ */
+const toPosixPath = (filePath) => {
+  return filePath.split(path.sep).join('/')
+}
+
+/**
+ * Check if a path is inside of a directory or the directory itself.
+ *
+ * @param {string} filePath - The absolute path
+ * @param {string} directory - The absolute path of the directory
+ * @returns {boolean} True if the path is inside of the directory
+ */
+export const isInsideDirectory = (filePath, directory) => {
+  const relativePath = path.relative(directory, filePath)
+  return relativePath !== '..' && !relativePath.startsWith(`..${path.sep}`) && !path.isAbsolute(relativePath)
+}
+
+/**
+ * Check if a path contains glob characters.
+ *
+ * @param {string} pattern - The path or glob pattern
+ * @returns {boolean} True if the path is a glob pattern
+ */
+const isGlobPattern = (pattern) => {
+  return /[*?[\]{}]/.test(pattern)
+}
+
+/**
+ * Get the directory a glob pattern starts in, which are all leading segments without glob characters.
+ *
+ * @param {string} pattern - The glob pattern (e.g., "src/**\/*.js")
+ * @returns {string} The directory (e.g., "src") or an empty string when the pattern starts with a glob
+ */
+const getGlobBase = (pattern) => {
+  const segments = pattern.split(/[/\\]/)
+  const baseSegments = segments.slice(
+    0,
+    segments.findIndex((segment) => isGlobPattern(segment)),
+  )
+
+  if (baseSegments.length === 0) return ''
+  // Keep the root of absolute patterns like "/docs/*.md"
+  return baseSegments.join('/') || '/'
+}
+
+/**
+ * Find the root of the git repository a directory belongs to.
+ *
+ * @param {string} directory - Absolute path of the directory
+ * @returns {Promise<string|null>} Absolute path of the repository root or null when not in a repository
+ */
+const findGitRoot = async (directory) => {
+  let currentDirectory = directory
+
+  while (true) {
+    try {
+      await stat(path.join(currentDirectory, '.git'))
+      return currentDirectory
+    } catch {
+      const parentDirectory = path.dirname(currentDirectory)
+      if (parentDirectory === currentDirectory) return null
+      currentDirectory = parentDirectory
+    }
+  }
+}
+
+/**
+ * Create a function that checks if a path is ignored by .gitignore files or exclude patterns.
+ *
+ * @param {string[]} exclude - Patterns in .gitignore syntax, relative to the working directory
+ * @returns {Function} Async function called with the absolute path, whether it is a directory and the absolute path
+ * of the directory the search started in
+ */
+export const createIgnoreChecker = (exclude) => {
+  const excludeMatcher = ignore().add(exclude)
+  // Parsed .gitignore files per directory, null when a directory has none
+  const gitignoreMatchers = new Map()
+  const gitRoots = new Map()
+
+  const getGitignoreMatcher = async (directory) => {
+    if (!gitignoreMatchers.has(directory)) {
+      try {
+        const content = await readFile(path.join(directory, '.gitignore'), 'utf8')
+        gitignoreMatchers.set(directory, ignore().add(content))
+      } catch {
+        gitignoreMatchers.set(directory, null)
+      }
+    }
+
+    return gitignoreMatchers.get(directory)
+  }
+
+  const getGitRoot = async (directory) => {
+    if (!gitRoots.has(directory)) {
+      gitRoots.set(directory, await findGitRoot(directory))
+    }
+
+    return gitRoots.get(directory)
+  }
+
+  return async (absolutePath, isDirectory, baseDirectory) => {
+    if (path.basename(absolutePath) === '.git') return true
+
+    const suffix = isDirectory ? '/' : ''
+
+    // Exclude patterns are relative to the working directory, or to the searched directory when outside of it
+    const excludePath = path.relative(
+      isInsideDirectory(absolutePath, process.cwd()) ? process.cwd() : baseDirectory,
+      absolutePath,
+    )
+    if (excludeMatcher.ignores(toPosixPath(excludePath) + suffix)) return true
+
+    // Check the .gitignore files of all directories from the repository root down to the path
+    const rootDirectory = (await getGitRoot(baseDirectory)) ?? baseDirectory
+    let directory = path.dirname(absolutePath)
+    const directories = []
+    while (isInsideDirectory(directory, rootDirectory)) {
+      directories.unshift(directory)
+      if (directory === rootDirectory) break
+      directory = path.dirname(directory)
+    }
+
+    for (const gitignoreDirectory of directories) {
+      const matcher = await getGitignoreMatcher(gitignoreDirectory)
+      const gitignorePath = toPosixPath(path.relative(gitignoreDirectory, absolutePath)) + suffix
+      if (matcher?.ignores(gitignorePath)) return true
+    }
+
+    return false
+  }
+}
+
+/**
+ * Find all files in a directory and its subdirectories that aren't ignored.
+ *
+ * @param {string} directory - Absolute path of the directory
+ * @param {Function} isIgnored - Function created with createIgnoreChecker
+ * @param {string} baseDirectory - Absolute path of the directory the search started in
+ * @returns {Promise<string[]>} Absolute paths of the files, sorted by name
+ */
+const findFiles = async (directory, isIgnored, baseDirectory = directory) => {
+  const entries = await readdir(directory, { withFileTypes: true })
+  entries.sort((a, b) => a.name.localeCompare(b.name))
+
+  const filePaths = []
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name)
+    if (await isIgnored(entryPath, entry.isDirectory(), baseDirectory)) continue
+
+    if (entry.isDirectory()) {
+      filePaths.push(...(await findFiles(entryPath, isIgnored, baseDirectory)))
+    } else if (entry.isFile()) {
+      filePaths.push(entryPath)
+    }
+  }
+
+  return filePaths
+}
+
+/**
+ * Resolve file paths, directories and glob patterns into files.
+ * Files found in directories or via glob patterns respect .gitignore files and exclude patterns,
+ * files given by path are always included.
+ *
+ * @param {string[]} patterns - File paths, directories or glob patterns (e.g., "src/**\/*.js")
+ * @param {string[]} [exclude] - Patterns in .gitignore syntax of files to skip (e.g., "*.test.js")
+ * @param {(message: string) => void} [onLog] - Called with a warning when a glob pattern matches no files
+ * @returns {Promise<Array<{filePath: string, explicit: boolean}>>} Absolute paths of the files without duplicates
+ * and whether they have been given by path
+ * @throws {Error} If a file or directory doesn't exist
+ */
+export const resolveFilePaths = async (patterns, exclude = [], onLog) => {
+  const isIgnored = createIgnoreChecker(exclude)
+  // Absolute paths of the files and whether they have been given by path
+  const filePaths = new Map()
+
+  const addFilePath = (filePath, explicit) => {
+    filePaths.set(filePath, filePaths.get(filePath) || explicit)
+  }
+
+  for (const pattern of patterns) {
+    if (isGlobPattern(pattern)) {
+      const baseDirectory = getGlobBase(pattern)
+      const absoluteBaseDirectory = path.resolve(baseDirectory)
+
+      let matches = []
+      try {
+        const candidates = await findFiles(absoluteBaseDirectory, isIgnored)
+        matches = candidates.filter((filePath) => {
+          // Keep the style of the pattern, e.g. "./src/a.js" for "./src/*.js"
+          const relativePath = toPosixPath(path.relative(absoluteBaseDirectory, filePath))
+          const candidate = baseDirectory ? `${baseDirectory.replace(/\/$/, '')}/${relativePath}` : relativePath
+          return path.matchesGlob(candidate, pattern)
+        })
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Failed to read files of '${pattern}'`, { cause: error })
+      }
+
+      if (matches.length === 0) {
+        onLog?.(`Warning: No files match '${pattern}'`)
+      }
+
+      for (const filePath of matches) addFilePath(filePath, false)
+      continue
+    }
+
+    const absolutePath = path.resolve(pattern)
+
+    let fileStat
+    try {
+      fileStat = await stat(absolutePath)
+    } catch (error) {
+      throw new Error(`Failed to read file '${pattern}'`, { cause: error })
+    }
+
+    if (fileStat.isDirectory()) {
+      const directoryFilePaths = await findFiles(absolutePath, isIgnored)
+      for (const filePath of directoryFilePaths) addFilePath(filePath, false)
+    } else {
+      addFilePath(absolutePath, true)
+    }
+  }
+
+  return [...filePaths].map(([filePath, explicit]) => ({ filePath, explicit }))
+}
+
+/**
+ * Read files as context. Text of PDFs is extracted with a marker before each page and images are returned as Base64.
+ * Files that exceed the size limits and binary files found in directories or via glob patterns are skipped with a warning.
+ *
+ * @param {string[]} patterns - File paths, directories or glob patterns (see resolveFilePaths)
+ * @param {object} options - Configuration options
+ * @param {string[]} [options.exclude] - Patterns in .gitignore syntax of files to skip
+ * @param {number} [options.maxFileSize] - Maximum size of a single file in bytes (default: no limit)
+ * @param {number} [options.maxTotalSize] - Maximum size of all files together in bytes (default: no limit)
+ * @param {(message: string) => void} [options.onLog] - Called with a warning for skipped files (default: none)
+ * @returns {Promise<Array<{path: string, content?: string, image?: string, mediaType?: string}>>} The files with
+ * their path relative to the working directory and either their text content or image
+ * @throws {Error} If a file given by path is binary and neither a PDF nor an image
+ */
+export const readFiles = async (patterns, options = {}) => {
+  const { exclude = [], maxFileSize = Infinity, maxTotalSize = Infinity, onLog } = options
+
+  const files = []
+  const binaryFiles = []
+  const oversizedFiles = []
+  let totalSize = 0
+
+  const filePaths = await resolveFilePaths(patterns, exclude, onLog)
+  for (const { filePath, explicit } of filePaths) {
+    const relativePath = path.relative(process.cwd(), filePath)
+
+    let content
+    try {
+      const { size } = await stat(filePath)
+      if (size > maxFileSize) {
+        onLog?.(
+          `Warning: Skipped '${relativePath}' (${formatSize(size)}) because it exceeds the maximum file size of ${formatSize(maxFileSize)}`,
+        )
+        continue
+      }
+
+      content = await readFile(filePath)
+    } catch (error) {
+      throw new Error(`Failed to read file '${relativePath}'`, { cause: error })
+    }
+
+    const mediaType = getFileMediaType(filePath)
+
+    if (!mediaType && content.subarray(0, binaryCheckLength).includes(0)) {
+      if (explicit) {
+        throw new Error(`Unsupported file type of '${relativePath}'. Supported are ${supportedMediaText}.`)
+      }
+
+      binaryFiles.push(relativePath)
+      continue
+    }
+
+    if (totalSize + content.length > maxTotalSize) {
+      oversizedFiles.push(relativePath)
+      continue
+    }
+
+    totalSize += content.length
+
+    if (isImageMediaType(mediaType)) {
+      files.push({ path: relativePath, ...createImage(content, mediaType) })
+    } else if (mediaType === 'application/pdf') {
+      try {
+        files.push({ path: relativePath, content: await extractPdfText(content) })
+      } catch (error) {
+        throw new Error(`Failed to read file '${relativePath}'`, { cause: error })
+      }
+    } else {
+      files.push({ path: relativePath, content: content.toString('utf8') })
+    }
+  }
+
+  if (binaryFiles.length > 0) {
+    onLog?.(`Warning: Skipped ${binaryFiles.length} binary file(s): ${binaryFiles.join(', ')}`)
+  }
+
+  if (oversizedFiles.length > 0) {
+    onLog?.(
+      `Warning: Skipped ${oversizedFiles.length} file(s) because all files together exceed the maximum total size of ${formatSize(maxTotalSize)}: ${oversizedFiles.join(', ')}`,
+    )
+  }
+
+  return files
+}
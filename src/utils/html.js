@@ -0,0 +1,132 @@
+import { Readability } from '@mozilla/readability'
+import { parseHTML } from 'linkedom'
+import sanitizeHtml from 'sanitize-html'
+import TurndownService from 'turndown'
+import { gfm } from 'turndown-plugin-gfm'
+
+// Elements that never contain readable content
+const ignoredElements = ['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed']
+
+// Attributes with URLs that are resolved against the page URL
+const linkAttributes = [
+  ['a[href]', 'href'],
+  ['img[src]', 'src'],
+]
+
+/**
+ * Check if a Content-Type header describes an HTML document.
+ *
+ * @param {string|null} contentType - The Content-Type header
+ * @returns {boolean} True if the content is HTML or the Content-Type is unknown
+ */
+export const isHtmlContentType = (contentType) => {
+  return !contentType || /\b(?:text\/html|application\/xhtml\+xml)\b/i.test(contentType)
+}
+
+/**
+ * Convert HTML to Markdown that keeps headings, lists, links and tables.
+ *
+ * @param {string} html - The HTML to convert
+ * @returns {string} The Markdown
+ */
+const htmlToMarkdown = (html) => {
+  const turndownService = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+  })
+  turndownService.use(gfm)
+  turndownService.remove(ignoredElements)
+
+  return turndownService.turndown(html)
+}
+
+/**
+ * Parse HTML into a document with absolute links, so they stay usable once extracted.
+ *
+ * @param {string} html - The HTML to parse
+ * @param {string} url - URL of the HTML used to resolve relative links
+ * @returns {object} The parsed document
+ */
+const parseDocument = (html, url) => {
+  const { document } = parseHTML(html)
+
+  for (const [selector, attribute] of linkAttributes) {
+    for (const element of document.querySelectorAll(selector)) {
+      try {
+        element.setAttribute(attribute, new URL(element.getAttribute(attribute), url).href)
+      } catch {
+        // Keep values that can't be resolved as they are
+      }
+    }
+  }
+
+  return document
+}
+
+/**
+ * Get the HTML of the whole page without elements that never contain readable content.
+ *
+ * @param {object} document - The parsed document
+ * @returns {string} The HTML of the page
+ */
+const getPageHtml = (document) => {
+  const elements = document.querySelectorAll(ignoredElements.join(','))
+  for (const element of elements) {
+    element.remove()
+  }
+
+  return document.body?.textContent.trim() ? document.body.outerHTML : document.documentElement.outerHTML
+}
+
+/**
+ * Extract readable content from HTML.
+ *
+ * @param {string} html - The HTML to extract content from
+ * @param {string} url - URL of the HTML used to resolve relative links
+ * @param {string} extract - What to extract: 'text' (plain text of the page), 'markdown' (page as Markdown),
+ * 'main' (main content as Markdown, e.g. without navigation and footer) or a CSS selector (matching elements as Markdown)
+ * @returns {string} The extracted content
+ * @throws {Error} If a CSS selector is invalid or matches no elements
+ */
+export const extractHtmlContent = (html, url, extract = 'main') => {
+  switch (extract) {
+    case 'text': {
+      // Sanitize HTML to extract only text content and avoid large data
+      return sanitizeHtml(html, {
+        allowedTags: [],
+        allowedAttributes: {},
+        allowedSchemes: [],
+        allowedSchemesAppliedToAttributes: [],
+      }).trim()
+    }
+    case 'markdown': {
+      return htmlToMarkdown(getPageHtml(parseDocument(html, url))).trim()
+    }
+    case 'main': {
+      const article = new Readability(parseDocument(html, url)).parse()
+
+      // Fall back to the whole page when no main content could be found
+      const mainHtml = article?.content ?? getPageHtml(parseDocument(html, url))
+
+      return htmlToMarkdown(mainHtml).trim()
+    }
+    default: {
+      let elements
+      try {
+        elements = [...parseDocument(html, url).querySelectorAll(extract)]
+      } catch (error) {
+        throw new Error(`Invalid CSS selector '${extract}'`, { cause: error })
+      }
+
+      if (elements.length === 0) {
+        throw new Error(`No elements match the CSS selector '${extract}'`)
+      }
+
+      return elements
+        .map((element) => htmlToMarkdown(element.outerHTML).trim())
+        .join('\n\n')
+        .trim()
+    }
+  }
+}
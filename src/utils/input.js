@@ -1,7 +1,19 @@
 import { readFile } from 'node:fs/promises'
 import { createInterface } from 'node:readline'
 import { launch } from 'puppeteer'
-import sanitizeHtml from 'sanitize-html'
+import { getCacheKey, readCache, writeCache } from './cache.js'
+import { extractHtmlContent, isHtmlContentType } from './html.js'
+import {
+  createImage,
+  extractPdfText,
+  getContentMediaType,
+  isImageMediaType,
+  isTextMediaType,
+  supportedMediaText,
+} from './media.js'
+
+// Confirmations are asked one after another, e.g. when rows of a batch call tools at the same time
+let pendingConfirmation = Promise.resolve()
 
 /**
  * Read content from a file.
@@ -57,6 +69,33 @@ export const hasStdinData = () => {
   return !process.stdin.isTTY
 }
 
+/**
+ * Ask the user on the terminal to confirm a tool call, e.g. of run_command.
+ *
+ * @param {string} question - The question to ask
+ * @returns {Promise<boolean>} True if the user confirmed
+ * @throws {Error} If there is no terminal to ask the user
+ */
+export const askConfirmation = (question) => {
+  const confirmation = pendingConfirmation.then(async () => {
+    if (!process.stdin.isTTY) {
+      throw new Error('Confirmation required, but stdin is not a terminal. Use --yes to confirm all tool calls.')
+    }
+
+    // Ask on stderr, so the question doesn't end up in the result written to stdout
+    const rl = createInterface({ input: process.stdin, output: process.stderr })
+    try {
+      const answer = await new Promise((resolve) => rl.question(`${question} [y/N] `, resolve))
+      return /^y(es)?$/i.test(answer.trim())
+    } finally {
+      rl.close()
+    }
+  })
+
+  pendingConfirmation = confirmation.catch(() => {})
+  return confirmation
+}
+
 /**
  * Validate that a URL uses http or https protocol.
  *
@@ -77,42 +116,69 @@ const validateUrl = (url) => {
   }
 }
 
+/**
+ * Convert content that isn't HTML based on its Content-Type.
+ * Text (e.g., JSON, plain text, XML) is passed through as it is, PDFs are converted to text and images to Base64.
+ *
+ * @param {string|null} contentType - The Content-Type header of the response
+ * @param {Function} getData - Async function that returns the response body as Uint8Array
+ * @returns {Promise<string|{image: string, mediaType: string}>} The text content or image
+ * @throws {Error} If the Content-Type isn't supported
+ */
+const convertContent = async (contentType, getData) => {
+  const mediaType = getContentMediaType(contentType)
+
+  if (mediaType === 'application/pdf') {
+    return extractPdfText(await getData())
+  }
+
+  if (isImageMediaType(mediaType)) {
+    return createImage(await getData(), mediaType)
+  }
+
+  if (isTextMediaType(mediaType)) {
+    return new TextDecoder().decode(await getData()).trim()
+  }
+
+  throw new Error(`Unsupported content type '${mediaType}'. Supported are HTML, ${supportedMediaText}.`)
+}
+
 /**
  * Fetch content from a URL using fetch API.
  *
  * @param {string} url - URL to fetch content from
- * @returns {Promise<string>} The URL content
+ * @param {string} extract - What to extract from HTML: 'text', 'markdown', 'main' or a CSS selector
+ * @param {typeof fetch} fetchFunction - Function that sends the request
+ * @returns {Promise<string|{image: string, mediaType: string}>} The URL content or image
  */
-const fetchUrlContentWithFetch = async (url) => {
+const fetchUrlContentWithFetch = async (url, extract, fetchFunction) => {
   validateUrl(url)
-  const response = await fetch(url)
+  const response = await fetchFunction(url)
   if (!response.ok) {
     throw new Error(`HTTP ${response.status}: ${response.statusText}`)
   }
-  const html = await response.text()
-  // Sanitize HTML to extract only text content and avoid large data
-  const cleanText = sanitizeHtml(html, {
-    allowedTags: [],
-    allowedAttributes: {},
-    allowedSchemes: [],
-    allowedSchemesAppliedToAttributes: [],
-  })
-  return cleanText.trim()
+  const contentType = response.headers.get('content-type')
+  if (!isHtmlContentType(contentType)) {
+    return convertContent(contentType, async () => new Uint8Array(await response.arrayBuffer()))
+  }
+  const content = await response.text()
+  return extractHtmlContent(content, response.url || url, extract)
 }
 
 /**
  * Fetch content from a URL using Chrome/Puppeteer.
  *
  * @param {string} url - URL to fetch content from
- * @returns {Promise<string>} The URL content
+ * @param {string} extract - What to extract from HTML: 'text', 'markdown', 'main' or a CSS selector
+ * @returns {Promise<string|{image: string, mediaType: string}>} The URL content or image
  */
-const fetchUrlContentWithChrome = async (url) => {
+const fetchUrlContentWithChrome = async (url, extract) => {
   validateUrl(url)
 
   // eslint-disable-next-line unicorn/consistent-function-scoping
   const navigateTo = async (page, url) => {
     try {
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 8000 })
+      return await page.goto(url, { waitUntil: 'networkidle2', timeout: 8000 })
     } catch (error) {
       // If it's a timeout error, continue with the content that's already loaded instead of failing
       if (error.message.includes('Navigation timeout')) {
@@ -144,17 +210,15 @@ const fetchUrlContentWithChrome = async (url) => {
 
   try {
     const page = await browser.newPage()
-    await navigateTo(page, url)
-    const html = await getContent(page)
+    const response = await navigateTo(page, url)
 
-    // Sanitize HTML to extract only text content and avoid large data
-    const cleanText = sanitizeHtml(html, {
-      allowedTags: [],
-      allowedAttributes: {},
-      allowedSchemes: [],
-      allowedSchemesAppliedToAttributes: [],
-    })
-    return cleanText.trim()
+    const contentType = response?.headers()['content-type']
+    if (response && !isHtmlContentType(contentType)) {
+      return await convertContent(contentType, () => response.buffer())
+    }
+
+    const html = await getContent(page)
+    return extractHtmlContent(html, page.url(), extract)
   } finally {
     await browser.close()
   }
@@ -164,13 +228,36 @@ const fetchUrlContentWithChrome = async (url) => {
  * Fetch content from a URL.
  *
  * @param {string} url - URL to fetch content from
- * @param {string} crawler - Crawler to use: 'fetch' or 'chrome' (default: 'fetch')
- * @returns {Promise<string>} The URL content
+ * @param {object} options - Configuration options
+ * @param {string} [options.crawler] - Crawler to use: 'fetch' or 'chrome' (default: 'fetch')
+ * @param {string} [options.extract] - What to extract from HTML: 'text', 'markdown', 'main' or a CSS selector (default: 'main')
+ * @param {number} [options.cacheTtl] - Reuse cached contents that are younger than this many seconds (default: 0, disabled)
+ * @param {typeof fetch} [options.fetch] - Function that sends the request of the fetch crawler, e.g. to record it
+ * (default: global fetch)
+ * @returns {Promise<string|{image: string, mediaType: string}>} The URL content or image (Base64) for image URLs
  */
-export const fetchUrlContent = async (url, crawler = 'fetch') => {
+export const fetchUrlContent = async (url, options = {}) => {
+  const { crawler = 'fetch', extract = 'main', cacheTtl = 0, fetch: fetchFunction = fetch } = options
+
+  const cacheKey = cacheTtl > 0 ? getCacheKey({ url, crawler, extract }) : null
+  if (cacheKey) {
+    const cached = await readCache('urls', cacheKey, cacheTtl)
+    if (cached) return cached.value
+  }
+
+  let content
   try {
-    return crawler === 'chrome' ? await fetchUrlContentWithChrome(url) : await fetchUrlContentWithFetch(url)
+    content =
+      crawler === 'chrome'
+        ? await fetchUrlContentWithChrome(url, extract)
+        : await fetchUrlContentWithFetch(url, extract, fetchFunction)
   } catch (error) {
     throw new Error(`Failed to fetch URL '${url}'`, { cause: error })
   }
+
+  if (cacheKey) {
+    await writeCache('urls', cacheKey, content)
+  }
+
+  return content
 }
@@ -0,0 +1,89 @@
+import path from 'node:path'
+import { extractText, getDocumentProxy } from 'unpdf'
+
+// Images that can be sent to models with vision support
+const imageMediaTypes = new Set(['image/png', 'image/jpeg', 'image/webp'])
+
+const extensionMediaTypes = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+}
+
+export const supportedMediaText = 'text, PDFs and images (png, jpg, webp)'
+
+/**
+ * Get the media type of a PDF or image file by its extension.
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {string|undefined} The media type or undefined for other files
+ */
+export const getFileMediaType = (filePath) => {
+  return extensionMediaTypes[path.extname(filePath).toLowerCase()]
+}
+
+/**
+ * Get the media type of a Content-Type header without parameters like the charset.
+ *
+ * @param {string|null} contentType - The Content-Type header
+ * @returns {string} The media type in lower case (e.g., "application/pdf")
+ */
+export const getContentMediaType = (contentType) => {
+  return (contentType ?? '').split(';', 1)[0].trim().toLowerCase()
+}
+
+/**
+ * Check if a media type describes an image that can be sent to models with vision support.
+ *
+ * @param {string} mediaType - The media type
+ * @returns {boolean} True if the media type is a supported image
+ */
+export const isImageMediaType = (mediaType) => {
+  return imageMediaTypes.has(mediaType)
+}
+
+/**
+ * Check if a media type describes text content that can be used as it is.
+ *
+ * @param {string} mediaType - The media type
+ * @returns {boolean} True if the media type is text, e.g. plain text, JSON, XML or YAML
+ */
+export const isTextMediaType = (mediaType) => {
+  return (
+    mediaType.startsWith('text/') ||
+    /^application\/(?:json|xml|javascript|ecmascript|(?:x-)?yaml|x-ndjson|[\w.-]+\+(?:json|xml))$/.test(mediaType)
+  )
+}
+
+/**
+ * Extract the text of a PDF with a marker before each page.
+ *
+ * @param {Uint8Array} data - The PDF file
+ * @returns {Promise<string>} The text of all pages
+ * @throws {Error} If the PDF can't be read
+ */
+export const extractPdfText = async (data) => {
+  let pages
+  try {
+    const pdf = await getDocumentProxy(new Uint8Array(data))
+    const { text } = await extractText(pdf, { mergePages: false })
+    pages = text
+  } catch (error) {
+    throw new Error('Failed to extract text from PDF', { cause: error })
+  }
+
+  return pages.map((text, index) => `--- Page ${index + 1} ---\n${text.trim()}`).join('\n\n')
+}
+
+/**
+ * Create an image source that is sent as separate part of the prompt instead of being inlined as text.
+ *
+ * @param {Uint8Array} data - The image file
+ * @param {string} mediaType - The media type of the image (e.g., "image/png")
+ * @returns {{image: string, mediaType: string}} The image as Base64 with its media type
+ */
+export const createImage = (data, mediaType) => {
+  return { image: Buffer.from(data).toString('base64'), mediaType }
+}
@@ -0,0 +1,149 @@
+import process from 'node:process'
+import { stringify as stringifyYaml } from 'yaml'
+
+/**
+ * Write chunks to stdout as soon as they arrive.
+ * Writing stops without an error when the signal is aborted and the output always ends with a newline.
+ *
+ * @param {object} chunks - Async iterable with the chunks to write
+ * @param {AbortSignal} [signal] - Signal that stops writing when aborted
+ * @returns {Promise<void>}
+ */
+export const writeStream = async (chunks, signal) => {
+  let lastChunk = ''
+
+  try {
+    for await (const chunk of chunks) {
+      if (chunk.length === 0) continue
+
+      process.stdout.write(chunk)
+      lastChunk = chunk
+    }
+  } catch (error) {
+    // Aborting is expected (e.g., on SIGINT), so keep what has been written so far
+    if (!signal?.aborted) throw error
+  } finally {
+    // Keep the output clean for other processes by terminating the last line
+    if (lastChunk && !lastChunk.endsWith('\n')) {
+      process.stdout.write('\n')
+    }
+  }
+}
+
+/**
+ * Convert a result to rows of a table. Objects are rows with their properties as columns,
+ * other values are rows with a single value column.
+ *
+ * @param {*} result - The AI response
+ * @returns {{columns: string[], rows: string[][]}} The columns and the rows with one text cell per column
+ */
+const toTable = (result) => {
+  const records = (Array.isArray(result) ? result : [result]).map((element) => {
+    return element !== null && typeof element === 'object' && !Array.isArray(element) ? element : { value: element }
+  })
+
+  const columns = [...new Set(records.flatMap((record) => Object.keys(record)))]
+  const rows = records.map((record) => {
+    return columns.map((column) => {
+      const value = record[column]
+      if (value === undefined || value === null) return ''
+      return typeof value === 'object' ? JSON.stringify(value) : String(value)
+    })
+  })
+
+  return { columns, rows }
+}
+
+/**
+ * Escape a cell of a CSV row. Cells with separators, quotes or line breaks are quoted.
+ *
+ * @param {string} cell - The text of the cell
+ * @returns {string} The escaped cell
+ */
+const escapeCsvCell = (cell) => {
+  return /[",\r\n]/.test(cell) ? `"${cell.replaceAll('"', '""')}"` : cell
+}
+
+/**
+ * Format a result as CSV with a header row.
+ *
+ * @param {*} result - The AI response
+ * @returns {string} The CSV
+ */
+const formatCsv = (result) => {
+  const { columns, rows } = toTable(result)
+
+  return [columns, ...rows].map((row) => row.map((cell) => escapeCsvCell(cell)).join(',')).join('\n')
+}
+
+/**
+ * Format a result as table with aligned columns for humans.
+ *
+ * @param {*} result - The AI response
+ * @returns {string} The table
+ */
+const formatTable = (result) => {
+  const { columns, rows } = toTable(result)
+
+  // Line breaks would break the alignment
+  const lines = [columns, ...rows].map((row) => row.map((cell) => cell.replaceAll(/\s*\n\s*/g, ' ')))
+  const widths = columns.map((column, index) => Math.max(...lines.map((line) => line[index].length)))
+  const separator = widths.map((width) => '-'.repeat(width))
+
+  return [lines[0], separator, ...lines.slice(1)]
+    .map((line) =>
+      line
+        .map((cell, index) => cell.padEnd(widths[index]))
+        .join('  ')
+        .trimEnd(),
+    )
+    .join('\n')
+}
+
+/**
+ * Format the result of an AI prompt for output.
+ *
+ * @param {*} result - The AI response matching the format
+ * @param {string} format - The output format (string, number, boolean, enum, object, array)
+ * @param {string} [outputFormat] - How to render the result: json, yaml, csv or table (default: text for string,
+ * number, boolean and enum, JSON for object and array)
+ * @returns {string|number|boolean} The formatted AI response
+ */
+export const formatResult = (result, format, outputFormat) => {
+  switch (outputFormat) {
+    case undefined: {
+      break
+    }
+    case 'json': {
+      return JSON.stringify(result, null, 2)
+    }
+    case 'yaml': {
+      return stringifyYaml(result).trimEnd()
+    }
+    case 'csv': {
+      return formatCsv(result)
+    }
+    case 'table': {
+      return formatTable(result)
+    }
+    default: {
+      throw new Error(`Can't format response for unknown output format '${outputFormat}'`)
+    }
+  }
+
+  switch (format) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'enum': {
+      return result
+    }
+    case 'object':
+    case 'array': {
+      return JSON.stringify(result, null, 2)
+    }
+    default: {
+      throw new Error(`Can't format response for unknown format '${format}'`)
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { z } from 'zod'
+
+export const reasoningEfforts = ['none', 'minimal', 'low', 'medium', 'high', 'xhigh']
+
+// Sampling and reasoning parameters of the model with the ranges that providers accept.
+// Numbers are coerced, as flags and config values are given as text
+const parameterSchemas = {
+  temperature: z.coerce.number().min(0).max(2),
+  maxTokens: z.coerce.number().int().positive(),
+  topP: z.coerce.number().min(0).max(1),
+  seed: z.coerce.number().int(),
+  stop: z.array(z.string().min(1)).min(1),
+  reasoningEffort: z.enum(reasoningEfforts),
+}
+
+export const parameterKeys = Object.keys(parameterSchemas)
+
+export const parametersSchema = z.strictObject(
+  Object.fromEntries(Object.entries(parameterSchemas).map(([key, schema]) => [key, schema.optional()])),
+)
+
+// Options of the providers with the name of the provider as key, e.g. {"openrouter": {"provider": {"sort": "price"}}}
+export const providerOptionsSchema = z.record(z.string(), z.record(z.string(), z.unknown()))
+
+/**
+ * Get the settings of the AI SDK for the parameters of the model.
+ *
+ * @param {object} [parameters] - The parameters
+ * @param {number} [parameters.temperature] - Randomness of the response between 0 and 2
+ * @param {number} [parameters.maxTokens] - Maximum number of tokens of the response
+ * @param {number} [parameters.topP] - Probability mass of the tokens to sample from between 0 and 1
+ * @param {number} [parameters.seed] - Seed for deterministic sampling, if supported by the model
+ * @param {string[]} [parameters.stop] - Sequences that stop the generation
+ * @param {string} [parameters.reasoningEffort] - How much the model reasons before answering (see reasoningEfforts)
+ * @returns {object} The settings of generateText and streamText, without the parameters that aren't set
+ */
+export const getCallSettings = (parameters = {}) => {
+  const { temperature, maxTokens, topP, seed, stop, reasoningEffort } = parameters
+
+  const settings = {
+    temperature,
+    maxOutputTokens: maxTokens,
+    topP,
+    seed,
+    stopSequences: stop,
+    reasoning: reasoningEffort,
+  }
+
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined))
+}
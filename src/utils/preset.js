@@ -1,26 +1,276 @@
-import { readFile } from 'node:fs/promises'
+import { readdir, readFile, realpath, stat } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { parse as parseYaml } from 'yaml'
 import { z } from 'zod'
+import { isInsideDirectory } from './files.js'
+import { parametersSchema, providerOptionsSchema } from './parameters.js'
+import { getPromptTexts } from './prompt.js'
+import { includePartials } from './template.js'
+import { toolNames } from './tools.js'
 
-const presetSchema = z.object({
-  prompt: z.string(),
+export const presetExtensions = new Set(['.json', '.yaml', '.yml'])
+
+// Name of the variable with the current element of steps that fan out over an array
+export const defaultItemName = 'item'
+
+// Fields that are appended to the fields of the extended preset instead of replacing them
+const appendedFields = new Set(['files', 'urls', 'exclude', 'varsFiles'])
+
+// Fields with entries that are merged into the entries of the extended preset
+const mergedFields = new Set(['variables', 'parameters', 'providerOptions', 'partialDirectories'])
+
+export const variableSchema = z
+  .object({
+    type: z.enum(['string', 'number', 'boolean', 'enum', 'file']).default('string'),
+    description: z.string().optional(),
+    default: z.union([z.string(), z.number(), z.boolean()]).optional(),
+    required: z.boolean().default(false),
+    pattern: z
+      .string()
+      .refine(
+        (pattern) => {
+          try {
+            new RegExp(pattern)
+            return true
+          } catch {
+            return false
+          }
+        },
+        { message: 'Invalid regular expression' },
+      )
+      .optional(),
+    values: z.array(z.union([z.string(), z.number()])).optional(),
+    env: z.string().min(1).optional(),
+    file: z.string().min(1).optional(),
+    command: z.string().min(1).optional(),
+  })
+  .refine((data) => data.type !== 'enum' || data.values?.length > 0, {
+    message: 'values are required for enum variables',
+    path: ['values'],
+  })
+  .refine((data) => [data.env, data.file, data.command].filter((source) => source !== undefined).length <= 1, {
+    message: 'env, file and command can not be used together',
+    path: ['command'],
+  })
+  .refine((data) => data.type !== 'file' || data.file === undefined, {
+    message: 'file variables take a path, use default instead of file',
+    path: ['file'],
+  })
+
+export const messageSchema = z.object({
+  role: z.enum(['user', 'assistant']),
+  content: z.string(),
+})
+
+const variableNamePattern = /^[a-zA-Z_]\w*$/
+
+// Fields of presets that steps can set too, the fields of a step take precedence over the ones of its preset
+const stepFields = {
+  prompt: z.string().optional(),
+  promptFile: z.string().optional(),
+  system: z.string().optional(),
+  messages: z.array(messageSchema).optional(),
   model: z.string().optional(),
-  format: z.enum(['string', 'number', 'object', 'array']).optional(),
-  schema: z.string().optional(),
+  parameters: parametersSchema.optional(),
+  providerOptions: providerOptionsSchema.optional(),
+  fallbackModels: z.array(z.string()).optional(),
+  retries: z.number().int().nonnegative().optional(),
+  timeout: z.string().optional(),
+  provider: z.enum(['openrouter', 'openai-compatible']).optional(),
+  baseUrl: z.string().optional(),
+  format: z.enum(['string', 'number', 'boolean', 'enum', 'object', 'array']).optional(),
+  schema: z.union([z.string(), z.record(z.string(), z.unknown())]).optional(),
+  choices: z.array(z.string()).optional(),
   crawler: z.enum(['fetch', 'chrome']).optional(),
-  files: z.array(z.string()).default([]),
-  urls: z.array(z.string()).default([]),
-})
+  extract: z.string().min(1).optional(),
+  cache: z.boolean().optional(),
+  cacheTtl: z.string().optional(),
+  urlCacheTtl: z.string().optional(),
+  files: z.array(z.string()).optional(),
+  exclude: z.array(z.string()).optional(),
+  maxFileSize: z.string().optional(),
+  maxTotalSize: z.string().optional(),
+  maxContextTokens: z.number().int().positive().optional(),
+  contextStrategy: z.enum(['fail', 'truncate', 'map-reduce']).optional(),
+  contextPlacement: z.enum(['inline', 'system', 'message']).optional(),
+  urls: z.array(z.string()).optional(),
+  agent: z.boolean().optional(),
+  tools: z.array(z.enum(toolNames)).optional(),
+  allowedDirectory: z.string().optional(),
+  allowedCommands: z.array(z.string()).optional(),
+  maxSteps: z.number().int().positive().optional(),
+}
+
+const stepSchema = z
+  .object({
+    name: z.string().regex(variableNamePattern, 'Invalid step name'),
+    description: z.string().optional(),
+    ...stepFields,
+    each: z.string().min(1).optional(),
+    as: z.string().regex(variableNamePattern, 'Invalid variable name').optional(),
+  })
+  .refine((data) => (data.prompt === undefined) !== (data.promptFile === undefined), {
+    message: 'Either prompt or promptFile is required',
+    path: ['prompt'],
+  })
+  .refine((data) => data.as === undefined || data.each !== undefined, {
+    message: 'as requires each',
+    path: ['as'],
+  })
+
+const presetSchema = z
+  .object({
+    extends: z.string().optional(),
+    description: z.string().optional(),
+    ...stepFields,
+    outputFormat: z.enum(['json', 'yaml', 'csv', 'table']).optional(),
+    stream: z.boolean().optional(),
+    variables: z.record(z.string().regex(variableNamePattern, 'Invalid variable name'), variableSchema).optional(),
+    varsFiles: z.array(z.string()).optional(),
+    steps: z.array(stepSchema).min(1).optional(),
+  })
+  .refine((data) => !data.prompt || !data.promptFile, {
+    message: 'prompt and promptFile can not be used together',
+    path: ['promptFile'],
+  })
+  .refine((data) => !data.steps || (data.prompt === undefined && data.promptFile === undefined), {
+    message: 'steps can not be used together with prompt or promptFile',
+    path: ['steps'],
+  })
+  .refine((data) => !data.steps || new Set(data.steps.map(({ name }) => name)).size === data.steps.length, {
+    message: 'Names of steps must be unique',
+    path: ['steps'],
+  })
+
+// Scopes of the preset directories in the order of getPresetDirectories
+const presetScopes = ['project', 'user']
+
+// Names of the commands of heyi preset, presets with these names can only be run by their path on the command line
+const reservedPresetNames = new Set(['list', 'show'])
 
 /**
- * Load and parse a preset JSON file.
+ * Get the directories of named presets. Presets of the project take precedence over presets of the user.
  *
- * @param {string} filePath - Path to the preset JSON file
- * @returns {Promise<object>} The parsed preset configuration
+ * @returns {string[]} Paths to the preset directories
+ */
+const getPresetDirectories = () => {
+  return [path.join(process.cwd(), '.heyi', 'presets'), path.join(os.homedir(), '.config', 'heyi', 'presets')]
+}
+
+/**
+ * Find the file of a named preset in the preset directories of the project and the user.
+ *
+ * @param {string} name - Name of the preset without extension
+ * @returns {Promise<string|null>} Path to the preset file or null when there is no preset with the name
+ */
+export const findNamedPreset = async (name) => {
+  for (const directory of getPresetDirectories()) {
+    for (const extension of presetExtensions) {
+      const filePath = path.join(directory, `${name}${extension}`)
+
+      try {
+        await stat(filePath)
+        return filePath
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * List the named presets of the project and the user.
+ * Presets with the same name as a preset of the project or with the same name and a less preferred extension
+ * are marked as overridden, as they are never used when looking up the preset by its name. Presets named like a
+ * command of heyi preset (list, show) are marked as reserved, as heyi preset runs the command instead.
+ *
+ * @returns {Promise<Array<{name: string, filePath: string, scope: string, overridden: boolean, reserved: boolean}>>}
+ * The presets sorted by scope and name
  */
-export const loadPreset = async (filePath) => {
+export const listPresets = async () => {
+  const extensions = [...presetExtensions]
+  const presets = []
+  const names = new Set()
+
+  for (const [index, directory] of getPresetDirectories().entries()) {
+    let entries
+    try {
+      entries = await readdir(directory, { withFileTypes: true })
+    } catch (error) {
+      if (error.code === 'ENOENT') continue
+      throw error
+    }
+
+    const files = entries
+      .filter((entry) => entry.isFile() && presetExtensions.has(path.extname(entry.name)))
+      .map((entry) => {
+        const extension = path.extname(entry.name)
+        return { name: path.basename(entry.name, extension), fileName: entry.name, extension }
+      })
+      .toSorted((a, b) => {
+        // Same order as findNamedPreset, so the preset that is used comes first
+        return a.name.localeCompare(b.name) || extensions.indexOf(a.extension) - extensions.indexOf(b.extension)
+      })
+
+    for (const { name, fileName } of files) {
+      presets.push({
+        name,
+        filePath: path.join(directory, fileName),
+        scope: presetScopes[index],
+        overridden: names.has(name),
+        reserved: reservedPresetNames.has(name),
+      })
+      names.add(name)
+    }
+  }
+
+  return presets
+}
+
+/**
+ * Check if a reference to a preset is a path instead of a name.
+ *
+ * @param {string} reference - Path or name of the preset
+ * @returns {boolean} True if the reference is a path
+ */
+export const isPresetPath = (reference) => {
+  return /[/\\]/.test(reference) || presetExtensions.has(path.extname(reference).toLowerCase())
+}
+
+/**
+ * Find the file of a preset by its path or name.
+ *
+ * @param {string} reference - Path to the preset file or name of the preset
+ * @returns {Promise<string>} Path to the preset file
+ * @throws {Error} If there is no preset with the name
+ */
+export const findPresetFile = async (reference) => {
+  if (isPresetPath(reference)) {
+    return reference
+  }
+
+  const filePath = await findNamedPreset(reference)
+  if (!filePath) {
+    throw new Error(`Preset '${reference}' not found in ${getPresetDirectories().join(', ')}`)
+  }
+
+  return filePath
+}
+
+/**
+ * Read and validate a single preset file without resolving extends.
+ *
+ * @param {string} filePath - Path to the JSON or YAML preset file
+ * @returns {Promise<object>} The validated preset
+ */
+const readPresetFile = async (filePath) => {
   try {
     const content = await readFile(filePath, 'utf8')
-    const preset = JSON.parse(content)
+    const isYaml = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase())
+    const preset = isYaml ? parseYaml(content) : JSON.parse(content)
 
     return presetSchema.parse(preset)
   } catch (error) {
@@ -31,3 +281,265 @@ export const loadPreset = async (filePath) => {
     throw new Error(`Error while parsing preset file '${filePath}'`, { cause: error })
   }
 }
+
+/**
+ * Merge a preset into the preset it extends.
+ * Files, URLs, exclude patterns and variables files are appended, variables, parameters and provider options are
+ * merged by name and all other fields replace the fields of the extended preset.
+ *
+ * @param {object} basePreset - The extended preset
+ * @param {object} preset - The extending preset
+ * @returns {object} The merged preset
+ */
+const mergePresets = (basePreset, preset) => {
+  const mergedPreset = { ...basePreset }
+
+  for (const [field, value] of Object.entries(preset)) {
+    if (value === undefined || field === 'extends') continue
+
+    if (appendedFields.has(field)) {
+      // Sources of both presets are only used once
+      mergedPreset[field] = [...new Set([...(basePreset[field] ?? []), ...value])]
+    } else if (mergedFields.has(field)) {
+      mergedPreset[field] = { ...basePreset[field], ...value }
+    } else {
+      mergedPreset[field] = value
+    }
+  }
+
+  // The prompt of the extending preset replaces the prompt file and the steps of the extended preset and vice versa
+  if (preset.prompt !== undefined) delete mergedPreset.promptFile
+  if (preset.promptFile !== undefined) delete mergedPreset.prompt
+  if (preset.prompt !== undefined || preset.promptFile !== undefined) delete mergedPreset.steps
+  if (preset.steps !== undefined) {
+    delete mergedPreset.prompt
+    delete mergedPreset.promptFile
+  }
+
+  return mergedPreset
+}
+
+/**
+ * Load the prompts of the steps of a preset with their prompt files and partials.
+ * Prompt files and partials are relative to the preset that defines the steps.
+ *
+ * @param {object[]} steps - The steps of the preset
+ * @param {string} filePath - Path to the preset file
+ * @returns {Promise<object[]>} The steps with their prompts
+ */
+const loadSteps = async (steps, filePath) => {
+  const directory = path.dirname(path.resolve(filePath))
+  const loadedSteps = []
+
+  for (const { promptFile, ...step } of steps) {
+    try {
+      if (promptFile) {
+        const promptPath = path.resolve(directory, promptFile)
+        const content = await readFile(promptPath, 'utf8')
+        step.prompt = await includePartials(content.trimEnd(), path.dirname(promptPath))
+      } else {
+        step.prompt = await includePartials(step.prompt, directory)
+      }
+
+      if (step.system !== undefined) {
+        step.system = await includePartials(step.system, directory)
+      }
+
+      if (step.messages !== undefined) {
+        const messages = []
+        for (const message of step.messages) {
+          messages.push({ ...message, content: await includePartials(message.content, directory) })
+        }
+        step.messages = messages
+      }
+    } catch (error) {
+      throw new Error(`Failed to load the prompt of step '${step.name}' of preset '${filePath}'`, { cause: error })
+    }
+
+    loadedSteps.push(step)
+  }
+
+  return loadedSteps
+}
+
+/**
+ * Resolve the file a declared variable reads its value from. Presets can only read files in their directory, so a
+ * preset can't send files like ~/.ssh/id_rsa to the model without being asked.
+ *
+ * @param {string} name - Name of the variable
+ * @param {string} filePath - Path to the file relative to the preset
+ * @param {string} directory - Absolute path of the directory of the preset
+ * @returns {Promise<string>} The absolute path to the file
+ * @throws {Error} If the file is outside of the directory of the preset, also via symbolic links
+ */
+const resolveVariableFile = async (name, filePath, directory) => {
+  const absolutePath = path.resolve(directory, filePath)
+
+  let isInside = isInsideDirectory(absolutePath, directory)
+  try {
+    isInside &&= isInsideDirectory(await realpath(absolutePath), await realpath(directory))
+  } catch {
+    // Missing files fail when the variable is read
+  }
+
+  if (!isInside) {
+    throw new Error(`File '${filePath}' of variable '${name}' must be in the directory of the preset`)
+  }
+
+  return absolutePath
+}
+
+/**
+ * Load a preset file and all presets it extends.
+ *
+ * @param {string} filePath - Path to the JSON or YAML preset file
+ * @param {string[]} chain - Absolute paths of the presets that extend this preset, used to detect circular extends
+ * @returns {Promise<object>} The merged preset with the path of its prompt file resolved
+ */
+const resolvePreset = async (filePath, chain) => {
+  const absolutePath = path.resolve(filePath)
+
+  if (chain.includes(absolutePath)) {
+    const cycle = [...chain.slice(chain.indexOf(absolutePath)), absolutePath]
+    throw new Error(
+      `Circular extends in presets: ${cycle.map((presetPath) => path.relative(process.cwd(), presetPath)).join(' -> ')}`,
+    )
+  }
+
+  const preset = await readPresetFile(filePath)
+  const directory = path.dirname(absolutePath)
+
+  // Prompt files are relative to the preset that defines them
+  if (preset.promptFile) {
+    preset.promptFile = path.resolve(directory, preset.promptFile)
+  }
+
+  // Variables files and files of variables are relative to the preset that defines them
+  if (preset.varsFiles) {
+    preset.varsFiles = preset.varsFiles.map((varsFile) => path.resolve(directory, varsFile))
+  }
+
+  // Steps replace the steps of the extended preset as a whole, so they can be loaded right away
+  if (preset.steps) {
+    preset.steps = await loadSteps(preset.steps, filePath)
+  }
+
+  const definitions = Object.entries(preset.variables ?? {})
+  for (const [name, definition] of definitions) {
+    if (definition.file !== undefined) definition.file = await resolveVariableFile(name, definition.file, directory)
+  }
+
+  // Partials are relative to the file that defines the prompt, the system message or the messages
+  preset.partialDirectories = {}
+  if (preset.prompt !== undefined || preset.promptFile) {
+    preset.partialDirectories.prompt = preset.promptFile ? path.dirname(preset.promptFile) : directory
+  }
+  if (preset.system !== undefined) preset.partialDirectories.system = directory
+  if (preset.messages !== undefined) preset.partialDirectories.messages = directory
+
+  if (!preset.extends) {
+    return preset
+  }
+
+  let basePath = path.resolve(directory, preset.extends)
+  if (!isPresetPath(preset.extends)) {
+    basePath = await findNamedPreset(preset.extends)
+    if (!basePath) {
+      throw new Error(
+        `Preset '${preset.extends}' extended by '${filePath}' not found in ${getPresetDirectories().join(', ')}`,
+      )
+    }
+  }
+
+  const basePreset = await resolvePreset(basePath, [...chain, absolutePath])
+
+  return mergePresets(basePreset, preset)
+}
+
+/**
+ * Load and parse a preset JSON or YAML file, including the presets it extends, its prompt file and the partials of
+ * its prompt, system message and messages. Presets with steps have no prompt, as each step has its own.
+ * References without a path separator and without extension are looked up as named presets.
+ *
+ * @param {string} reference - Path to the preset JSON or YAML file or name of the preset
+ * @returns {Promise<object>} The parsed preset configuration
+ */
+export const loadPreset = async (reference) => {
+  const filePath = await findPresetFile(reference)
+  const preset = await resolvePreset(filePath, [])
+
+  if (preset.promptFile) {
+    try {
+      const content = await readFile(preset.promptFile, 'utf8')
+      preset.prompt = content.trimEnd()
+    } catch (error) {
+      throw new Error(`Failed to read prompt file '${preset.promptFile}' of preset '${filePath}'`, { cause: error })
+    }
+  }
+
+  if (preset.prompt === undefined && !preset.steps) {
+    throw new Error(
+      `Preset '${filePath}' has no prompt. Add prompt, promptFile or steps to the preset or a preset it extends.`,
+    )
+  }
+
+  const { partialDirectories, ...resolvedPreset } = preset
+
+  try {
+    if (preset.prompt !== undefined) {
+      resolvedPreset.prompt = await includePartials(preset.prompt, partialDirectories.prompt)
+    }
+
+    if (preset.system !== undefined) {
+      resolvedPreset.system = await includePartials(preset.system, partialDirectories.system)
+    }
+
+    if (preset.messages !== undefined) {
+      resolvedPreset.messages = []
+      for (const message of preset.messages) {
+        const content = await includePartials(message.content, partialDirectories.messages)
+        resolvedPreset.messages.push({ ...message, content })
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to include partials in the prompt of preset '${filePath}'`, { cause: error })
+  }
+
+  return {
+    ...resolvedPreset,
+    files: preset.files ?? [],
+    urls: preset.urls ?? [],
+    exclude: preset.exclude ?? [],
+    variables: preset.variables ?? {},
+    varsFiles: preset.varsFiles ?? [],
+    messages: resolvedPreset.messages ?? [],
+  }
+}
+
+/**
+ * Get all texts of a preset with variables: the prompt, system message and messages of the preset and its steps.
+ *
+ * @param {object} preset - The preset (see loadPreset)
+ * @returns {string[]} The texts (see getPromptTexts)
+ */
+export const getPresetTexts = (preset) => {
+  const steps = preset.steps ?? []
+
+  return [
+    ...getPromptTexts(preset.prompt, preset),
+    ...steps.flatMap((step) => getPromptTexts(step.prompt, { system: step.system, messages: step.messages })),
+  ]
+}
+
+/**
+ * Get the names of the variables that steps provide to later steps: their results and the current element of steps
+ * that fan out over an array.
+ *
+ * @param {object} preset - The preset (see loadPreset)
+ * @returns {string[]} The names of the variables
+ */
+export const getStepVariableNames = (preset) => {
+  const steps = preset.steps ?? []
+
+  return steps.flatMap(({ name, each, as = defaultItemName }) => (each === undefined ? [name] : [name, as]))
+}
@@ -1,37 +1,154 @@
-import { fetchUrlContent, readFileContent } from './input.js'
+import { readFiles } from './files.js'
+import { fetchUrlContent } from './input.js'
 
 /**
- * Build a prompt with context by combining prompt with file and URL contexts.
+ * Build the context by combining file and URL contents.
  *
- * @param {string} prompt - The prompt
- * @param {string[]} filePaths - Array of file paths to include as context
+ * @param {string[]} filePaths - Array of file paths, directories or glob patterns to include as context
  * @param {string[]} urls - Array of URLs to include as context
- * @param {string} crawler - Crawler to use for fetching URLs: 'fetch' or 'chrome' (default: 'fetch')
- * @returns {Promise<string>} The final prompt with all contexts combined
+ * @param {object} options - Configuration options for reading files and fetching URLs
+ * @param {string[]} [options.exclude] - Patterns in .gitignore syntax of files to skip in directories and glob patterns
+ * @param {number} [options.maxFileSize] - Skip files larger than this many bytes (default: no limit)
+ * @param {number} [options.maxTotalSize] - Skip files once all files together are larger than this many bytes (default: no limit)
+ * @param {string} [options.crawler] - Crawler to use for fetching URLs: 'fetch' or 'chrome' (default: 'fetch')
+ * @param {string} [options.extract] - What to extract from HTML: 'text', 'markdown', 'main' or a CSS selector (default: 'main')
+ * @param {number} [options.urlCacheTtl] - Reuse cached URL contents that are younger than this many seconds (default: 0, disabled)
+ * @param {typeof fetch} [options.fetch] - Function that sends the requests of the fetch crawler (default: global fetch)
+ * @param {(message: string) => void} [options.onLog] - Called with a warning for skipped files (default: none)
+ * @returns {Promise<Array<{path: string, content?: string, image?: string, mediaType?: string}>>} The sources of the
+ * context with either their text content or image, empty when there are no sources
  */
-export const buildPrompt = async (prompt, filePaths = [], urls = [], crawler = 'fetch') => {
+export const buildContext = async (filePaths = [], urls = [], options = {}) => {
+  const { exclude, maxFileSize, maxTotalSize, crawler, extract, urlCacheTtl, fetch, onLog } = options
+
   // Handle file content as context
-  const fileContents = []
-  for (const filePath of filePaths) {
-    const content = await readFileContent(filePath)
-    fileContents.push({ path: filePath, content })
-  }
+  const fileContents =
+    filePaths.length > 0 ? await readFiles(filePaths, { exclude, maxFileSize, maxTotalSize, onLog }) : []
 
   // Handle URL content as context
   const urlContents = []
   for (const url of urls) {
-    const content = await fetchUrlContent(url, crawler)
-    urlContents.push({ path: url, content })
+    const content = await fetchUrlContent(url, { crawler, extract, cacheTtl: urlCacheTtl, fetch })
+    urlContents.push(typeof content === 'string' ? { path: url, content } : { path: url, ...content })
   }
 
   // Combine file and URL contexts
-  const allContexts = [...fileContents, ...urlContents]
-  if (allContexts.length > 0) {
-    const contextItems = allContexts.map(({ path, content }) => `Source: ${path}\n${content}`).join('\n\n---\n\n')
-    const contextLabel = allContexts.length === 1 ? 'Context from source:' : 'Context from sources:'
+  return [...fileContents, ...urlContents]
+}
+
+/**
+ * Format a context built with buildContext with a label.
+ * Images can't be inlined as text, so contexts with images are returned as parts with one file part per image.
+ *
+ * @param {Array<{path: string, content?: string, image?: string, mediaType?: string}>} context - The context
+ * @returns {string|Array<{type: string}>} The context as text or as text parts and file parts when it contains images
+ */
+const formatContext = (context) => {
+  const contextLabel = context.length === 1 ? 'Context from source:' : 'Context from sources:'
+
+  if (context.every((source) => !source.image)) {
+    const contextItems = context.map(({ path, content }) => `Source: ${path}\n${content}`).join('\n\n---\n\n')
+
+    return `${contextLabel}\n${contextItems}`
+  }
+
+  const parts = [{ type: 'text', text: contextLabel }]
+  for (const { path, content, image, mediaType } of context) {
+    if (image) {
+      parts.push({ type: 'text', text: `Source: ${path}` }, { type: 'file', data: image, mediaType })
+    } else {
+      parts.push({ type: 'text', text: `Source: ${path}\n${content}` })
+    }
+  }
+
+  return parts
+}
 
-    return `${prompt}\n\n${contextLabel}\n${contextItems}`
+/**
+ * Append a context built with buildContext to a prompt.
+ * Images can't be inlined as text, so prompts with images are returned as parts with one file part per image.
+ *
+ * @param {string} prompt - The prompt
+ * @param {Array<{path: string, content?: string, image?: string, mediaType?: string}>} context - The context to append
+ * @returns {string|Array<{type: string}>} The prompt with the context appended, as text parts and file parts
+ * when the context contains images
+ */
+export const appendContext = (prompt, context) => {
+  if (context.length === 0) {
+    return prompt
   }
 
-  return prompt
+  const formattedContext = formatContext(context)
+  if (typeof formattedContext === 'string') {
+    return `${prompt}\n\n${formattedContext}`
+  }
+
+  const [label, ...parts] = formattedContext
+  return [{ type: 'text', text: `${prompt}\n\n${label.text}` }, ...parts]
+}
+
+/**
+ * Place a context built with buildContext into the input of a request: appended to the prompt (inline), appended to
+ * the system message (system) or as a separate user message before the prompt (message).
+ *
+ * @param {string} prompt - The prompt
+ * @param {Array<{path: string, content?: string, image?: string, mediaType?: string}>} context - The context to place
+ * @param {object} [options] - Configuration options
+ * @param {string} [options.contextPlacement] - Where to place the context: 'inline', 'system' or 'message'
+ * (default: 'inline')
+ * @param {string} [options.system] - The system message
+ * @param {Array<{role: string, content: string}>} [options.messages] - Messages before the prompt, e.g. few-shot
+ * examples
+ * @returns {{prompt: string|Array<{type: string}>, system?: string, messages: Array<{role: string, content: *}>}} The
+ * prompt, system message and messages with the context placed
+ * @throws {Error} If the context contains images and is placed in the system message
+ */
+export const placeContext = (prompt, context, options = {}) => {
+  const { contextPlacement = 'inline', system, messages = [] } = options
+
+  if (contextPlacement === 'inline' || context.length === 0) {
+    return { prompt: appendContext(prompt, context), system, messages }
+  }
+
+  const formattedContext = formatContext(context)
+
+  if (contextPlacement === 'system') {
+    if (typeof formattedContext !== 'string') {
+      throw new TypeError('Images can not be placed in the system message. Use another context placement.')
+    }
+
+    return { prompt, system: [system, formattedContext].filter(Boolean).join('\n\n'), messages }
+  }
+
+  return { prompt, system, messages: [...messages, { role: 'user', content: formattedContext }] }
+}
+
+/**
+ * Get the texts of a prompt, its system message and its messages, e.g. to find and replace their variables.
+ *
+ * @param {string} prompt - The prompt
+ * @param {object} [options] - Configuration options
+ * @param {string} [options.system] - The system message
+ * @param {Array<{role: string, content: string}>} [options.messages] - Messages before the prompt
+ * @returns {string[]} The texts in the order they are sent
+ */
+export const getPromptTexts = (prompt, options = {}) => {
+  const { system, messages = [] } = options
+
+  return [system, ...messages.map((message) => message.content), prompt].filter((text) => text !== undefined)
+}
+
+/**
+ * Build a prompt with context by combining prompt with file and URL contexts.
+ *
+ * @param {string} prompt - The prompt
+ * @param {string[]} filePaths - Array of file paths, directories or glob patterns to include as context
+ * @param {string[]} urls - Array of URLs to include as context
+ * @param {object} options - Configuration options for reading files and fetching URLs (see buildContext)
+ * @returns {Promise<string|Array<{type: string}>>} The final prompt with all contexts combined (see appendContext)
+ */
+export const buildPrompt = async (prompt, filePaths = [], urls = [], options = {}) => {
+  const context = await buildContext(filePaths, urls, options)
+
+  return appendContext(prompt, context)
 }
@@ -0,0 +1,56 @@
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible'
+import { createOpenRouter } from '@openrouter/ai-sdk-provider'
+
+/**
+ * Get the language model of a provider.
+ *
+ * @param {string} model - The AI model to use
+ * @param {object} options - Configuration options
+ * @param {string} options.provider - The provider to use: 'openrouter' or 'openai-compatible'
+ * @param {string} [options.baseUrl] - Base URL of the provider API (required for 'openai-compatible')
+ * @param {string} [options.apiKey] - API key of the provider (required for 'openrouter')
+ * @param {typeof fetch} [options.fetch] - Function that sends the requests to the provider (default: global fetch)
+ * @returns {import('ai').LanguageModel} The language model
+ */
+export const getProviderModel = (model, options) => {
+  const { provider, baseUrl, apiKey, fetch } = options
+
+  switch (provider) {
+    case 'openrouter': {
+      if (!apiKey) {
+        throw new Error(
+          'HEYI_API_KEY environment variable is required for the openrouter provider. Set it via environment or .env file.',
+        )
+      }
+
+      const openrouter = createOpenRouter({
+        apiKey,
+        baseURL: baseUrl,
+        fetch,
+      })
+
+      return openrouter(model)
+    }
+    case 'openai-compatible': {
+      if (!baseUrl) {
+        throw new Error(
+          'A base URL is required for the openai-compatible provider. Set it via --base-url, HEYI_BASE_URL environment variable or .env file.',
+        )
+      }
+
+      // The API key is optional as local servers (e.g., Ollama, vLLM) often don't need one
+      const openaiCompatible = createOpenAICompatible({
+        name: 'openai-compatible',
+        baseURL: baseUrl,
+        apiKey,
+        supportsStructuredOutputs: true,
+        fetch,
+      })
+
+      return openaiCompatible(model)
+    }
+    default: {
+      throw new Error(`Can't create model for unknown provider '${provider}'`)
+    }
+  }
+}
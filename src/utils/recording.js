@@ -0,0 +1,128 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { getCacheKey } from './cache.js'
+import { getContentMediaType, isTextMediaType } from './media.js'
+
+// How requests to the provider are answered: with recorded responses, by the provider while recording its responses
+// or by the provider without recording
+export const recordingModes = ['replay', 'record', 'live']
+
+/**
+ * Get the path of the file with the recorded responses of a test file, e.g. summarize.recordings.json for
+ * summarize.test.yaml.
+ *
+ * @param {string} testFilePath - Path to the test file
+ * @returns {string} Path to the recordings file next to the test file
+ */
+export const getRecordingsPath = (testFilePath) => {
+  const name = path.basename(testFilePath).replace(/\.test\.(json|ya?ml)$/i, '')
+
+  return path.join(path.dirname(testFilePath), `${name}.recordings.json`)
+}
+
+/**
+ * Read recorded responses.
+ *
+ * @param {string} filePath - Path to the recordings file
+ * @returns {Promise<object>} The recordings with the keys of their requests as keys, empty when the file doesn't exist
+ */
+const readRecordings = async (filePath) => {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return {}
+
+    throw new Error(`Failed to read recordings '${filePath}'`, { cause: error })
+  }
+}
+
+/**
+ * Get the model of a request for recordings and error messages.
+ *
+ * @param {string} [body] - The JSON body of the request
+ * @returns {string} The model or 'the provider' when the body has none
+ */
+const getRequestModel = (body) => {
+  try {
+    return JSON.parse(body).model ?? 'the provider'
+  } catch {
+    return 'the provider'
+  }
+}
+
+/**
+ * Get the URL of a request of fetch.
+ *
+ * @param {string|URL|Request} input - The first argument of fetch
+ * @returns {string} The URL
+ */
+const getRequestUrl = (input) => {
+  return input instanceof Request ? input.url : String(input)
+}
+
+/**
+ * Create a fetch function that records responses or replays recorded ones, so runs are offline and deterministic.
+ * Requests to the provider are identified by their body, which contains the model, messages, format and parameters,
+ * so changes of the prompt need new recordings. Requests without body, e.g. of URLs of the context, are identified by
+ * their URL. Only successful responses are recorded.
+ *
+ * @param {string} filePath - Path to the recordings file (see getRecordingsPath)
+ * @param {string} mode - How requests are answered: replay, record or live (see recordingModes)
+ * @returns {Promise<{fetch: typeof fetch, save: () => Promise<void>}>} The fetch function and a function that
+ * writes the recorded responses when recording
+ */
+export const createRecorder = async (filePath, mode) => {
+  if (!recordingModes.includes(mode)) {
+    throw new Error(`Unknown recording mode '${mode}'. Expected one of: ${recordingModes.join(', ')}`)
+  }
+
+  // Recording starts from scratch, so responses of requests that aren't sent anymore are removed
+  const recordings = mode === 'replay' ? await readRecordings(filePath) : {}
+
+  const recordingFetch = async (input, init = {}) => {
+    const method = init.method ?? 'GET'
+    const url = getRequestUrl(input)
+    // Provider requests are the same for every base URL, contents of URLs only differ by their URL
+    const source = init.body ? { model: getRequestModel(init.body) } : { url }
+    const key = getCacheKey(init.body ? { method, body: init.body } : { method, url })
+
+    if (mode === 'replay') {
+      const recording = recordings[key]
+
+      // Responses with a client error status aren't retried, unlike failed requests
+      if (!recording) {
+        const message = `No recorded response of ${source.model ?? source.url} for this request. Record responses with heyi test --record`
+        return Response.json({ error: { message } }, { status: 404, statusText: message })
+      }
+
+      const body = recording.base64Body === undefined ? recording.body : Buffer.from(recording.base64Body, 'base64')
+      return new Response(body, { status: recording.status, headers: recording.headers })
+    }
+
+    const response = await fetch(input, init)
+    if (mode === 'live' || !response.ok) return response
+
+    const contentType = response.headers.get('content-type')
+    const headers = contentType ? { 'content-type': contentType } : {}
+    const data = new Uint8Array(await response.arrayBuffer())
+
+    // Text is kept readable, so recordings can be reviewed. PDFs and images are stored as Base64
+    const isText = !contentType || isTextMediaType(getContentMediaType(contentType))
+    const body = isText
+      ? { body: new TextDecoder().decode(data) }
+      : { base64Body: Buffer.from(data).toString('base64') }
+    recordings[key] = { ...source, status: response.status, headers, ...body }
+
+    return new Response(data, { status: response.status, headers })
+  }
+
+  const save = async () => {
+    if (mode !== 'record') return
+
+    // Sorted keys keep the diff of new recordings small
+    const sortedRecordings = Object.fromEntries(Object.entries(recordings).toSorted(([a], [b]) => a.localeCompare(b)))
+    await writeFile(filePath, `${JSON.stringify(sortedRecordings, null, 2)}\n`)
+  }
+
+  return { fetch: recordingFetch, save }
+}
@@ -0,0 +1,72 @@
+import { APICallError } from 'ai'
+import { setTimeout } from 'node:timers/promises'
+
+// Delay before the first retry, doubled for every further retry
+const baseDelay = 1000
+
+const maxDelay = 60_000
+
+/**
+ * Check if a request that failed with an error should be retried.
+ * Rate limits, server errors, network errors and timeouts are temporary, other errors would fail again.
+ *
+ * @param {Error} error - The error of the request
+ * @returns {boolean} True if the request should be retried
+ */
+export const isRetryableError = (error) => {
+  if (APICallError.isInstance(error)) {
+    return error.isRetryable
+  }
+
+  return error?.name === 'TimeoutError' || error?.cause?.name === 'TimeoutError'
+}
+
+/**
+ * Get the delay before retrying a request with exponential backoff and jitter.
+ *
+ * @param {Error} error - The error of the request
+ * @param {number} retry - Number of the retry, starting with 0
+ * @returns {number} The delay in milliseconds
+ */
+const getRetryDelay = (error, retry) => {
+  // Providers that limit the rate of requests tell how long to wait
+  const retryAfter = Number(error.responseHeaders?.['retry-after'])
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, maxDelay)
+  }
+
+  // Jitter spreads the retries of concurrent requests, e.g. of the rows of a batch
+  const delay = Math.min(baseDelay * 2 ** retry, maxDelay)
+  return delay / 2 + (Math.random() * delay) / 2
+}
+
+/**
+ * Call a function and call it again when it fails with a temporary error (see isRetryableError).
+ *
+ * @param {() => Promise<*>} fn - The function that sends the request
+ * @param {object} options - Configuration options
+ * @param {number} [options.retries] - Maximum number of retries (default: 0)
+ * @param {string} [options.label] - Description of the request for log messages (default: 'Request')
+ * @param {AbortSignal} [options.signal] - Signal that stops retrying when aborted
+ * @param {(message: string) => void} [options.onLog] - Called with a message before every retry (default: none)
+ * @returns {Promise<*>} The result of the function
+ * @throws {Error} The error of the last call
+ */
+export const withRetries = async (fn, options = {}) => {
+  const { retries = 0, label = 'Request', signal, onLog } = options
+
+  for (let retry = 0; ; retry++) {
+    try {
+      return await fn()
+    } catch (error) {
+      if (retry >= retries || signal?.aborted || !isRetryableError(error)) throw error
+
+      const delay = getRetryDelay(error, retry)
+      onLog?.(
+        `${label} failed: ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s (retry ${retry + 1} of ${retries})`,
+      )
+
+      await setTimeout(delay, undefined, { signal })
+    }
+  }
+}
@@ -1,13 +1,336 @@
 import { z } from 'zod'
 
+// Functions of z that can be used to create a schema, e.g. z.string()
+const allowedFactories = new Set([
+  'any',
+  'array',
+  'boolean',
+  'email',
+  'enum',
+  'int',
+  'literal',
+  'looseObject',
+  'null',
+  'nullable',
+  'number',
+  'object',
+  'optional',
+  'record',
+  'strictObject',
+  'string',
+  'tuple',
+  'union',
+  'unknown',
+  'url',
+  'uuid',
+])
+
+// Methods that can be chained to a schema, e.g. z.string().optional()
+const allowedMethods = new Set([
+  'array',
+  'default',
+  'describe',
+  'endsWith',
+  'includes',
+  'int',
+  'length',
+  'max',
+  'min',
+  'negative',
+  'nonempty',
+  'nonnegative',
+  'nonpositive',
+  'nullable',
+  'nullish',
+  'optional',
+  'or',
+  'positive',
+  'startsWith',
+  'toLowerCase',
+  'toUpperCase',
+  'trim',
+])
+
+// Identifiers that can be used as literal arguments, e.g. z.literal(true)
+const literalValues = { true: true, false: false, null: null }
+
+/**
+ * Create an error that points to the position of a problem in the schema string.
+ *
+ * @param {string} source - The schema string
+ * @param {number} position - Index of the problem in the schema string
+ * @param {string} message - Description of the problem
+ * @returns {Error} The error
+ */
+const createPositionError = (source, position, message) => {
+  const lines = source.slice(0, position).split('\n')
+  const lineNumber = lines.length
+  const column = lines.at(-1).length + 1
+  const lineText = source.split('\n')[lineNumber - 1]
+
+  return new Error(
+    `Invalid schema at line ${lineNumber}, column ${column}: ${message}\n\n  ${lineText}\n  ${' '.repeat(column - 1)}^`,
+  )
+}
+
+/**
+ * Describe a token for error messages.
+ *
+ * @param {{type: string, value: *}} token - The token to describe
+ * @returns {string} The description of the token
+ */
+const describe = (token) => {
+  return token.type === 'end' ? token.value : `'${token.value}'`
+}
+
+/**
+ * Split a Zod schema string into tokens.
+ *
+ * @param {string} source - The Zod schema string
+ * @returns {Array<{type: string, value: *, position: number}>} The tokens
+ */
+const tokenize = (source) => {
+  const tokens = []
+  let index = 0
+
+  while (index < source.length) {
+    const character = source[index]
+
+    if (/\s/.test(character)) {
+      index++
+      continue
+    }
+
+    if ('.(){}[],:'.includes(character)) {
+      tokens.push({ type: character, value: character, position: index })
+      index++
+      continue
+    }
+
+    if (character === '"' || character === "'") {
+      const start = index
+      let value = ''
+      index++
+
+      while (source[index] !== character) {
+        if (index >= source.length || source[index] === '\n') {
+          throw createPositionError(source, start, 'Unterminated string')
+        }
+
+        if (source[index] === '\\') {
+          index++
+          const escaped = source[index]
+          value += { n: '\n', r: '\r', t: '\t' }[escaped] ?? escaped
+        } else {
+          value += source[index]
+        }
+        index++
+      }
+
+      tokens.push({ type: 'string', value, position: start })
+      index++
+      continue
+    }
+
+    const number = /^-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/i.exec(source.slice(index))
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: index })
+      index += number[0].length
+      continue
+    }
+
+    const identifier = /^[a-zA-Z_$][\w$]*/.exec(source.slice(index))
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: index })
+      index += identifier[0].length
+      continue
+    }
+
+    throw createPositionError(source, index, `Unexpected character '${character}'`)
+  }
+
+  tokens.push({ type: 'end', value: 'end of schema', position: source.length })
+
+  return tokens
+}
+
+/**
+ * Parse a Zod schema string without evaluating it as code.
+ * Only a restricted set of z.* functions, chained methods and literal arguments are supported.
+ *
+ * @param {string} source - The Zod schema string (e.g., "z.object({name:z.string()})")
+ * @returns {z.ZodType} The parsed Zod schema
+ * @throws {Error} If the schema is invalid, pointing to the position of the problem
+ */
+const parseZodSchema = (source) => {
+  const tokens = tokenize(source)
+  let index = 0
+
+  const peek = () => tokens[index]
+  const next = () => tokens[index++]
+
+  const expect = (type) => {
+    const token = next()
+    if (token.type !== type) {
+      const expected = type === 'end' ? 'end of schema' : `'${type}'`
+      throw createPositionError(source, token.position, `Expected ${expected} but found ${describe(token)}`)
+    }
+    return token
+  }
+
+  // Parse a comma-separated list until the closing token, allowing a trailing comma
+  const parseList = (closingType, parseItem) => {
+    const items = []
+
+    while (peek().type !== closingType) {
+      items.push(parseItem())
+      if (peek().type !== ',') break
+      next()
+    }
+
+    expect(closingType)
+    return items
+  }
+
+  const call = (target, name, args, token, label) => {
+    try {
+      return target[name](...args)
+    } catch (error) {
+      throw createPositionError(source, token.position, `Invalid arguments for ${label}(): ${error.message}`)
+    }
+  }
+
+  const parseZodExpression = () => {
+    const rootToken = next()
+    expect('.')
+    const factoryToken = expect('identifier')
+    if (!allowedFactories.has(factoryToken.value)) {
+      throw createPositionError(source, factoryToken.position, `Unsupported function 'z.${factoryToken.value}'`)
+    }
+    expect('(')
+    let schema = call(z, factoryToken.value, parseList(')', parseValue), rootToken, `z.${factoryToken.value}`)
+
+    while (peek().type === '.') {
+      next()
+      const methodToken = expect('identifier')
+      if (!allowedMethods.has(methodToken.value) || typeof schema[methodToken.value] !== 'function') {
+        throw createPositionError(source, methodToken.position, `Unsupported method '.${methodToken.value}()'`)
+      }
+      expect('(')
+      schema = call(schema, methodToken.value, parseList(')', parseValue), methodToken, `.${methodToken.value}`)
+    }
+
+    return schema
+  }
+
+  const parseObjectEntry = () => {
+    const keyToken = next()
+    if (keyToken.type !== 'identifier' && keyToken.type !== 'string') {
+      throw createPositionError(source, keyToken.position, `Expected property name but found ${describe(keyToken)}`)
+    }
+    expect(':')
+    return [keyToken.value, parseValue()]
+  }
+
+  const parseValue = () => {
+    const token = peek()
+
+    switch (token.type) {
+      case 'string':
+      case 'number': {
+        return next().value
+      }
+      case '{': {
+        next()
+        return Object.fromEntries(parseList('}', parseObjectEntry))
+      }
+      case '[': {
+        next()
+        return parseList(']', parseValue)
+      }
+      case 'identifier': {
+        if (token.value === 'z') return parseZodExpression()
+        if (Object.hasOwn(literalValues, token.value)) return literalValues[next().value]
+        throw createPositionError(source, token.position, `Unknown identifier '${token.value}'`)
+      }
+      default: {
+        throw createPositionError(source, token.position, `Unexpected ${describe(token)}`)
+      }
+    }
+  }
+
+  if (peek().type !== 'identifier' || peek().value !== 'z') {
+    throw createPositionError(
+      source,
+      peek().position,
+      `Expected schema starting with 'z.' but found ${describe(peek())}`,
+    )
+  }
+
+  const schema = parseZodExpression()
+  expect('end')
+
+  return schema
+}
+
+/**
+ * Convert a JSON Schema into a Zod schema.
+ *
+ * @param {object|string} jsonSchema - The JSON Schema as object or JSON string
+ * @returns {z.ZodType} The converted Zod schema
+ * @throws {Error} If the JSON Schema is invalid
+ */
+const parseJsonSchema = (jsonSchema) => {
+  let parsedJsonSchema = jsonSchema
+
+  if (typeof jsonSchema === 'string') {
+    try {
+      parsedJsonSchema = JSON.parse(jsonSchema)
+    } catch (error) {
+      const position = /position (\d+)/.exec(error.message)?.[1]
+      if (position === undefined) {
+        throw new Error(`Invalid JSON Schema: ${error.message}`, { cause: error })
+      }
+
+      throw createPositionError(jsonSchema, Number(position), error.message.replace(/ in JSON at position.*$/, ''))
+    }
+  }
+
+  try {
+    return z.fromJSONSchema(parsedJsonSchema)
+  } catch (error) {
+    throw new Error(`Invalid JSON Schema: ${error.message}`, { cause: error })
+  }
+}
+
+/**
+ * Parse a schema into a Zod schema.
+ * Supports Zod schema strings (e.g., "z.string()") as well as JSON Schemas as object or JSON string.
+ *
+ * @param {string|object} schema - The Zod schema string or JSON Schema
+ * @returns {z.ZodType} The parsed Zod schema
+ */
+export const parseSchema = (schema) => {
+  if (typeof schema === 'object' && schema !== null) {
+    return parseJsonSchema(schema)
+  }
+
+  if (typeof schema !== 'string' || schema.trim() === '') {
+    throw new Error('A schema is required, e.g. "z.string()" or a JSON Schema')
+  }
+
+  return schema.trimStart().startsWith('{') ? parseJsonSchema(schema) : parseZodSchema(schema)
+}
+
 /**
  * Get the appropriate Zod schema for the requested format.
  *
  * @param {string} format - The output format
- * @param {string} schemaString - The Zod schema string for object/array format
+ * @param {string|object} schema - The Zod schema string or JSON Schema for object/array format
+ * @param {string[]} [choices] - The allowed values for enum format
  * @returns {z.ZodType} The Zod schema for the format
  */
-export const getFormatSchema = (format, schemaString) => {
+export const getFormatSchema = (format, schema, choices) => {
   switch (format) {
     case 'string': {
       return z.object({
@@ -19,22 +342,24 @@ export const getFormatSchema = (format, schemaString) => {
         result: z.number(),
       })
     }
+    case 'boolean': {
+      return z.object({
+        result: z.boolean(),
+      })
+    }
+    case 'enum': {
+      return z.object({
+        result: z.enum(choices),
+      })
+    }
     case 'object': {
-      // Parse the schema string (e.g., "z.object({name:z.string()})")
-      // We need to evaluate it in the context of zod
-      // eslint-disable-next-line no-eval
-      const parsedSchema = eval(schemaString)
       return z.object({
-        result: parsedSchema,
+        result: parseSchema(schema),
       })
     }
     case 'array': {
-      // Parse the schema string (e.g., "z.string()" or "z.object({name:z.string()})")
-      // We need to evaluate it in the context of zod
-      // eslint-disable-next-line no-eval
-      const parsedSchema = eval(schemaString)
       return z.object({
-        result: z.array(parsedSchema),
+        result: z.array(parseSchema(schema)),
       })
     }
     default: {
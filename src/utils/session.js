@@ -0,0 +1,83 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { z } from 'zod'
+
+const sessionsDirectory = path.join(os.homedir(), '.config', 'heyi', 'sessions')
+
+const sessionSchema = z.object({
+  model: z.string(),
+  messages: z
+    .array(
+      z.object({
+        role: z.enum(['user', 'assistant']),
+        // Messages with images consist of text and file parts
+        content: z.union([
+          z.string(),
+          z.array(
+            z.union([
+              z.object({ type: z.literal('text'), text: z.string() }),
+              z.object({ type: z.literal('file'), data: z.string(), mediaType: z.string() }),
+            ]),
+          ),
+        ]),
+      }),
+    )
+    .default([]),
+})
+
+/**
+ * Get the path of the file that stores a chat session.
+ *
+ * @param {string} name - Name of the session
+ * @returns {string} Path to the session file
+ * @throws {Error} If the name contains characters that aren't allowed in file names
+ */
+const getSessionPath = (name) => {
+  if (!/^[\w-][\w.-]*$/.test(name)) {
+    throw new Error(`Invalid session name '${name}'. Only letters, numbers, '.', '_' and '-' are allowed.`)
+  }
+
+  return path.join(sessionsDirectory, `${name}.json`)
+}
+
+/**
+ * Load a saved chat session.
+ *
+ * @param {string} name - Name of the session
+ * @returns {Promise<{model: string, messages: Array<{role: string, content: string|Array<{type: string}>}>}>} The saved session
+ */
+export const loadSession = async (name) => {
+  const sessionPath = getSessionPath(name)
+
+  try {
+    const content = await readFile(sessionPath, 'utf8')
+    const session = JSON.parse(content)
+
+    return sessionSchema.parse(session)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Session '${name}' not found`, { cause: error })
+    }
+
+    throw new Error(`Error while parsing session file '${sessionPath}'`, { cause: error })
+  }
+}
+
+/**
+ * Save a chat session so it can be resumed later.
+ *
+ * @param {string} name - Name of the session
+ * @param {{model: string, messages: Array<{role: string, content: string|Array<{type: string}>}>}} session - The session to save
+ * @returns {Promise<void>}
+ */
+export const saveSession = async (name, session) => {
+  const sessionPath = getSessionPath(name)
+
+  try {
+    await mkdir(sessionsDirectory, { recursive: true })
+    await writeFile(sessionPath, JSON.stringify(sessionSchema.parse(session), null, 2))
+  } catch (error) {
+    throw new Error(`Failed to save session '${name}'`, { cause: error })
+  }
+}
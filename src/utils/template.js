@@ -0,0 +1,483 @@
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// Matches the tags of a template, e.g. {{name}}, {{#if name}} or {{/if}}, and escaped tags like \{{name}}
+const tagPattern = /(\\?)\{\{([\s\S]*?)\}\}/g
+
+// Matches the includes of partials that aren't escaped, e.g. {{> partial.md}}
+const partialPattern = /(?<!\\)\{\{>\s*([^\s}]+)\s*\}\}/g
+
+// Paths of values: variables with optional JSON fields (e.g. user.name), the item of a loop (this) and its index
+const valuePath = String.raw`@index|this(?:\.\w+)*|[a-zA-Z_]\w*(?:\.\w+)*`
+
+const blockPattern = new RegExp(String.raw`^\s*#(if|each)\s+(${valuePath})\s*$`)
+
+const closePattern = /^\s*\/(if|each)\s*$/
+
+const elsePattern = /^\s*else\s*$/
+
+// Matches the content of a value tag, e.g. name description='Name' default='x' | upper | indent 4
+const valuePattern = new RegExp(
+  String.raw`^\s*(${valuePath})((?:\s+(?:description|default)\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*((?:\|\s*\w+(?:\s+\d+)?\s*)*)$`,
+)
+
+const attributePattern = /(description|default)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+
+// Values of conditions that are false, e.g. of boolean variables
+const falseValues = new Set(['', 'false', '0', '[]', '{}'])
+
+const filters = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  trim: (value) => value.trim(),
+  json: (value) => JSON.stringify(value),
+  indent: (value, spaces = 2) => value.replaceAll(/^(?=.)/gm, () => ' '.repeat(spaces)),
+}
+
+/**
+ * Parse the content of a value tag, e.g. name default='x' | upper.
+ *
+ * @param {string} content - The content of the tag between the braces
+ * @param {string} source - The whole tag, used for error messages and to keep unknown values as they are
+ * @returns {object|null} The value node or null when the tag isn't a value tag or uses an unknown filter
+ */
+const parseValueTag = (content, source) => {
+  const match = valuePattern.exec(content)
+  if (!match) return null
+
+  const [, valuePathText, attributesText, filtersText] = match
+
+  const attributes = {}
+  for (const [, name, doubleQuoted, singleQuoted] of attributesText.matchAll(attributePattern)) {
+    attributes[name] = doubleQuoted ?? singleQuoted
+  }
+
+  const valueFilters = filtersText
+    .split('|')
+    .map((filter) => filter.trim())
+    .filter(Boolean)
+    .map((filter) => {
+      const [name, argument] = filter.split(/\s+/, 2)
+      return { name, argument: argument === undefined ? undefined : Number(argument) }
+    })
+
+  // Tags with unknown filters are probably the syntax of another template language in the prompt
+  if (valueFilters.some((filter) => !Object.hasOwn(filters, filter.name))) return null
+
+  return {
+    type: 'value',
+    path: valuePathText,
+    description: attributes.description ?? null,
+    default: attributes.default,
+    filters: valueFilters,
+    source,
+  }
+}
+
+/**
+ * Check if a part of a line only contains whitespace.
+ *
+ * @param {string} text - The part of the line
+ * @returns {boolean} True if the text only contains spaces, tabs and the line break
+ */
+const isBlank = (text) => {
+  return /^[\t ]*\r?\n?$/.test(text)
+}
+
+/**
+ * Check if a block tag is the only content of its line, e.g. {{#if name}} followed by a line break.
+ *
+ * @param {string} template - The template
+ * @param {number} start - Index of the first character of the tag
+ * @param {number} end - Index after the last character of the tag
+ * @returns {{lineStart: number, lineEnd: number}|null} Start of the line and start of the next line, or null when
+ * the line has other content
+ */
+const findStandaloneLine = (template, start, end) => {
+  const lineStart = template.lastIndexOf('\n', start - 1) + 1
+  const nextLineBreak = template.indexOf('\n', end)
+  const lineEnd = nextLineBreak === -1 ? template.length : nextLineBreak + 1
+
+  if (!isBlank(template.slice(lineStart, start)) || !isBlank(template.slice(end, lineEnd))) return null
+
+  return { lineStart, lineEnd }
+}
+
+/**
+ * Replace a block that isn't closed with its tags and children as text.
+ *
+ * @param {object[]} children - The nodes the block has been added to, ending with the block
+ * @param {object} block - The block that isn't closed
+ */
+const unwrapBlock = (children, block) => {
+  children.pop()
+  children.push({ type: 'text', text: block.text }, ...block.children)
+
+  if (block.elseText !== undefined) {
+    children.push({ type: 'text', text: block.elseText }, ...block.elseChildren)
+  }
+}
+
+/**
+ * Parse a template into a tree of nodes.
+ * Tags that can't be parsed, e.g. with unknown filters, {{/if}} without {{#if}} or blocks that aren't closed, are
+ * kept as text, so prompts can still contain braces and the syntax of other template languages. Tags escaped with a
+ * backslash (\{{name}}) are kept as text without the backslash.
+ *
+ * @param {string} template - The template
+ * @returns {object[]} The nodes of the template
+ */
+export const parseTemplate = (template) => {
+  const nodes = []
+  // The open blocks with the nodes new nodes are added to, e.g. the else branch of an if block
+  const stack = [{ block: null, children: nodes }]
+  let position = 0
+
+  const addText = (text) => {
+    if (text) stack.at(-1).children.push({ type: 'text', text })
+  }
+
+  tagPattern.lastIndex = 0
+  let match
+  while ((match = tagPattern.exec(template)) !== null) {
+    const [tag, escape, content] = match
+    const source = tag.slice(escape.length)
+    const start = match.index
+    let end = start + tag.length
+
+    if (escape) {
+      addText(template.slice(position, start))
+      addText(source)
+      position = end
+      continue
+    }
+
+    const current = stack.at(-1)
+    const blockMatch = blockPattern.exec(content)
+    const closeMatch = closePattern.exec(content)
+    const isElse =
+      elsePattern.test(content) && current.block?.type === 'if' && current.children !== current.block.elseChildren
+    const isClose = closeMatch !== null && current.block?.type === closeMatch[1]
+
+    if (!blockMatch && !isClose && !isElse) {
+      addText(template.slice(position, start))
+      current.children.push(parseValueTag(content, source) ?? { type: 'text', text: source })
+      position = end
+      continue
+    }
+
+    // Lines with only a block tag are removed, so blocks don't leave empty lines behind
+    let textEnd = start
+    const line = findStandaloneLine(template, start, end)
+    if (line && line.lineStart >= position) {
+      textEnd = line.lineStart
+      end = line.lineEnd
+      tagPattern.lastIndex = end
+    }
+
+    addText(template.slice(position, textEnd))
+    // The text of the tag with its line, used when the block isn't closed
+    const text = template.slice(textEnd, end)
+    position = end
+
+    if (blockMatch) {
+      const [, type, blockPath] = blockMatch
+      const block = { type, path: blockPath, children: [], elseChildren: [], source, text }
+      current.children.push(block)
+      stack.push({ block, children: block.children })
+    } else if (isElse) {
+      current.block.elseText = text
+      current.children = current.block.elseChildren
+    } else {
+      stack.pop()
+    }
+  }
+
+  addText(template.slice(position))
+
+  while (stack.length > 1) {
+    const { block } = stack.pop()
+    unwrapBlock(stack.at(-1).children, block)
+  }
+
+  return nodes
+}
+
+/**
+ * Check if a path references an environment variable, e.g. env.HOME.
+ *
+ * @param {string} valuePathText - The path
+ * @returns {boolean} True if the path references an environment variable
+ */
+const isEnvPath = (valuePathText) => {
+  return /^env\.\w+$/.test(valuePathText)
+}
+
+/**
+ * Get an own property of an object. Properties of the prototype aren't values, e.g. {{constructor}}.
+ *
+ * @param {*} object - The object
+ * @param {string} key - The name of the property
+ * @returns {*} The value or undefined when the object has no such property
+ */
+const getOwnValue = (object, key) => {
+  return typeof object === 'object' && object !== null && Object.hasOwn(object, key) ? object[key] : undefined
+}
+
+/**
+ * Get a value of the variables by its path.
+ * Paths with fields parse the value of the variable as JSON, e.g. user.name, and env.NAME is the environment
+ * variable NAME.
+ *
+ * @param {string} valuePathText - The path, e.g. name, user.name, env.HOME, this or `@index`
+ * @param {object} scope - The variables, the item and index of the current loop and whether environment variables
+ * can be read
+ * @returns {*} The value or undefined when it doesn't exist
+ * @throws {Error} If a variable with fields isn't valid JSON or environment variables can't be read
+ */
+const getValue = (valuePathText, scope) => {
+  if (valuePathText === '@index') return scope.index
+  if (isEnvPath(valuePathText)) {
+    const name = valuePathText.slice('env.'.length)
+    // Environment variables can contain secrets, so templates of others can't send them to the model unasked
+    if (!scope.allowEnv) {
+      throw new Error(`{{${valuePathText}}} reads the environment variable '${name}', which requires --allow-var-env`)
+    }
+
+    return getOwnValue(process.env, name)
+  }
+
+  const [name, ...fields] = valuePathText.split('.')
+  let value = name === 'this' ? scope.item : getOwnValue(scope.variables, name)
+
+  if (typeof value === 'string' && fields.length > 0) {
+    try {
+      value = JSON.parse(value)
+    } catch (error) {
+      throw new Error(`Variable '${name}' must be JSON to access {{${valuePathText}}}`, { cause: error })
+    }
+  }
+
+  for (const field of fields) {
+    value = getOwnValue(value, field)
+  }
+
+  return value ?? undefined
+}
+
+/**
+ * Convert a value into text for the prompt. Objects and arrays are converted to JSON.
+ *
+ * @param {*} value - The value
+ * @returns {string} The text
+ */
+const toText = (value) => {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * Check if the value of a condition is true. Missing and empty values, false, 0 and empty JSON are false.
+ *
+ * @param {*} value - The value
+ * @returns {boolean} True if the condition is true
+ */
+const isTrue = (value) => {
+  return value !== undefined && !falseValues.has(toText(value).trim())
+}
+
+/**
+ * Get the items of a loop from a JSON array variable.
+ *
+ * @param {object} node - The each node
+ * @param {object} scope - The variables and the item and index of the current loop
+ * @returns {Array} The items, empty when the variable doesn't exist
+ * @throws {Error} If the value isn't a JSON array
+ */
+const getItems = (node, scope) => {
+  const value = getValue(node.path, scope)
+  if (value === undefined || value === '') return []
+
+  let items = value
+  if (typeof value === 'string') {
+    try {
+      items = JSON.parse(value)
+    } catch (error) {
+      throw new Error(`Variable '${node.path}' must be a JSON array for ${node.source}`, { cause: error })
+    }
+  }
+
+  if (!Array.isArray(items)) {
+    throw new TypeError(`Variable '${node.path}' must be a JSON array for ${node.source}`)
+  }
+
+  return items
+}
+
+/**
+ * Render nodes of a template.
+ *
+ * @param {object[]} nodes - The nodes (see parseTemplate)
+ * @param {object} scope - The variables and the item and index of the current loop
+ * @returns {string} The rendered text
+ */
+const renderNodes = (nodes, scope) => {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text': {
+          return node.text
+        }
+        case 'value': {
+          const value = getValue(node.path, scope) ?? node.default
+          if (value === undefined && isEnvPath(node.path)) {
+            throw new Error(`Environment variable '${node.path.slice('env.'.length)}' of ${node.source} is not set`)
+          }
+
+          // Values that aren't provided are kept, so they can be replaced later
+          if (value === undefined) return node.source
+
+          return node.filters.reduce(
+            (text, filter) => filters[filter.name](text, filter.argument),
+            typeof value === 'string' ? value : toText(value),
+          )
+        }
+        case 'if': {
+          return renderNodes(isTrue(getValue(node.path, scope)) ? node.children : node.elseChildren, scope)
+        }
+        case 'each': {
+          return getItems(node, scope)
+            .map((item, index) => renderNodes(node.children, { ...scope, item, index }))
+            .join('')
+        }
+        default: {
+          throw new Error(`Unknown template node '${node.type}'`)
+        }
+      }
+    })
+    .join('')
+}
+
+/**
+ * Render a template with variables.
+ * Supports values with defaults and filters ({{name default='x' | upper}}), JSON fields ({{user.name}}),
+ * environment variables ({{env.HOME}}), conditions ({{#if name}}…{{else}}…{{/if}}) and loops over JSON arrays ({{#each list}}{{this}}{{/each}}).
+ *
+ * @param {string} template - The template
+ * @param {object} variables - Object with variable names as keys and values as values
+ * @param {object} [options] - Configuration options
+ * @param {boolean} [options.allowEnv] - Allow reading environment variables (default: false)
+ * @returns {string} The rendered text, values of variables that aren't provided and have no default are kept as tags
+ * @throws {Error} If environment variables aren't allowed or an environment variable without default isn't set
+ */
+export const renderTemplate = (template, variables = {}, options = {}) => {
+  return renderNodes(parseTemplate(template), { variables, allowEnv: options.allowEnv ?? false })
+}
+
+/**
+ * Find the variables of a template or of multiple templates, e.g. of all messages of a prompt.
+ *
+ * @param {string|string[]} template - The template or the templates
+ * @param {object} [variables] - Provided variables to evaluate conditions with, all branches are visited otherwise
+ * @returns {Array<{name: string, description: string|null, default?: string, optional: boolean}>} The variables in
+ * the order of their first use. Variables are optional when they have a default or are only used in conditions
+ */
+export const findTemplateVariables = (template, variables) => {
+  const found = new Map()
+
+  const add = (valuePathText, details) => {
+    const [name] = valuePathText.split('.', 1)
+    // Environment variables aren't provided as variables
+    if (name === 'this' || name === '@index' || isEnvPath(valuePathText)) return
+
+    const existing = found.get(name)
+    if (existing) {
+      existing.description ??= details.description
+      existing.optional &&= details.optional
+      return
+    }
+
+    found.set(name, { name, ...details })
+  }
+
+  const visitNode = (node) => {
+    switch (node.type) {
+      case 'value': {
+        add(node.path, { description: node.description, default: node.default, optional: node.default !== undefined })
+        return
+      }
+      case 'if': {
+        add(node.path, { description: null, optional: true })
+
+        // Only the branch that is rendered needs its variables, missing conditions are false. Conditions on
+        // environment variables visit both branches, as they may not be allowed to be read
+        if (variables === undefined || isEnvPath(node.path)) {
+          visit(node.children)
+          visit(node.elseChildren)
+        } else {
+          visit(isTrue(getValue(node.path, { variables })) ? node.children : node.elseChildren)
+        }
+        return
+      }
+      case 'each': {
+        add(node.path, { description: null, optional: false })
+        visit(node.children)
+        return
+      }
+      default: {
+        return
+      }
+    }
+  }
+
+  const visit = (nodes) => {
+    for (const node of nodes) visitNode(node)
+  }
+
+  for (const text of [template].flat()) {
+    visit(parseTemplate(text))
+  }
+
+  return found.values().toArray()
+}
+
+/**
+ * Include partials into a template, e.g. {{> partial.md}}. Partials can include other partials.
+ *
+ * @param {string} template - The template
+ * @param {string} directory - Directory the paths of the partials are relative to
+ * @param {string[]} [chain] - Absolute paths of the partials that include this template, used to detect cycles
+ * @returns {Promise<string>} The template with all partials included
+ * @throws {Error} If a partial can't be read or partials include each other
+ */
+export const includePartials = async (template, directory, chain = []) => {
+  const partials = template.matchAll(partialPattern).toArray()
+  if (partials.length === 0) {
+    return template
+  }
+
+  let result = ''
+  let position = 0
+  for (const match of partials) {
+    const [source, partialPath] = match
+    const filePath = path.resolve(directory, partialPath)
+
+    if (chain.includes(filePath)) {
+      throw new Error(`Circular partials: ${[...chain, filePath].map((file) => path.basename(file)).join(' -> ')}`)
+    }
+
+    let content
+    try {
+      content = await readFile(filePath, 'utf8')
+    } catch (error) {
+      throw new Error(`Failed to read partial '${partialPath}' of ${source}`, { cause: error })
+    }
+
+    // The line break at the end of the file is part of the line of the include
+    const partial = await includePartials(content.replace(/\r?\n$/, ''), path.dirname(filePath), [...chain, filePath])
+
+    result += template.slice(position, match.index) + partial
+    position = match.index + source.length
+  }
+
+  return result + template.slice(position)
+}
@@ -0,0 +1,396 @@
+import { readdir, readFile, stat } from 'node:fs/promises'
+import path from 'node:path'
+import { isDeepStrictEqual } from 'node:util'
+import { parse as parseYaml } from 'yaml'
+import { z } from 'zod'
+import { findPresetFile, isPresetPath, presetExtensions } from './preset.js'
+import { getFormatSchema, parseSchema } from './schema.js'
+
+const testFilePattern = /\.test\.(json|ya?ml)$/i
+
+const testFileExtensions = ['.test.json', '.test.yaml', '.test.yml']
+
+// Path of a value of the result, e.g. summary or items.0.title, the whole result when it isn't set
+const valuePathSchema = z.string().min(1).optional()
+
+const assertionSchema = z
+  .discriminatedUnion('type', [
+    z.object({
+      type: z.literal('schema'),
+      path: valuePathSchema,
+      value: z.union([z.string(), z.record(z.string(), z.unknown())]).optional(),
+    }),
+    z.object({ type: z.literal('equals'), path: valuePathSchema, value: z.unknown() }),
+    z.object({
+      type: z.literal('contains'),
+      path: valuePathSchema,
+      value: z.string(),
+      ignoreCase: z.boolean().default(false),
+    }),
+    z.object({
+      type: z.literal('notContains'),
+      path: valuePathSchema,
+      value: z.string(),
+      ignoreCase: z.boolean().default(false),
+    }),
+    z.object({ type: z.literal('regex'), path: valuePathSchema, value: z.string(), flags: z.string().optional() }),
+    z.object({
+      type: z.literal('range'),
+      path: valuePathSchema,
+      min: z.number().optional(),
+      max: z.number().optional(),
+    }),
+    z.object({
+      type: z.literal('rubric'),
+      path: valuePathSchema,
+      value: z.string().min(1),
+      model: z.string().optional(),
+    }),
+  ])
+  .refine((data) => data.type !== 'range' || data.min !== undefined || data.max !== undefined, {
+    message: 'range requires min or max',
+    path: ['min'],
+  })
+
+const testCaseSchema = z.object({
+  name: z.string().min(1),
+  vars: z.record(z.string(), z.union([z.string(), z.number(), z.boolean()]).transform(String)).default({}),
+  files: z.array(z.string()).default([]),
+  step: z.string().optional(),
+  assert: z.array(assertionSchema).min(1),
+})
+
+const testFileSchema = z.object({
+  preset: z.string().optional(),
+  cases: z.array(testCaseSchema).min(1),
+})
+
+// Prompt of the model that grades results with a rubric
+const rubricPrompt = `Grade the output of an AI prompt with a rubric.
+
+Rubric:
+{{rubric}}
+
+Output:
+{{output}}
+
+Set pass to true only when the output meets every criterion of the rubric and explain the grade in one sentence.`
+
+const rubricSchema = 'z.object({pass:z.boolean(),reason:z.string()})'
+
+/**
+ * Check if a path is a test file, e.g. summarize.test.yaml.
+ *
+ * @param {string} filePath - The path
+ * @returns {boolean} True if the path has the extension of test files
+ */
+const isTestFile = (filePath) => {
+  return testFilePattern.test(filePath)
+}
+
+/**
+ * Find the test file next to a preset, e.g. summarize.test.yaml for summarize.json.
+ *
+ * @param {string} reference - Path or name of the preset
+ * @returns {Promise<string>} Path to the test file
+ * @throws {Error} If the preset has no test file
+ */
+const findPresetTestFile = async (reference) => {
+  const presetPath = await findPresetFile(reference)
+  const name = path.basename(presetPath, path.extname(presetPath))
+
+  for (const extension of testFileExtensions) {
+    const filePath = path.join(path.dirname(presetPath), `${name}${extension}`)
+
+    try {
+      await stat(filePath)
+      return filePath
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+
+  throw new Error(`Preset '${reference}' has no test file. Add ${name}.test.yaml next to '${presetPath}'.`)
+}
+
+/**
+ * Find the test files of presets. References can be test files, directories with test files or presets, of which
+ * the test file next to the preset is used.
+ *
+ * @param {string[]} references - Paths to test files or directories or paths or names of presets
+ * @returns {Promise<string[]>} Paths to the test files
+ * @throws {Error} If a preset has no test file
+ */
+export const findTestFiles = async (references) => {
+  const testFiles = []
+
+  for (const reference of references) {
+    if (isTestFile(reference)) {
+      testFiles.push(reference)
+      continue
+    }
+
+    // References that don't exist are names of presets
+    let stats = null
+    try {
+      stats = await stat(reference)
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+
+    if (stats?.isDirectory()) {
+      const entries = await readdir(reference, { withFileTypes: true })
+      const names = entries.filter((entry) => entry.isFile() && isTestFile(entry.name)).map((entry) => entry.name)
+
+      testFiles.push(...names.toSorted((a, b) => a.localeCompare(b)).map((name) => path.join(reference, name)))
+      continue
+    }
+
+    testFiles.push(await findPresetTestFile(reference))
+  }
+
+  return [...new Set(testFiles)]
+}
+
+/**
+ * Read and validate a test file.
+ *
+ * @param {string} filePath - Path to the JSON or YAML test file
+ * @returns {Promise<object>} The validated test file
+ */
+const readTestFile = async (filePath) => {
+  try {
+    const content = await readFile(filePath, 'utf8')
+    const isYaml = /\.ya?ml$/i.test(filePath)
+
+    return testFileSchema.parse(isYaml ? parseYaml(content) : JSON.parse(content))
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Test file '${filePath}' not found`, { cause: error })
+    }
+
+    throw new Error(`Error while parsing test file '${filePath}'`, { cause: error })
+  }
+}
+
+/**
+ * Get the preset of a test file. Paths are relative to the test file and without preset, the preset with the same
+ * name next to the test file is used, e.g. summarize.json for summarize.test.yaml.
+ *
+ * @param {string} filePath - Path to the test file
+ * @param {string} [preset] - Path or name of the preset of the test file
+ * @returns {Promise<string>} Path or name of the preset
+ * @throws {Error} If there is no preset next to the test file
+ */
+const getTestPreset = async (filePath, preset) => {
+  const directory = path.dirname(filePath)
+
+  if (preset !== undefined) {
+    return isPresetPath(preset) ? path.resolve(directory, preset) : preset
+  }
+
+  const name = path.basename(filePath).replace(testFilePattern, '')
+  for (const extension of presetExtensions) {
+    const presetPath = path.join(directory, `${name}${extension}`)
+
+    try {
+      await stat(presetPath)
+      return presetPath
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+
+  throw new Error(`Test file '${filePath}' has no preset. Add preset to the test file or ${name}.json next to it.`)
+}
+
+/**
+ * Get a value of the result by its path.
+ *
+ * @param {*} result - The result of the run
+ * @param {string} [valuePath] - Path of the value, e.g. summary or items.0.title
+ * @returns {*} The value or undefined when it doesn't exist
+ */
+const getResultValue = (result, valuePath) => {
+  if (valuePath === undefined) return result
+
+  let value = result
+  for (const field of valuePath.split('.')) {
+    value = value?.[field]
+  }
+
+  return value
+}
+
+/**
+ * Convert a value of the result into text for assertions on text. Values that aren't text are converted to JSON.
+ *
+ * @param {*} value - The value
+ * @returns {string} The text
+ */
+const toText = (value) => {
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Check a value of the result against an assertion.
+ *
+ * @param {object} assertion - The assertion of the test case
+ * @param {object} run - The result and format of the run and the preset that produced it
+ * @param {object} heyi - The instance that grades results with a rubric (see createHeyi)
+ * @returns {Promise<string|null>} Why the assertion failed or null when it passed
+ */
+const checkAssertion = async (assertion, run, heyi) => {
+  const value = getResultValue(run.result, assertion.path)
+  const subject = assertion.path === undefined ? 'the result' : `'${assertion.path}'`
+
+  switch (assertion.type) {
+    case 'schema': {
+      // Without a schema, the result is checked against the format and schema of the preset or its last step
+      const { schema, choices } = run.output
+      const result =
+        assertion.value === undefined
+          ? getFormatSchema(run.format, schema, choices).safeParse({ result: value })
+          : parseSchema(assertion.value).safeParse(value)
+
+      return result.success ? null : `Expected ${subject} to match the schema:\n${z.prettifyError(result.error)}`
+    }
+    case 'equals': {
+      return isDeepStrictEqual(value, assertion.value)
+        ? null
+        : `Expected ${subject} to equal ${JSON.stringify(assertion.value)}, got ${JSON.stringify(value)}`
+    }
+    case 'contains':
+    case 'notContains': {
+      const text = assertion.ignoreCase ? toText(value).toLowerCase() : toText(value)
+      const expected = assertion.ignoreCase ? assertion.value.toLowerCase() : assertion.value
+      const shouldContain = assertion.type === 'contains'
+
+      if (text.includes(expected) === shouldContain) return null
+
+      return `Expected ${subject} ${shouldContain ? 'to contain' : 'not to contain'} '${assertion.value}'`
+    }
+    case 'regex': {
+      const pattern = new RegExp(assertion.value, assertion.flags)
+
+      return pattern.test(toText(value)) ? null : `Expected ${subject} to match ${pattern}`
+    }
+    case 'range': {
+      const { min = -Infinity, max = Infinity } = assertion
+      const number = typeof value === 'string' ? Number(value.trim()) : value
+
+      if (typeof number !== 'number' || Number.isNaN(number)) {
+        return `Expected ${subject} to be a number, got ${JSON.stringify(value)}`
+      }
+
+      return number >= min && number <= max
+        ? null
+        : `Expected ${subject} to be between ${min} and ${max}, got ${number}`
+    }
+    case 'rubric': {
+      const { result } = await heyi.run(rubricPrompt, {
+        model: assertion.model,
+        format: 'object',
+        schema: rubricSchema,
+        cache: false,
+        vars: { rubric: assertion.value, output: toText(value) },
+      })
+
+      return result.pass ? null : `Expected ${subject} to meet the rubric '${assertion.value}': ${result.reason}`
+    }
+    default: {
+      throw new Error(`Can't check assertion of unknown type '${assertion.type}'`)
+    }
+  }
+}
+
+/**
+ * Get the message of an error with the messages of its causes, e.g. why a URL couldn't be fetched.
+ *
+ * @param {Error} error - The error
+ * @returns {string} The messages separated by colons
+ */
+const getErrorMessage = (error) => {
+  const messages = []
+  for (let current = error; current instanceof Error; current = current.cause) {
+    // Typed errors of the library repeat the message of the error they wrap
+    if (messages.at(-1) !== current.message) messages.push(current.message)
+  }
+
+  return messages.join(': ')
+}
+
+/**
+ * Run a test case of a preset and check its assertions.
+ *
+ * @param {object} testCase - The test case
+ * @param {object} preset - The preset (see loadPreset)
+ * @param {object} options - Configuration options
+ * @param {object} options.heyi - The instance that runs the preset (see createHeyi)
+ * @param {string} options.directory - Directory of the test file that files of the test case are relative to
+ * @returns {Promise<{name: string, passed: boolean, result?: *, format?: string, failures: string[]}>} The outcome
+ * of the test case with the reasons of failed assertions
+ */
+const runTestCase = async (testCase, preset, options) => {
+  const { heyi, directory } = options
+  const { name, vars, files, step } = testCase
+
+  let run
+  try {
+    // Cached responses would skip the provider, so they could neither be recorded nor replayed. URLs are fetched
+    // with the fetch crawler, as the requests of Chrome can't be recorded
+    run = await heyi.runPreset(preset, {
+      vars,
+      files: files.map((file) => path.resolve(directory, file)),
+      step,
+      cache: false,
+      urlCacheTtl: 0,
+      crawler: 'fetch',
+    })
+  } catch (error) {
+    return { name, passed: false, failures: [`Run failed: ${getErrorMessage(error)}`] }
+  }
+
+  // The format and schema of the result are the ones of the step that produced it
+  const steps = preset.steps ?? []
+  const outputStep = step === undefined ? steps.at(-1) : steps.find((presetStep) => presetStep.name === step)
+  const output = { schema: outputStep?.schema ?? preset.schema, choices: outputStep?.choices ?? preset.choices }
+
+  const failures = []
+  for (const assertion of testCase.assert) {
+    try {
+      const failure = await checkAssertion(assertion, { ...run, output }, heyi)
+      if (failure) failures.push(failure)
+    } catch (error) {
+      failures.push(`Assertion ${assertion.type} failed: ${error.message}`)
+    }
+  }
+
+  return { name, passed: failures.length === 0, result: run.result, format: run.format, failures }
+}
+
+/**
+ * Run the test cases of a test file one after another.
+ *
+ * @param {string} filePath - Path to the JSON or YAML test file
+ * @param {object} options - Configuration options
+ * @param {object} options.heyi - The instance that runs the preset and grades results (see createHeyi)
+ * @param {(outcome: object) => void} [options.onCase] - Called with the outcome of every test case (see runTestCase)
+ * @returns {Promise<object[]>} The outcomes of all test cases
+ */
+export const runTestFile = async (filePath, options) => {
+  const { heyi, onCase } = options
+
+  const testFile = await readTestFile(filePath)
+  const preset = await heyi.loadPreset(await getTestPreset(filePath, testFile.preset))
+
+  const outcomes = []
+  for (const testCase of testFile.cases) {
+    const outcome = await runTestCase(testCase, preset, { heyi, directory: path.dirname(filePath) })
+
+    outcomes.push(outcome)
+    onCase?.(outcome)
+  }
+
+  return outcomes
+}
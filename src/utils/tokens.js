@@ -0,0 +1,213 @@
+// Average number of characters per token of common tokenizers for English text and code
+const charactersPerToken = 4
+
+// Rough number of tokens models use for an image
+const imageTokens = 1000
+
+const truncationMarker = '\n\n[Truncated]'
+
+/**
+ * Estimate the number of tokens of a text.
+ *
+ * @param {string} text - The text
+ * @returns {number} The estimated number of tokens
+ */
+export const estimateTokens = (text) => {
+  return Math.ceil(text.length / charactersPerToken)
+}
+
+/**
+ * Estimate the number of tokens of a source of the context, including its header.
+ *
+ * @param {{path: string, content?: string, image?: string}} source - The source
+ * @returns {number} The estimated number of tokens
+ */
+export const estimateSourceTokens = (source) => {
+  const headerTokens = estimateTokens(`Source: ${source.path}\n`)
+
+  return headerTokens + (source.image ? imageTokens : estimateTokens(source.content))
+}
+
+/**
+ * Format a number of tokens for humans.
+ *
+ * @param {number} tokens - The number of tokens
+ * @returns {string} The formatted number (e.g., "~12,345 tokens")
+ */
+const formatTokens = (tokens) => {
+  return `~${tokens.toLocaleString('en-US')} tokens`
+}
+
+/**
+ * Create the error for a context that exceeds the budget, listing the estimated tokens of each source.
+ *
+ * @param {Array<{path: string}>} context - The context
+ * @param {number} maxTokens - The maximum number of tokens
+ * @returns {Error} The error
+ */
+const createBudgetError = (context, maxTokens) => {
+  const sourceTokens = context.map((source) => estimateSourceTokens(source))
+  const totalTokens = sourceTokens.reduce((sum, tokens) => sum + tokens, 0)
+  const sourceList = context.map((source, index) => `  ${source.path}: ${formatTokens(sourceTokens[index])}`).join('\n')
+
+  return new Error(
+    `Context of ${formatTokens(totalTokens)} exceeds the maximum of ${maxTokens.toLocaleString('en-US')} tokens (--max-context-tokens). ` +
+      `Use --context-strategy truncate or map-reduce, or remove sources:\n${sourceList}`,
+  )
+}
+
+/**
+ * Truncate the text sources of a context, so all sources together fit into the budget.
+ * The budget is shared equally, sources smaller than their share leave the rest to the others.
+ *
+ * @param {Array<{path: string, content?: string, image?: string}>} context - The context
+ * @param {number} maxTokens - The maximum number of tokens
+ * @param {(message: string) => void} [onLog] - Called with a warning for every truncated source
+ * @returns {Array<{path: string, content?: string, image?: string}>} The truncated context
+ * @throws {Error} If the headers and images alone exceed the budget
+ */
+const truncateContext = (context, maxTokens, onLog) => {
+  // Headers and images can't be truncated
+  const fixedTokens = context.reduce((sum, source) => {
+    return sum + (source.image ? estimateSourceTokens(source) : estimateTokens(`Source: ${source.path}\n`))
+  }, 0)
+
+  const textSources = context
+    .map((source, index) => ({ index, tokens: source.image ? 0 : estimateTokens(source.content) }))
+    .filter(({ index }) => !context[index].image)
+    .toSorted((a, b) => a.tokens - b.tokens)
+
+  let remainingTokens = maxTokens - fixedTokens - estimateTokens(truncationMarker) * textSources.length
+  if (remainingTokens <= 0) {
+    throw createBudgetError(context, maxTokens)
+  }
+
+  const truncatedContext = [...context]
+  for (const [position, { index, tokens }] of textSources.entries()) {
+    const share = Math.floor(remainingTokens / (textSources.length - position))
+    if (tokens <= share) {
+      remainingTokens -= tokens
+      continue
+    }
+
+    const source = context[index]
+    truncatedContext[index] = {
+      ...source,
+      content: source.content.slice(0, share * charactersPerToken) + truncationMarker,
+    }
+    remainingTokens -= share
+
+    onLog?.(
+      `Warning: Truncated '${source.path}' from ${formatTokens(tokens)} to ${formatTokens(share)} to fit --max-context-tokens`,
+    )
+  }
+
+  return truncatedContext
+}
+
+/**
+ * Split a text source into parts that fit into the budget, preferring to split at line breaks.
+ *
+ * @param {{path: string, content: string}} source - The text source
+ * @param {number} maxTokens - The maximum number of tokens of each part
+ * @returns {Array<{path: string, content: string}>} The parts
+ */
+const splitSource = (source, maxTokens) => {
+  const maxLength = (maxTokens - estimateTokens(`Source: ${source.path} (part 999 of 999)\n`)) * charactersPerToken
+  if (maxLength <= 0) {
+    throw new Error(`Can't split '${source.path}' into parts of ${maxTokens} tokens (--max-context-tokens)`)
+  }
+
+  const contents = []
+  let rest = source.content
+  while (rest.length > maxLength) {
+    const lineBreak = rest.lastIndexOf('\n', maxLength)
+    const end = lineBreak > maxLength / 2 ? lineBreak + 1 : maxLength
+    contents.push(rest.slice(0, end))
+    rest = rest.slice(end)
+  }
+  contents.push(rest)
+
+  return contents.map((content, index) => {
+    return { path: `${source.path} (part ${index + 1} of ${contents.length})`, content }
+  })
+}
+
+/**
+ * Split a context into chunks that each fit into the budget.
+ * Sources are kept together as long as possible, larger sources are split into parts.
+ *
+ * @param {Array<{path: string, content?: string, image?: string}>} context - The context
+ * @param {number} maxTokens - The maximum number of tokens of each chunk
+ * @returns {Array<Array<{path: string, content?: string, image?: string}>>} The chunks
+ * @throws {Error} If an image alone exceeds the budget
+ */
+const splitContext = (context, maxTokens) => {
+  const chunks = []
+  let chunk = []
+  let chunkTokens = 0
+
+  for (const source of context) {
+    const tokens = estimateSourceTokens(source)
+
+    if (tokens > maxTokens && source.image) {
+      throw createBudgetError([source], maxTokens)
+    }
+
+    const parts = tokens > maxTokens ? splitSource(source, maxTokens) : [source]
+    for (const part of parts) {
+      const partTokens = estimateSourceTokens(part)
+
+      if (chunkTokens + partTokens > maxTokens && chunk.length > 0) {
+        chunks.push(chunk)
+        chunk = []
+        chunkTokens = 0
+      }
+
+      chunk.push(part)
+      chunkTokens += partTokens
+    }
+  }
+
+  if (chunk.length > 0) chunks.push(chunk)
+
+  return chunks
+}
+
+/**
+ * Make a context fit into a token budget.
+ *
+ * @param {Array<{path: string, content?: string, image?: string}>} context - The context built with buildContext
+ * @param {object} options - Configuration options
+ * @param {number} [options.maxTokens] - The maximum number of tokens of the context (default: no limit)
+ * @param {string} [options.strategy] - What to do when the context exceeds the budget: 'fail' (throw an error),
+ * 'truncate' (truncate each source to its share of the budget) or 'map-reduce' (split the context into chunks)
+ * (default: 'fail')
+ * @param {(message: string) => void} [options.onLog] - Called with a warning for every truncated source (default: none)
+ * @returns {Array<Array<{path: string, content?: string, image?: string}>>} The contexts to use, more than one
+ * when the context has been split into chunks for map-reduce
+ * @throws {Error} If the context exceeds the budget and the strategy is 'fail'
+ */
+export const fitContext = (context, options = {}) => {
+  const { maxTokens, strategy = 'fail', onLog } = options
+
+  const totalTokens = context.reduce((sum, source) => sum + estimateSourceTokens(source), 0)
+  if (!maxTokens || totalTokens <= maxTokens) {
+    return [context]
+  }
+
+  switch (strategy) {
+    case 'fail': {
+      throw createBudgetError(context, maxTokens)
+    }
+    case 'truncate': {
+      return [truncateContext(context, maxTokens, onLog)]
+    }
+    case 'map-reduce': {
+      return splitContext(context, maxTokens)
+    }
+    default: {
+      throw new Error(`Unknown context strategy '${strategy}'`)
+    }
+  }
+}
@@ -0,0 +1,259 @@
+import { tool } from 'ai'
+import { execFile } from 'node:child_process'
+import { readdir, realpath, stat } from 'node:fs/promises'
+import path from 'node:path'
+import { promisify } from 'node:util'
+import { z } from 'zod'
+import { createIgnoreChecker, readFiles } from './files.js'
+import { fetchUrlContent } from './input.js'
+
+export const toolNames = ['read_file', 'list_directory', 'fetch_url', 'run_command']
+
+// Tools that are enabled by --agent unless tools are selected explicitly. Commands have to be enabled on purpose
+export const defaultToolNames = ['read_file', 'list_directory', 'fetch_url']
+
+// Maximum duration of a command of the run_command tool or of a variable in milliseconds
+export const commandTimeout = 60_000
+
+// Maximum size of the output of a command of the run_command tool or of a variable in bytes
+export const maxCommandOutput = 1024 * 1024
+
+const execFileAsync = promisify(execFile)
+
+/**
+ * Resolve a path given by the model and make sure it's inside of the allowed directory.
+ * Symbolic links are resolved, so they can't point outside of the directory.
+ *
+ * @param {string} directory - The allowed directory
+ * @param {string} filePath - The path relative to the allowed directory
+ * @returns {Promise<string>} The absolute path
+ * @throws {Error} If the path doesn't exist or is outside of the allowed directory
+ */
+const resolveAllowedPath = async (directory, filePath) => {
+  const allowedDirectory = await realpath(directory)
+
+  let resolvedPath
+  try {
+    resolvedPath = await realpath(path.resolve(allowedDirectory, filePath))
+  } catch (error) {
+    throw new Error(`Path '${filePath}' not found`, { cause: error })
+  }
+
+  const relativePath = path.relative(allowedDirectory, resolvedPath)
+  if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+    throw new Error(`Access to '${filePath}' denied. Only paths in '${directory}' are allowed.`)
+  }
+
+  return resolvedPath
+}
+
+/**
+ * Resolve a path given by the model to a file or directory it may read. Like the context of --file, hidden files and
+ * paths ignored by .gitignore files or exclude patterns are left out, so secrets like .env files aren't sent.
+ *
+ * @param {string} directory - The allowed directory
+ * @param {string} filePath - The path relative to the allowed directory
+ * @param {Function} isIgnored - Function created with createIgnoreChecker
+ * @returns {Promise<string>} The absolute path
+ * @throws {Error} If the path doesn't exist, is outside of the allowed directory, hidden or ignored
+ */
+const resolveReadablePath = async (directory, filePath, isIgnored) => {
+  const resolvedPath = await resolveAllowedPath(directory, filePath)
+  const allowedDirectory = await realpath(directory)
+  const relativePath = path.relative(allowedDirectory, resolvedPath)
+  if (relativePath === '') return resolvedPath
+
+  const isHidden = relativePath.split(path.sep).some((segment) => segment.startsWith('.'))
+  const fileStat = await stat(resolvedPath)
+  if (isHidden || (await isIgnored(resolvedPath, fileStat.isDirectory(), allowedDirectory))) {
+    throw new Error(`Access to '${filePath}' denied. Hidden and ignored files can't be read.`)
+  }
+
+  return resolvedPath
+}
+
+/**
+ * Wrap the execution of a tool, so every call and every failure is logged.
+ *
+ * @param {string} name - Name of the tool
+ * @param {(input: object) => Promise<string>} execute - The execution of the tool
+ * @param {(message: string) => void} [onLog] - Called with a message for every call and failure
+ * @returns {(input: object) => Promise<string>} The wrapped execution
+ */
+const withLogging = (name, execute, onLog) => {
+  return async (input) => {
+    onLog?.(`Tool ${name} ${JSON.stringify(input)}`)
+
+    try {
+      return await execute(input)
+    } catch (error) {
+      // The error is sent to the model, so it can try something else
+      onLog?.(`Tool ${name} failed: ${error.message}`)
+      throw error
+    }
+  }
+}
+
+/**
+ * Create the tools the model can call in agent mode.
+ *
+ * @param {object} options - Configuration options
+ * @param {string[]} [options.tools] - Names of the tools to enable (default: defaultToolNames)
+ * @param {string} [options.directory] - Directory the file tools and commands are limited to (default: current directory)
+ * @param {string[]} [options.commands] - Executables run_command is allowed to run, e.g. git (default: none). Their
+ * arguments are chosen by the model, so only allow commands that are safe with any arguments
+ * @param {boolean} [options.confirm] - Ask the user before running commands and fetching URLs, which could send the
+ * content of files (default: true)
+ * @param {(question: string) => boolean|Promise<boolean>} [options.onConfirm] - Asks the user to confirm a tool call
+ * and returns true when confirmed. Without it, tool calls that need a confirmation are denied
+ * @param {(message: string) => void} [options.onLog] - Called with a message for every tool call and failure
+ * (default: none)
+ * @param {string[]} [options.exclude] - Patterns in .gitignore syntax of files read_file and list_directory can't read
+ * @param {number} [options.maxFileSize] - Maximum size of files read by read_file in bytes (default: no limit)
+ * @param {string} [options.crawler] - Crawler to use for fetch_url: 'fetch' or 'chrome' (default: 'fetch')
+ * @param {string} [options.extract] - What to extract from HTML for fetch_url (see fetchUrlContent)
+ * @param {number} [options.urlCacheTtl] - Reuse cached URL contents that are younger than this many seconds (default: 0, disabled)
+ * @param {typeof fetch} [options.fetch] - Function that sends the requests of fetch_url with the fetch crawler
+ * (default: global fetch)
+ * @returns {object} The tools of the AI SDK with tool names as keys
+ * @throws {Error} If a tool is unknown or run_command is enabled without allowed commands
+ */
+export const createTools = (options = {}) => {
+  const {
+    tools = defaultToolNames,
+    directory = process.cwd(),
+    commands = [],
+    confirm = true,
+    onConfirm,
+    onLog,
+    exclude = [],
+    maxFileSize,
+    crawler,
+    extract,
+    urlCacheTtl,
+    fetch,
+  } = options
+
+  const unknownTools = tools.filter((name) => !toolNames.includes(name))
+  if (unknownTools.length > 0) {
+    throw new Error(`Unknown tools: ${unknownTools.join(', ')}. Supported are ${toolNames.join(', ')}`)
+  }
+
+  if (tools.includes('run_command') && commands.length === 0) {
+    throw new Error('run_command requires at least one allowed command (--allow-command)')
+  }
+
+  const isIgnored = createIgnoreChecker(exclude)
+
+  const confirmCall = async (question, action) => {
+    if (!confirm) return
+
+    if (!onConfirm) throw new Error(`Confirmation required for ${action}, but there is no way to ask the user`)
+    if (!(await onConfirm(question))) throw new Error(`The user denied ${action}`)
+  }
+
+  const allTools = {
+    read_file: tool({
+      description: `Read a text file or the text of a PDF. Paths are relative to the directory '${directory}'.`,
+      inputSchema: z.object({
+        path: z.string().describe('Path of the file'),
+      }),
+      execute: withLogging(
+        'read_file',
+        async (input) => {
+          const filePath = await resolveReadablePath(directory, input.path, isIgnored)
+          const [file] = await readFiles([filePath], { maxFileSize })
+
+          if (!file) throw new Error(`File '${input.path}' exceeds the maximum file size`)
+          if (file.image) throw new Error(`File '${input.path}' is an image, which can't be read as text`)
+
+          return file.content
+        },
+        onLog,
+      ),
+    }),
+    list_directory: tool({
+      description: `List the files and directories of a directory without hidden and ignored ones. Paths are relative to the directory '${directory}'. Directories end with /.`,
+      inputSchema: z.object({
+        path: z.string().default('.').describe('Path of the directory'),
+      }),
+      execute: withLogging(
+        'list_directory',
+        async (input) => {
+          const directoryPath = await resolveReadablePath(directory, input.path, isIgnored)
+          const allowedDirectory = await realpath(directory)
+          const entries = await readdir(directoryPath, { withFileTypes: true })
+
+          const names = []
+          for (const entry of entries) {
+            const entryPath = path.join(directoryPath, entry.name)
+            if (entry.name.startsWith('.') || (await isIgnored(entryPath, entry.isDirectory(), allowedDirectory))) {
+              continue
+            }
+
+            names.push(entry.isDirectory() ? `${entry.name}/` : entry.name)
+          }
+
+          return names.toSorted((a, b) => a.localeCompare(b)).join('\n')
+        },
+        onLog,
+      ),
+    }),
+    fetch_url: tool({
+      description: 'Fetch a web page or PDF and return its text.',
+      inputSchema: z.object({
+        url: z.string().describe('URL with http or https protocol'),
+      }),
+      execute: withLogging(
+        'fetch_url',
+        async (input) => {
+          // URLs can contain anything the model has read, so they are confirmed like commands
+          await confirmCall(`Fetch '${input.url}'?`, `fetching '${input.url}'`)
+
+          const content = await fetchUrlContent(input.url, { crawler, extract, cacheTtl: urlCacheTtl, fetch })
+
+          if (typeof content === 'string') return content
+
+          throw new Error(`URL '${input.url}' is an image, which can't be read as text`)
+        },
+        onLog,
+      ),
+    }),
+    run_command: tool({
+      description: `Run a command in the directory '${directory}' without shell. Allowed commands: ${commands.join(', ')}.`,
+      inputSchema: z.object({
+        command: z.string().describe('The executable, e.g. git'),
+        args: z.array(z.string()).default([]).describe('The arguments'),
+      }),
+      execute: withLogging(
+        'run_command',
+        async (input) => {
+          if (!commands.includes(input.command)) {
+            throw new Error(`Command '${input.command}' is not allowed. Allowed commands: ${commands.join(', ')}`)
+          }
+
+          const commandLine = [input.command, ...input.args].join(' ')
+          await confirmCall(`Run '${commandLine}'?`, `running '${commandLine}'`)
+
+          try {
+            const { stdout, stderr } = await execFileAsync(input.command, input.args, {
+              cwd: directory,
+              timeout: commandTimeout,
+              maxBuffer: maxCommandOutput,
+            })
+
+            return `Exit code: 0\n${stdout}${stderr}`
+          } catch (error) {
+            // Commands that fail still have output that helps the model
+            if (typeof error.code !== 'number') throw error
+
+            return `Exit code: ${error.code}\n${error.stdout}${error.stderr}`
+          }
+        },
+        onLog,
+      ),
+    }),
+  }
+
+  return Object.fromEntries(tools.map((name) => [name, allTools[name]]))
+}
@@ -0,0 +1,104 @@
+import { appendFile } from 'node:fs/promises'
+
+/**
+ * Create the usage record of a request from the result of the AI SDK.
+ *
+ * @param {string} model - The AI model that answered the request
+ * @param {object} result - The result of generateText or the event of onFinish of streamText
+ * @param {number} latency - Duration of the request in milliseconds
+ * @returns {{model: string, finishReason: string, inputTokens: number, outputTokens: number,
+ * reasoningTokens: number, cost?: number, latency: number, cached: boolean}} The usage record
+ */
+export const getUsageRecord = (model, result, latency) => {
+  const usage = result.totalUsage ?? result.usage ?? {}
+
+  return {
+    model,
+    finishReason: result.finishReason,
+    inputTokens: usage.inputTokens ?? 0,
+    outputTokens: usage.outputTokens ?? 0,
+    reasoningTokens: usage.outputTokenDetails?.reasoningTokens ?? 0,
+    // Only some providers report the cost, e.g. OpenRouter
+    cost: result.providerMetadata?.openrouter?.usage?.cost,
+    latency: Math.round(latency),
+    cached: false,
+  }
+}
+
+/**
+ * Create the usage record of a response that has been read from the cache.
+ *
+ * @param {string} model - The AI model of the request
+ * @returns {object} The usage record without finish reason, tokens and cost (see getUsageRecord)
+ */
+export const getCachedUsageRecord = (model) => {
+  return {
+    model,
+    inputTokens: 0,
+    outputTokens: 0,
+    reasoningTokens: 0,
+    cost: 0,
+    latency: 0,
+    cached: true,
+  }
+}
+
+/**
+ * Sum up the usage records of all requests of a run, e.g. of the chunks of map-reduce or of fallback models.
+ *
+ * @param {object[]} records - The usage records (see getUsageRecord)
+ * @returns {{model?: string, finishReason?: string, requests: number, inputTokens: number, outputTokens: number,
+ * reasoningTokens: number, cost?: number, latency: number, cached: boolean}} The usage of the run with model and
+ * finish reason of the last request. The cost is only set when all requests reported it
+ */
+export const sumUsage = (records) => {
+  const sum = (key) => records.reduce((total, record) => total + record[key], 0)
+  const lastRecord = records.at(-1)
+
+  return {
+    model: lastRecord?.model,
+    finishReason: lastRecord?.finishReason,
+    requests: records.filter((record) => !record.cached).length,
+    inputTokens: sum('inputTokens'),
+    outputTokens: sum('outputTokens'),
+    reasoningTokens: sum('reasoningTokens'),
+    cost: records.every((record) => record.cost !== undefined) ? sum('cost') : undefined,
+    latency: sum('latency'),
+    cached: records.length > 0 && records.every((record) => record.cached),
+  }
+}
+
+/**
+ * Format the usage of a run for humans.
+ *
+ * @param {object} usage - The usage of the run (see sumUsage)
+ * @returns {string} The formatted usage (e.g., "Usage: 1,234 input tokens, 56 output tokens, 2.3s, $0.0012")
+ */
+export const formatUsage = (usage) => {
+  const parts = [
+    `${usage.inputTokens.toLocaleString('en-US')} input tokens`,
+    `${usage.outputTokens.toLocaleString('en-US')} output tokens`,
+  ]
+  if (usage.reasoningTokens > 0) parts.push(`${usage.reasoningTokens.toLocaleString('en-US')} reasoning tokens`)
+  parts.push(`${(usage.latency / 1000).toFixed(1)}s`)
+  if (usage.cost !== undefined) parts.push(`$${usage.cost.toFixed(4)}`)
+  if (usage.requests > 1) parts.push(`${usage.requests} requests`)
+  if (usage.cached) parts.push('cached')
+
+  return `Usage: ${parts.join(', ')}`
+}
+
+/**
+ * Append a usage record as a line of JSON (JSONL) to a usage log.
+ *
+ * @param {string} filePath - Path to the usage log
+ * @param {object} record - The record to append
+ * @returns {Promise<void>}
+ */
+export const appendUsageLog = async (filePath, record) => {
+  try {
+    await appendFile(filePath, `${JSON.stringify(record)}\n`)
+  } catch (error) {
+    throw new Error(`Failed to write usage log '${filePath}'`, { cause: error })
+  }
+}
@@ -1,46 +1,46 @@
+import { exec } from 'node:child_process'
+import path from 'node:path'
 import readline from 'node:readline'
+import { parseEnv, promisify } from 'node:util'
+import { readFileContent } from './input.js'
+import { findTemplateVariables, renderTemplate } from './template.js'
+import { commandTimeout, maxCommandOutput } from './tools.js'
+
+// Accepted values of boolean variables
+const booleanValues = { true: 'true', yes: 'true', 1: 'true', false: 'false', no: 'false', 0: 'false' }
+
+// Matches values that are the output of a command, e.g. $(git diff)
+const commandPattern = /^\$\((.+)\)$/s
+
+const execAsync = promisify(exec)
 
 /**
  * Extract all variables from a prompt string, including their metadata.
- * Supports both {{variable}} and {{variable description="Description"}} syntax.
+ * Supports values like {{variable description="Description" default='x'}}, conditions, loops and fields of JSON
+ * variables (see renderTemplate).
  *
- * @param {string} prompt - The prompt with variables
- * @returns {Array<{name: string, description: string|null}>} Array of variable metadata
+ * @param {string|string[]} prompt - The prompt with variables or all texts of the prompt (see getPromptTexts)
+ * @returns {Array<{name: string, description: string|null, default?: string}>} Array of variable metadata
  */
 export const extractVariables = (prompt) => {
-  // Match {{variable}} or {{variable description="..."}} or {{variable description='...'}}
-  const pattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*(?:description\s*=\s*['"]([^'"]*)['"])?\s*\}\}/g
-  const variables = []
-  const seen = new Set()
-
-  let match
-  while ((match = pattern.exec(prompt)) !== null) {
-    const variableName = match[1]
-    const description = match[2] || null
-
-    // Only add each variable once (first occurrence)
-    if (!seen.has(variableName)) {
-      seen.add(variableName)
-      variables.push({
-        name: variableName,
-        description,
-      })
-    }
-  }
-
-  return variables
+  return findTemplateVariables(prompt).map(({ name, description, default: defaultValue }) => {
+    return { name, description, default: defaultValue }
+  })
 }
 
 /**
  * Find variables that are used in the prompt but not provided in the variables object.
+ * Variables with a default, variables that are only used in conditions and variables in branches of conditions that
+ * aren't rendered are optional.
  *
- * @param {string} prompt - The prompt with variables
+ * @param {string|string[]} prompt - The prompt with variables or all texts of the prompt (see getPromptTexts)
  * @param {object} variables - Object with variable names as keys
  * @returns {Array<{name: string, description: string|null}>} Array of undefined variable metadata
  */
 export const findUndefinedVariables = (prompt, variables = {}) => {
-  const allVariables = extractVariables(prompt)
-  return allVariables.filter((v) => !Object.hasOwn(variables, v.name))
+  return findTemplateVariables(prompt, variables)
+    .filter((v) => !v.optional && !Object.hasOwn(variables, v.name))
+    .map(({ name, description }) => ({ name, description }))
 }
 
 /**
@@ -48,19 +48,22 @@ export const findUndefinedVariables = (prompt, variables = {}) => {
  *
  * @param {string} variableName - Name of the variable
  * @param {string|null} description - Optional description for the variable
+ * @param {readline.Interface} [existingRl] - Readline interface to ask with (a temporary one is created otherwise)
  * @returns {Promise<string>} The value entered by the user
  */
-export const promptForVariable = (variableName, description = null) => {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  })
+export const promptForVariable = (variableName, description = null, existingRl = null) => {
+  const rl =
+    existingRl ??
+    readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    })
 
   const prompt = description ? `${description} (${variableName}): ` : `${variableName}: `
 
   return new Promise((resolve) => {
     rl.question(prompt, (answer) => {
-      rl.close()
+      if (!existingRl) rl.close()
       resolve(answer)
     })
   })
@@ -68,20 +71,394 @@ export const promptForVariable = (variableName, description = null) => {
 
 /**
  * Replace variables in a prompt string.
- * Handles both {{variable}} and {{variable description="Description"}} syntax.
+ * Handles {{variable}}, defaults, filters, conditions and loops (see renderTemplate).
  *
  * @param {string} prompt - The prompt with variables
  * @param {object} variables - Object with variable names as keys and replacement values as values
+ * @param {object} [options] - Configuration options
+ * @param {boolean} [options.allowEnv] - Allow reading environment variables, e.g. {{env.HOME}} (default: false)
  * @returns {string} The prompt with variables replaced
  */
-export const replaceVariables = (prompt, variables = {}) => {
-  let result = prompt
+export const replaceVariables = (prompt, variables = {}, options = {}) => {
+  return renderTemplate(prompt, variables, options)
+}
+
+/**
+ * Validate the value of a declared variable and convert it into its normalized form.
+ *
+ * @param {string} name - Name of the variable
+ * @param {string} value - The value to validate
+ * @param {object} definition - Declaration of the variable from the preset
+ * @param {string} definition.type - Type of the variable: 'string', 'number', 'boolean', 'enum' or 'file'
+ * @param {boolean} [definition.required] - Whether the value may be empty
+ * @param {string} [definition.pattern] - Regular expression the value must match
+ * @param {Array<string|number>} [definition.values] - Allowed values of enum variables
+ * @returns {string} The normalized value, e.g. "true" for the boolean value "yes"
+ * @throws {Error} If the value doesn't match the declaration
+ */
+export const parseVariableValue = (name, value, definition) => {
+  const { type = 'string', required = false, pattern, values = [] } = definition
+
+  if (value === '') {
+    if (required) throw new Error(`Variable '${name}' is required`)
+    return value
+  }
+
+  if (pattern && !new RegExp(pattern).test(value)) {
+    throw new Error(`Variable '${name}' must match the pattern ${pattern}, got '${value}'`)
+  }
+
+  switch (type) {
+    case 'number': {
+      if (value.trim() === '' || !Number.isFinite(Number(value))) {
+        throw new Error(`Variable '${name}' must be a number, got '${value}'`)
+      }
+      return value.trim()
+    }
+    case 'boolean': {
+      const booleanValue = booleanValues[value.trim().toLowerCase()]
+      if (!booleanValue) {
+        throw new Error(`Variable '${name}' must be true or false, got '${value}'`)
+      }
+      return booleanValue
+    }
+    case 'enum': {
+      if (!values.map(String).includes(value)) {
+        throw new Error(`Variable '${name}' must be one of ${values.join(', ')}, got '${value}'`)
+      }
+      return value
+    }
+    default: {
+      return value
+    }
+  }
+}
+
+/**
+ * Validate variables against their declarations and add the default values of declared variables without value.
+ * Variables that aren't declared are kept as they are.
+ *
+ * @param {object} variables - Object with variable names as keys and values as values
+ * @param {object} [definitions] - Declarations of the variables from the preset with variable names as keys
+ * @returns {object} The validated variables with default values
+ * @throws {Error} If variables don't match their declarations, listing all problems
+ */
+export const validateVariables = (variables, definitions = {}) => {
+  const validatedVariables = { ...variables }
+  const errors = []
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const hasValue = Object.hasOwn(variables, name)
+    if (!hasValue && definition.default === undefined) continue
+
+    try {
+      validatedVariables[name] = parseVariableValue(
+        name,
+        hasValue ? variables[name] : String(definition.default),
+        definition,
+      )
+    } catch (error) {
+      errors.push(error.message)
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid variables:\n  ${errors.join('\n  ')}`)
+  }
+
+  return validatedVariables
+}
+
+/**
+ * Replace the paths of file variables with the content of the files.
+ *
+ * @param {object} variables - Object with variable names as keys and values as values
+ * @param {object} [definitions] - Declarations of the variables from the preset with variable names as keys
+ * @returns {Promise<object>} The variables with file contents
+ */
+export const readFileVariables = async (variables, definitions = {}) => {
+  const fileVariables = { ...variables }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const filePath = fileVariables[name]
+    if (filePath && definition.type === 'file') {
+      fileVariables[name] = await readFileContent(filePath)
+    }
+  }
+
+  return fileVariables
+}
+
+/**
+ * Find variables that are used in the prompt or declared as required but not provided in the variables object.
+ *
+ * @param {string|string[]} prompt - The prompt with variables or all texts of the prompt (see getPromptTexts)
+ * @param {object} variables - Object with variable names as keys
+ * @param {object} [definitions] - Declarations of the variables from the preset with variable names as keys
+ * @returns {Array<{name: string, description: string|null}>} Array of missing variable metadata
+ */
+export const findMissingVariables = (prompt, variables, definitions = {}) => {
+  // Required variables must be provided, even when they aren't used in the prompt
+  const missingVariables = Object.entries(definitions)
+    .filter(([name, definition]) => definition.required && !Object.hasOwn(variables, name))
+    .map(([name, definition]) => ({ name, description: definition.description ?? null }))
+
+  for (const varInfo of findUndefinedVariables(prompt, variables)) {
+    if (missingVariables.every(({ name }) => name !== varInfo.name)) missingVariables.push(varInfo)
+  }
+
+  return missingVariables
+}
+
+/**
+ * Prompt user for the value of a declared variable until the value is valid.
+ * Values of enum variables are offered as a numbered list to choose from.
+ *
+ * @param {string} name - Name of the variable
+ * @param {object} definition - Declaration of the variable from the preset (see parseVariableValue)
+ * @returns {Promise<string>} The validated value
+ */
+const promptForDeclaredVariable = async (name, definition) => {
+  const { type = 'string', description, values = [] } = definition
+
+  // Ask on stderr, so the questions don't end up in the result written to stdout
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+  })
+
+  try {
+    const label = description ? `${description} (${name})` : name
+
+    if (type === 'enum') {
+      console.error(`${label}:`)
+      for (const [index, value] of values.entries()) {
+        console.error(`  ${index + 1}) ${value}`)
+      }
+    }
+
+    while (true) {
+      const question =
+        {
+          enum: `Choose 1-${values.length}: `,
+          string: `${label}: `,
+        }[type] ?? `${label} [${type}]: `
+      const answer = await new Promise((resolve) => rl.question(question, resolve))
+
+      // Enum values can be chosen by their number
+      const index = Number(answer) - 1
+      const value =
+        type === 'enum' && Number.isSafeInteger(index) && values[index] !== undefined ? String(values[index]) : answer
+
+      try {
+        return parseVariableValue(name, value, definition)
+      } catch (error) {
+        console.error(error.message)
+      }
+    }
+  } finally {
+    rl.close()
+  }
+}
+
+/**
+ * Prompt user for the value of a variable that is used in the prompt or declared as required but has no value.
+ * Declared variables are asked for until their value is valid.
+ *
+ * @param {object} variable - The missing variable (see findMissingVariables)
+ * @param {string} variable.name - Name of the variable
+ * @param {string|null} [variable.description] - Description of the variable from the prompt
+ * @param {object} [variable.definition] - Declaration of the variable from the preset (see parseVariableValue)
+ * @returns {Promise<string>} The value entered by the user
+ */
+export const promptForMissingVariable = ({ name, description = null, definition }) => {
+  return definition
+    ? promptForDeclaredVariable(name, { ...definition, description: definition.description ?? description })
+    : promptForVariable(name, description)
+}
+
+/**
+ * Format the documentation of all variables of a prompt for the help output.
+ *
+ * @param {string|string[]} prompt - The prompt with variables or all texts of the prompt (see getPromptTexts)
+ * @param {object} [definitions] - Declarations of the variables from the preset with variable names as keys
+ * @param {string[]} [providedNames] - Names of variables that aren't provided by the user, e.g. results of steps
+ * @returns {string} The documentation with one line per variable or an empty string when there are no variables
+ */
+export const formatVariablesHelp = (prompt, definitions = {}, providedNames = []) => {
+  const variables = new Map(Object.entries(definitions))
+  for (const { name, description, default: defaultValue } of extractVariables(prompt)) {
+    if (variables.has(name) || providedNames.includes(name)) continue
+
+    variables.set(name, { description: description ?? undefined, default: defaultValue })
+  }
+
+  if (variables.size === 0) {
+    return ''
+  }
+
+  const rows = [...variables].map(([name, definition]) => {
+    const { type = 'string', description, required, pattern, values = [] } = definition
+    const usage = `--var ${name}=<${type === 'enum' ? values.join('|') : type}>`
+
+    const details = []
+    if (required) details.push('required')
+    if (definition.default !== undefined) details.push(`default: ${definition.default}`)
+    if (definition.env !== undefined) details.push(`env: ${definition.env}`)
+    if (definition.file !== undefined) details.push(`file: ${path.relative(process.cwd(), definition.file)}`)
+    if (definition.command !== undefined) details.push(`command: ${definition.command}`)
+    if (pattern) details.push(`pattern: ${pattern}`)
+
+    const text = [description, details.length > 0 ? `(${details.join(', ')})` : ''].filter(Boolean).join(' ')
+    return [usage, text]
+  })
+
+  const width = Math.max(...rows.map(([usage]) => usage.length))
+
+  return `\nVariables:\n${rows.map(([usage, text]) => `  ${usage.padEnd(width)}  ${text}`.trimEnd()).join('\n')}\n`
+}
+
+/**
+ * Run the command of a variable in a shell and get its output.
+ *
+ * @param {string} name - Name of the variable
+ * @param {string} command - The command, e.g. git diff
+ * @param {boolean} allowCommands - Whether commands are allowed
+ * @returns {Promise<string>} The output of the command without trailing line breaks, like command substitution of
+ * shells
+ * @throws {Error} If commands aren't allowed or the command fails
+ */
+const runVariableCommand = async (name, command, allowCommands) => {
+  if (!allowCommands) {
+    throw new Error(`Variable '${name}' runs the command '${command}', which requires --allow-var-commands`)
+  }
+
+  try {
+    const { stdout } = await execAsync(command, { timeout: commandTimeout, maxBuffer: maxCommandOutput })
+    return stdout.replace(/(?:\r?\n)+$/, '')
+  } catch (error) {
+    throw new Error(`Command '${command}' of variable '${name}' failed`, { cause: error })
+  }
+}
+
+/**
+ * Read variables from a JSON file with an object or from a .env file.
+ * Values of JSON files that aren't strings are converted to JSON, so their fields can be used in the prompt.
+ *
+ * @param {string} filePath - Path to the file, .env files are detected by their name (e.g. .env, .env.local, vars.env)
+ * @returns {Promise<object>} Object with variable names as keys and values as values
+ * @throws {Error} If the file can't be read or isn't a JSON object
+ */
+export const readVariablesFile = async (filePath) => {
+  const content = await readFileContent(filePath)
+
+  const fileName = path.basename(filePath)
+  if (fileName.startsWith('.env') || path.extname(fileName) === '.env') {
+    return parseEnv(content)
+  }
+
+  let variables
+  try {
+    variables = JSON.parse(content)
+  } catch (error) {
+    throw new Error(`Variables file '${filePath}' is neither valid JSON nor a .env file`, { cause: error })
+  }
+
+  if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+    throw new TypeError(`Variables file '${filePath}' must contain a JSON object`)
+  }
+
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, value]) => [name, typeof value === 'string' ? value : JSON.stringify(value)]),
+  )
+}
+
+/**
+ * Resolve the sources of values provided on the command line: values starting with @ are read from the file with
+ * the path after the @ (@@ escapes a literal @) and $(command) is replaced with the output of the command.
+ *
+ * @param {object} variables - Object with variable names as keys and values as values
+ * @param {object} [options] - Configuration options
+ * @param {boolean} [options.allowCommands] - Allow values that are the output of commands (default: false)
+ * @returns {Promise<object>} The variables with resolved values
+ */
+export const resolveVariableValues = async (variables, options = {}) => {
+  const resolvedVariables = {}
+
+  for (const [name, value] of Object.entries(variables)) {
+    const commandMatch = commandPattern.exec(value)
+
+    if (value.startsWith('@@')) {
+      resolvedVariables[name] = value.slice(1)
+    } else if (value.startsWith('@')) {
+      resolvedVariables[name] = await readFileContent(value.slice(1))
+    } else if (commandMatch) {
+      resolvedVariables[name] = await runVariableCommand(name, commandMatch[1], options.allowCommands)
+    } else {
+      resolvedVariables[name] = value
+    }
+  }
+
+  return resolvedVariables
+}
+
+/**
+ * Add the values of declared variables without value from the sources of their declarations:
+ * an environment variable (env), the content of a file (file) or the output of a command (command).
+ * Variables without a value in their source keep their default.
+ *
+ * @param {object} variables - Object with variable names as keys and values as values
+ * @param {object} [definitions] - Declarations of the variables from the preset with variable names as keys
+ * @param {object} [options] - Configuration options
+ * @param {boolean} [options.allowCommands] - Allow values that are the output of commands (default: false)
+ * @param {boolean} [options.allowEnv] - Allow values of environment variables (default: false)
+ * @returns {Promise<object>} The variables with the values of the sources
+ * @throws {Error} If a variable needs a source that isn't allowed
+ */
+export const readVariableSources = async (variables, definitions = {}, options = {}) => {
+  const sourcedVariables = { ...variables }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (Object.hasOwn(sourcedVariables, name)) continue
+
+    if (definition.env !== undefined) {
+      if (!options.allowEnv) {
+        throw new Error(
+          `Variable '${name}' reads the environment variable '${definition.env}', which requires --allow-var-env`,
+        )
+      }
+
+      if (process.env[definition.env] !== undefined) sourcedVariables[name] = process.env[definition.env]
+    } else if (definition.file !== undefined) {
+      sourcedVariables[name] = await readFileContent(definition.file)
+    } else if (definition.command !== undefined) {
+      sourcedVariables[name] = await runVariableCommand(name, definition.command, options.allowCommands)
+    }
+  }
+
+  return sourcedVariables
+}
+
+/**
+ * Load the variables of a run from all sources. Provided values take precedence over variables files, later
+ * variables files over earlier ones and all of them over the sources of declared variables.
+ *
+ * @param {object} [variables] - Provided values, e.g. of --var with their sources resolved (see resolveVariableValues)
+ * @param {object} [options] - Configuration options
+ * @param {string[]} [options.files] - Paths to JSON or .env variables files (see readVariablesFile)
+ * @param {object} [options.definitions] - Declarations of the variables from the preset with variable names as keys
+ * @param {boolean} [options.allowCommands] - Allow values that are the output of commands (default: false)
+ * @param {boolean} [options.allowEnv] - Allow values of environment variables (default: false)
+ * @returns {Promise<object>} The loaded variables
+ */
+export const loadVariables = async (variables, options = {}) => {
+  const { files = [], definitions = {}, allowCommands = false, allowEnv = false } = options
 
-  for (const [variable, value] of Object.entries(variables)) {
-    // Match both {{variable}} and {{variable description="..."}} or {{variable description='...'}}
-    const pattern = new RegExp(String.raw`\{\{\s*${variable}\s*(?:description\s*=\s*['"][^'"]*['"])?\s*\}\}`, 'g')
-    result = result.replace(pattern, () => value)
+  const loadedVariables = {}
+  for (const filePath of files) {
+    Object.assign(loadedVariables, await readVariablesFile(filePath))
   }
+  Object.assign(loadedVariables, variables)
 
-  return result
+  return readVariableSources(loadedVariables, definitions, { allowCommands, allowEnv })
 }
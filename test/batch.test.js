@@ -0,0 +1,210 @@
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { executeBatch, readRows, rowToVariables } from '../src/utils/batch.js'
+
+let directory
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-batch-'))
+})
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+/**
+ * Write a file into the temporary directory of the tests.
+ *
+ * @param {string} name - Name of the file
+ * @param {string} content - Content of the file
+ * @returns {Promise<string>} Path to the file
+ */
+const writeTestFile = async (name, content) => {
+  const filePath = path.join(directory, name)
+  await writeFile(filePath, content)
+
+  return filePath
+}
+
+/**
+ * Read the records of a JSONL output file.
+ *
+ * @param {string} filePath - Path to the output file
+ * @returns {Promise<object[]>} The records
+ */
+const readRecords = async (filePath) => {
+  const content = await readFile(filePath, 'utf8')
+
+  return content
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+}
+
+describe('readRows', () => {
+  it('reads CSV rows with the header as keys', async () => {
+    const filePath = await writeTestFile('simple.csv', 'name, age\nAda,36\nAlan,41\n')
+
+    assert.deepEqual(await readRows(filePath), [
+      { name: 'Ada', age: '36' },
+      { name: 'Alan', age: '41' },
+    ])
+  })
+
+  it('reads quoted CSV fields with commas, line breaks and escaped quotes', async () => {
+    const filePath = await writeTestFile('quoted.csv', 'text,note\n"a, b","line 1\nline 2"\n"say ""hi""",""\n')
+
+    assert.deepEqual(await readRows(filePath), [
+      { text: 'a, b', note: 'line 1\nline 2' },
+      { text: 'say "hi"', note: '' },
+    ])
+  })
+
+  it('reads CSV with CRLF line breaks', async () => {
+    const filePath = await writeTestFile('crlf.csv', 'name,note\r\nAda,"a\r\nb"\r\nAlan,x\r\n')
+
+    assert.deepEqual(await readRows(filePath), [
+      { name: 'Ada', note: 'a\r\nb' },
+      { name: 'Alan', note: 'x' },
+    ])
+  })
+
+  it('ignores a byte order mark and blank lines', async () => {
+    const filePath = await writeTestFile('bom.csv', '\u{FEFF}name,age\n\nAda,36\n\n\nAlan\n')
+
+    assert.deepEqual(await readRows(filePath), [
+      { name: 'Ada', age: '36' },
+      { name: 'Alan', age: '' },
+    ])
+  })
+
+  it('points to the position of invalid CSV', async () => {
+    const filePath = await writeTestFile('invalid.csv', 'a,b\n"x"y,1\n')
+
+    await assert.rejects(readRows(filePath), (error) => {
+      assert.equal(error.message, `Failed to read rows from '${filePath}'`)
+      assert.equal(error.cause.message, 'Invalid CSV at position 5')
+      return true
+    })
+  })
+
+  it('reads JSONL rows and skips blank lines', async () => {
+    const filePath = await writeTestFile('rows.jsonl', '{"name":"Ada"}\r\n\n{"tags":["a"]}\n')
+
+    assert.deepEqual(await readRows(filePath), [{ name: 'Ada' }, { tags: ['a'] }])
+  })
+
+  it('points to the line of invalid JSONL', async () => {
+    const filePath = await writeTestFile('invalid.jsonl', '{"name":"Ada"}\n[1]\n')
+
+    await assert.rejects(readRows(filePath), (error) => {
+      assert.equal(error.cause.message, 'Expected a JSON object in line 2')
+      return true
+    })
+  })
+})
+
+describe('rowToVariables', () => {
+  it('converts values to strings', () => {
+    assert.deepEqual(rowToVariables({ a: 1, b: null, c: { d: true }, e: 'x' }), {
+      a: '1',
+      b: '',
+      c: '{"d":true}',
+      e: 'x',
+    })
+  })
+})
+
+describe('executeBatch', () => {
+  it('writes one record per row', async (t) => {
+    const logError = t.mock.method(console, 'error', () => {})
+    const output = path.join(directory, 'output.jsonl')
+    const rows = [{ name: 'Ada' }, { name: 'Alan' }]
+
+    const statistics = await executeBatch(
+      rows,
+      (row) => {
+        if (row.name === 'Alan') throw new Error('Failed')
+        return Promise.resolve(`Hi ${row.name}`)
+      },
+      { concurrency: 2, output },
+    )
+
+    const records = await readRecords(output)
+
+    t.assert.deepStrictEqual(statistics, { completed: 1, failed: 1, skipped: 0 })
+    t.assert.deepStrictEqual(
+      records.toSorted((a, b) => a.index - b.index),
+      [
+        { index: 0, input: { name: 'Ada' }, output: 'Hi Ada', error: null },
+        { index: 1, input: { name: 'Alan' }, output: null, error: 'Failed' },
+      ],
+    )
+    t.assert.deepStrictEqual(logError.mock.calls[0].arguments, ['Row 2 failed: Failed'])
+  })
+
+  it('resumes with the rows that have not been completed successfully', async () => {
+    const previousRecords = [
+      '{"index":0,"input":{"name":"Ada"},"output":"a","error":null}',
+      '{"index":1,"input":{"name":"Alan"},"output":null,"error":"Failed"}',
+      '{"index":0,"input":{"name":"Ada"},"output":"b","error":null}',
+      '{"index":2,"input":{"name":"Gra',
+    ]
+    const output = await writeTestFile('resume.jsonl', previousRecords.join('\n'))
+    const processedRows = []
+
+    const statistics = await executeBatch(
+      [{ name: 'Ada' }, { name: 'Alan' }, { name: 'Grace' }],
+      (row, index) => {
+        processedRows.push(index)
+        return Promise.resolve('c')
+      },
+      { concurrency: 1, output, resume: true },
+    )
+
+    assert.deepEqual(statistics, { completed: 2, failed: 0, skipped: 1 })
+    assert.deepEqual(processedRows, [1, 2])
+    assert.equal(
+      await readFile(output, 'utf8'),
+      [
+        ...previousRecords,
+        '{"index":1,"input":{"name":"Alan"},"output":"c","error":null}',
+        '{"index":2,"input":{"name":"Grace"},"output":"c","error":null}\n',
+      ].join('\n'),
+    )
+  })
+
+  it('processes rows again when the input has changed', async () => {
+    const output = await writeTestFile(
+      'changed.jsonl',
+      [
+        '{"index":0,"input":{"name":"Ada"},"output":"a","error":null}',
+        '{"index":1,"input":{"name":"Alan"},"output":"b","error":null}',
+        '{"index":2,"input":{"name":"Grace"},"output":"c","error":null}',
+      ].join('\n'),
+    )
+    const processedRows = []
+
+    const statistics = await executeBatch(
+      [{ name: 'Alan' }, { name: 'Alan' }],
+      (row, index) => {
+        processedRows.push(index)
+        return Promise.resolve('d')
+      },
+      { concurrency: 1, output, resume: true },
+    )
+
+    assert.deepEqual(statistics, { completed: 1, failed: 0, skipped: 1 })
+    assert.deepEqual(processedRows, [0])
+  })
+
+  it('requires an output file to resume', async () => {
+    await assert.rejects(
+      executeBatch([], async () => {}, { concurrency: 1, resume: true }),
+      /--output is required/,
+    )
+  })
+})
@@ -0,0 +1,130 @@
+import { execFile } from 'node:child_process'
+import { access, mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { promisify } from 'node:util'
+import { getCacheKey, parseDuration } from '../src/utils/cache.js'
+
+const execFileAsync = promisify(execFile)
+
+const cacheModuleUrl = new URL('../src/utils/cache.js', import.meta.url).href
+const generateModuleUrl = new URL('../src/generate.js', import.meta.url).href
+
+let directory
+let responsesDirectory
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-cache-'))
+  responsesDirectory = path.join(directory, '.cache', 'heyi', 'responses')
+  await mkdir(responsesDirectory, { recursive: true })
+})
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+/**
+ * Run a script with the test directory as home directory and get what it logs as JSON. The cache directory depends
+ * on the home directory, so the cache is used by another process.
+ *
+ * @param {string} script - The code of the ES module to run
+ * @returns {Promise<*>} The parsed output of the script
+ */
+const runWithTestHome = async (script) => {
+  const { stdout } = await execFileAsync(process.execPath, ['--input-type=module', '--eval', script], {
+    env: { ...process.env, HOME: directory },
+  })
+
+  return JSON.parse(stdout)
+}
+
+describe('parseDuration', () => {
+  it('parses durations with and without unit', (t) => {
+    t.assert.strictEqual(parseDuration('30'), 30)
+    t.assert.strictEqual(parseDuration(45), 45)
+    t.assert.strictEqual(parseDuration('15m'), 900)
+    t.assert.strictEqual(parseDuration(' 1.5h '), 5400)
+    t.assert.strictEqual(parseDuration('7d'), 604_800)
+    t.assert.throws(() => parseDuration('1w'), /Invalid duration '1w'/)
+  })
+})
+
+describe('getCacheKey', () => {
+  it('gets the same key for the same data only', (t) => {
+    const key = getCacheKey({ prompt: 'Hi', model: 'test-model' })
+
+    t.assert.match(key, /^[\da-f]{64}$/)
+    t.assert.strictEqual(getCacheKey({ prompt: 'Hi', model: 'test-model' }), key)
+    t.assert.notStrictEqual(getCacheKey({ prompt: 'Hi', model: 'other-model' }), key)
+    t.assert.notStrictEqual(getCacheKey({ prompt: 'Hi', model: 'test-model', fallbackModels: [] }), key)
+  })
+})
+
+describe('readCache', () => {
+  it('reads entries that are younger than the TTL and removes expired entries', async (t) => {
+    const oldEntryPath = path.join(responsesDirectory, 'old.json')
+    await writeFile(path.join(responsesDirectory, 'new.json'), JSON.stringify({ createdAt: Date.now(), value: 'a' }))
+    await writeFile(oldEntryPath, JSON.stringify({ createdAt: Date.now() - 2 * 60 * 60 * 1000, value: 'b' }))
+    await writeFile(path.join(responsesDirectory, 'broken.json'), '{"createdAt":')
+
+    const entries = await runWithTestHome(`
+      import { readCache, writeCache } from ${JSON.stringify(cacheModuleUrl)}
+      await writeCache('urls', 'written', { content: 'c' })
+      const keys = ['new', 'old', 'broken', 'missing']
+      const entries = await Promise.all(keys.map((key) => readCache('responses', key, 60 * 60)))
+      console.log(JSON.stringify([...entries, await readCache('urls', 'written', 60)]))
+    `)
+
+    t.assert.deepStrictEqual(entries, [{ value: 'a' }, null, null, null, { value: { content: 'c' } }])
+    await t.assert.rejects(access(oldEntryPath), { code: 'ENOENT' })
+  })
+})
+
+describe('generateResult with cache', () => {
+  it('reuses answers of the same prompt, model and fallback models', async (t) => {
+    const { results, models } = await runWithTestHome(`
+      import { generateResult } from ${JSON.stringify(generateModuleUrl)}
+
+      const models = []
+      const fetch = (url, init) => {
+        const { model } = JSON.parse(init.body)
+        models.push(model)
+
+        return Promise.resolve(
+          Response.json({
+            id: 'test',
+            object: 'chat.completion',
+            created: 0,
+            model,
+            choices: [
+              { index: 0, message: { role: 'assistant', content: \`{"result":"answer \${models.length}"}\` }, finish_reason: 'stop' },
+            ],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+          }),
+        )
+      }
+      const options = {
+        model: 'test-model',
+        provider: 'openai-compatible',
+        baseUrl: 'https://provider.test/v1',
+        apiKey: 'test',
+        fetch,
+        retries: 0,
+        cacheTtl: 60,
+      }
+
+      const results = [
+        await generateResult('Hi', options),
+        await generateResult('Hi', options),
+        await generateResult('Hi', { ...options, fallbackModels: ['second-model'] }),
+        await generateResult('Hello', options),
+        await generateResult('Hi', { ...options, cacheTtl: 0 }),
+      ]
+      console.log(JSON.stringify({ results, models }))
+    `)
+
+    t.assert.deepStrictEqual(results, ['answer 1', 'answer 1', 'answer 2', 'answer 3', 'answer 4'])
+    t.assert.strictEqual(models.length, 4)
+  })
+})
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test'
+import { createHeyi, GenerationError } from '../src/index.js'
+
+/**
+ * Create an instance with a fetch function that streams the same answer to every conversation.
+ *
+ * @param {string[]} deltas - The text deltas of the answer
+ * @param {object[]} requests - Collects the bodies of the requests
+ * @returns {object} The instance (see createHeyi)
+ */
+const createChatHeyi = (deltas, requests) => {
+  const fetch = (url, init) => {
+    const body = JSON.parse(init.body)
+    requests.push(body)
+
+    if (body.messages.at(-1).content === 'Fail') {
+      return Promise.resolve(Response.json({ error: { message: 'Bad request' } }, { status: 400 }))
+    }
+
+    const chunks = [
+      ...deltas.map((content) => ({ choices: [{ index: 0, delta: { content }, finish_reason: null }] })),
+      { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] },
+    ]
+
+    return Promise.resolve(
+      new Response(`${chunks.map((chunk) => `data: ${JSON.stringify(chunk)}\n\n`).join('')}data: [DONE]\n\n`, {
+        headers: { 'content-type': 'text/event-stream' },
+      }),
+    )
+  }
+
+  return createHeyi({
+    provider: 'openai-compatible',
+    baseUrl: 'https://provider.test/v1',
+    apiKey: 'test',
+    fetch,
+    defaults: { model: 'test-model', retries: 0, parameters: { temperature: 0.5 } },
+  })
+}
+
+describe('chat', () => {
+  it('streams the answer to the conversation with the options of the instance', async (t) => {
+    const requests = []
+    const heyi = createChatHeyi(['Hi', ' there'], requests)
+    const messages = [
+      { role: 'user', content: 'Hello {{name}}' },
+      { role: 'assistant', content: 'Hi' },
+      { role: 'user', content: 'How are you?' },
+    ]
+
+    t.assert.deepStrictEqual(await Array.fromAsync(heyi.chat(messages, { model: 'other-model' })), ['Hi', ' there'])
+    t.assert.strictEqual(requests.length, 1)
+    t.assert.strictEqual(requests[0].model, 'other-model')
+    t.assert.strictEqual(requests[0].temperature, 0.5)
+    t.assert.deepStrictEqual(requests[0].messages, messages)
+  })
+
+  it('throws generation errors and validation errors', async (t) => {
+    const heyi = createChatHeyi([], [])
+
+    await t.assert.rejects(Array.fromAsync(heyi.chat([{ role: 'user', content: 'Fail' }])), GenerationError)
+    await t.assert.rejects(Array.fromAsync(heyi.chat([{ role: 'user', content: 'Hi' }], { retries: -1 })), {
+      code: 'ERR_HEYI_VALIDATION',
+    })
+  })
+})
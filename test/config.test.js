@@ -0,0 +1,134 @@
+import { execFile } from 'node:child_process'
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, afterEach, before, describe, it } from 'node:test'
+import { promisify } from 'node:util'
+import { defaultSettings } from '../src/utils/config.js'
+
+const execFileAsync = promisify(execFile)
+
+const configModuleUrl = new URL('../src/utils/config.js', import.meta.url).href
+
+let directory
+let userConfigPath
+let projectConfigPath
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-config-'))
+  userConfigPath = path.join(directory, 'home', '.config', 'heyi', 'config.json')
+  projectConfigPath = path.join(directory, 'project', '.heyi', 'config.json')
+  await mkdir(path.join(directory, 'project', 'src'), { recursive: true })
+})
+
+afterEach(async () => {
+  await rm(userConfigPath, { force: true })
+  await rm(projectConfigPath, { force: true })
+})
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+/**
+ * Write a config file.
+ *
+ * @param {string} filePath - Path to the config file
+ * @param {object} config - The config
+ * @returns {Promise<void>}
+ */
+const writeConfig = async (filePath, config) => {
+  await mkdir(path.dirname(filePath), { recursive: true })
+  await writeFile(filePath, JSON.stringify(config))
+}
+
+/**
+ * Resolve the settings in a directory of the test project with the test home directory. The path of the user config
+ * depends on the home directory, so the settings are resolved by another process.
+ *
+ * @param {object} [options] - Configuration options
+ * @param {string} [options.profile] - Name of the profile to use
+ * @param {object} [options.env] - Environment variables of the process
+ * @returns {Promise<object>} The result of resolveSettings
+ */
+const resolveTestSettings = async (options = {}) => {
+  const { profile, env = {} } = options
+  const script = `
+    import { resolveSettings } from ${JSON.stringify(configModuleUrl)}
+    console.log(JSON.stringify(await resolveSettings(${JSON.stringify(profile)})))
+  `
+
+  const { stdout } = await execFileAsync(process.execPath, ['--input-type=module', '--eval', script], {
+    cwd: path.join(directory, 'project', 'src'),
+    env: { ...process.env, HOME: path.join(directory, 'home'), HEYI_MODEL: '', HEYI_PROFILE: '', ...env },
+  })
+
+  return JSON.parse(stdout)
+}
+
+describe('resolveSettings', () => {
+  it('uses the defaults without config files', async (t) => {
+    const { profile, settings } = await resolveTestSettings()
+
+    t.assert.strictEqual(profile, undefined)
+    t.assert.deepStrictEqual(settings.model, { value: defaultSettings.model, source: 'default' })
+    t.assert.deepStrictEqual(settings.retries, { value: 2, source: 'default' })
+  })
+
+  it('prefers environment variables over the config of the project over the config of the user', async (t) => {
+    await writeConfig(userConfigPath, { model: 'user-model', retries: 5, baseUrl: 'https://user.test' })
+    await writeConfig(projectConfigPath, { model: 'project-model', timeout: '30s', baseUrl: 'https://project.test' })
+
+    const { settings } = await resolveTestSettings({ env: { HEYI_BASE_URL: 'https://env.test' } })
+
+    t.assert.deepStrictEqual(settings.model, { value: 'project-model', source: 'project config' })
+    t.assert.deepStrictEqual(settings.retries, { value: 5, source: 'user config' })
+    t.assert.deepStrictEqual(settings.timeout, { value: '30s', source: 'project config' })
+    t.assert.deepStrictEqual(settings.baseUrl, {
+      value: 'https://env.test',
+      source: 'environment variable HEYI_BASE_URL',
+    })
+    t.assert.deepStrictEqual(settings.format, { value: 'string', source: 'default' })
+  })
+
+  it('applies the profile of the config files over all other values', async (t) => {
+    await writeConfig(userConfigPath, { model: 'user-model', profiles: { fast: { model: 'fast-model' } } })
+    await writeConfig(projectConfigPath, { profile: 'fast', retries: 5, profiles: { fast: { retries: 0 } } })
+
+    const { profile, settings } = await resolveTestSettings({ env: { HEYI_MODEL: 'env-model' } })
+
+    t.assert.strictEqual(profile, 'fast')
+    t.assert.deepStrictEqual(settings.model, { value: 'fast-model', source: 'profile fast (user config)' })
+    t.assert.deepStrictEqual(settings.retries, { value: 0, source: 'profile fast (project config)' })
+  })
+
+  it('prefers the given profile over HEYI_PROFILE and the profile of the config files', async (t) => {
+    await writeConfig(userConfigPath, {
+      profile: 'fast',
+      profiles: { fast: { model: 'fast-model' }, smart: { model: 'smart-model' }, cheap: { model: 'cheap-model' } },
+    })
+
+    const fromEnvironment = await resolveTestSettings({ env: { HEYI_PROFILE: 'cheap' } })
+    const given = await resolveTestSettings({ profile: 'smart', env: { HEYI_PROFILE: 'cheap' } })
+
+    t.assert.strictEqual(fromEnvironment.settings.model.value, 'cheap-model')
+    t.assert.strictEqual(given.profile, 'smart')
+    t.assert.deepStrictEqual(given.settings.model, { value: 'smart-model', source: 'profile smart (user config)' })
+  })
+
+  it('rejects unknown profiles', async (t) => {
+    await writeConfig(userConfigPath, { profiles: { fast: { model: 'fast-model' } } })
+
+    await t.assert.rejects(resolveTestSettings({ profile: 'slow' }), {
+      stderr: /Profile 'slow' not found in config files\. Available profiles: fast/,
+    })
+  })
+
+  it('rejects invalid config files', async (t) => {
+    await writeConfig(projectConfigPath, { modle: 'typo' })
+
+    await t.assert.rejects(resolveTestSettings(), {
+      stderr: new RegExp(`Error while parsing config file '${projectConfigPath}'`),
+    })
+  })
+})
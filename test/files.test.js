@@ -0,0 +1,108 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { resolveFilePaths } from '../src/utils/files.js'
+
+const files = {
+  '.gitignore': '*.md\n',
+  'repo/.git/HEAD': 'ref: refs/heads/main\n',
+  'repo/.gitignore': '*.log\nbuild/\n',
+  'repo/README.md': 'Readme',
+  'repo/debug.log': 'Log',
+  'repo/build/app.js': 'Build',
+  'repo/src/app.js': 'App',
+  'repo/src/app.test.js': 'Test',
+  'repo/src/lib/.gitignore': 'generated.js\n',
+  'repo/src/lib/generated.js': 'Generated',
+  'repo/src/lib/util.js': 'Util',
+  'repo-other/notes.js': 'Notes',
+}
+
+let directory
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-files-'))
+
+  for (const [name, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(directory, name)), { recursive: true })
+    await writeFile(path.join(directory, name), content)
+  }
+})
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+/**
+ * Resolve file paths and get the found files relative to the test directory.
+ *
+ * @param {string[]} patterns - File paths, directories or glob patterns relative to the test directory
+ * @param {string[]} [exclude] - Patterns in .gitignore syntax of files to skip
+ * @param {(message: string) => void} [onLog] - Called with warnings
+ * @returns {Promise<string[]>} The files relative to the test directory, with a * for files given by path
+ */
+const resolveTestPaths = async (patterns, exclude, onLog) => {
+  const filePaths = await resolveFilePaths(
+    patterns.map((pattern) => `${directory}/${pattern}`),
+    exclude,
+    onLog,
+  )
+
+  return filePaths.map(({ filePath, explicit }) => {
+    return `${path.relative(directory, filePath).replaceAll(path.sep, '/')}${explicit ? '*' : ''}`
+  })
+}
+
+describe('resolveFilePaths', () => {
+  it('finds the files of directories that are not ignored by .gitignore files of the repository', async (t) => {
+    t.assert.deepStrictEqual(await resolveTestPaths(['repo']), [
+      'repo/.gitignore',
+      'repo/README.md',
+      'repo/src/app.js',
+      'repo/src/app.test.js',
+      'repo/src/lib/.gitignore',
+      'repo/src/lib/util.js',
+    ])
+  })
+
+  it('finds the files that match glob patterns', async (t) => {
+    t.assert.deepStrictEqual(await resolveTestPaths(['repo/src/**/*.js']), [
+      'repo/src/app.js',
+      'repo/src/app.test.js',
+      'repo/src/lib/util.js',
+    ])
+    t.assert.deepStrictEqual(await resolveTestPaths(['repo/src/*.{js,md}']), [
+      'repo/src/app.js',
+      'repo/src/app.test.js',
+    ])
+    t.assert.deepStrictEqual(await resolveTestPaths(['repo*/*.js']), ['repo-other/notes.js'])
+  })
+
+  it('skips files that match exclude patterns', async (t) => {
+    t.assert.deepStrictEqual(await resolveTestPaths(['repo/src'], ['*.test.js', 'lib/']), ['repo/src/app.js'])
+  })
+
+  it('includes files given by path even when they are ignored, without duplicates', async (t) => {
+    t.assert.deepStrictEqual(await resolveTestPaths(['repo/debug.log', 'repo/src/*.js', 'repo/src/app.js']), [
+      'repo/debug.log*',
+      'repo/src/app.js*',
+      'repo/src/app.test.js',
+    ])
+  })
+
+  it('warns about glob patterns without matches and rejects missing files', async (t) => {
+    const messages = []
+
+    t.assert.deepStrictEqual(
+      await resolveTestPaths(['repo/**/*.py'], [], (message) => {
+        messages.push(message)
+      }),
+      [],
+    )
+    t.assert.deepStrictEqual(messages, [`Warning: No files match '${directory}/repo/**/*.py'`])
+    await t.assert.rejects(resolveTestPaths(['repo/missing.js']), {
+      message: `Failed to read file '${directory}/repo/missing.js'`,
+    })
+  })
+})
@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { createHeyi, GenerationError, ValidationError } from '../src/index.js'
+
+const preset = `
+steps:
+  - name: extract
+    prompt: 'List the topics of {{text}}'
+    format: object
+    schema: 'z.object({ title: z.string(), topics: z.array(z.string()) })'
+  - name: summaries
+    each: extract.topics
+    as: topic
+    prompt: 'Summarize {{topic}} of {{extract.title}}'
+  - name: digest
+    prompt: |-
+      Digest:
+      {{#each summaries}}
+      - {{this}}
+      {{/each}}
+`
+
+let presetPath
+
+before(async () => {
+  const directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-steps-'))
+  presetPath = path.join(directory, 'digest.yaml')
+  await writeFile(presetPath, preset)
+})
+
+after(async () => {
+  await rm(path.dirname(presetPath), { recursive: true, force: true })
+})
+
+/**
+ * Get the text of the last message of a request to the provider.
+ *
+ * @param {object} body - The body of the request
+ * @returns {string} The text of the message
+ */
+const getPromptText = (body) => {
+  const { content } = body.messages.at(-1)
+
+  return typeof content === 'string' ? content : content.map(({ text }) => text ?? '').join('')
+}
+
+/**
+ * Create an instance with a fetch function that answers requests to the provider without sending them.
+ *
+ * @param {(prompt: string) => string|{status: number}} answer - Returns the content of the answer to a prompt or the
+ * status of a failed response
+ * @returns {{heyi: object, prompts: string[]}} The instance and the prompts of all requests
+ */
+const createTestHeyi = (answer) => {
+  const prompts = []
+
+  const fetch = (url, init) => {
+    const body = JSON.parse(init.body)
+    const prompt = getPromptText(body)
+    prompts.push(prompt)
+
+    const content = answer(prompt)
+    if (typeof content === 'object') {
+      return Promise.resolve(Response.json({ error: { message: 'Bad request' } }, { status: content.status }))
+    }
+
+    return Promise.resolve(
+      Response.json({
+        id: 'test',
+        object: 'chat.completion',
+        created: 0,
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      }),
+    )
+  }
+
+  const heyi = createHeyi({
+    provider: 'openai-compatible',
+    baseUrl: 'https://provider.test/v1',
+    apiKey: 'test',
+    fetch,
+    defaults: { model: 'test-model', retries: 0 },
+  })
+
+  return { heyi, prompts }
+}
+
+/**
+ * Answer the prompts of the preset.
+ *
+ * @param {string} prompt - The prompt of the request
+ * @returns {string} The content of the answer
+ */
+const answerPreset = (prompt) => {
+  if (prompt.startsWith('List')) {
+    return JSON.stringify({ result: { title: 'Cats', topics: ['food', 'sleep'] } })
+  }
+  if (prompt.startsWith('Summarize')) return JSON.stringify({ result: `About ${prompt.split(' ', 2)[1]}` })
+
+  return JSON.stringify({ result: prompt.toUpperCase() })
+}
+
+describe('runPreset with steps', () => {
+  it('passes the results of steps to later steps', async () => {
+    const { heyi, prompts } = createTestHeyi(answerPreset)
+    const steps = []
+
+    const { result, format, usage } = await heyi.runPreset(presetPath, {
+      vars: { text: 'a text about cats' },
+      onStep: (step) => {
+        steps.push(step)
+      },
+    })
+
+    assert.deepEqual(prompts, [
+      'List the topics of a text about cats',
+      'Summarize food of Cats',
+      'Summarize sleep of Cats',
+      'Digest:\n- About food\n- About sleep\n',
+    ])
+    assert.equal(result, 'DIGEST:\n- ABOUT FOOD\n- ABOUT SLEEP\n')
+    assert.equal(format, 'string')
+    assert.equal(usage.requests, 4)
+    assert.equal(usage.inputTokens, 40)
+    assert.equal(usage.model, 'test-model')
+    assert.deepEqual(steps, [
+      { name: 'extract', result: { title: 'Cats', topics: ['food', 'sleep'] }, format: 'object' },
+      { name: 'summaries', result: ['About food', 'About sleep'], format: 'array' },
+      { name: 'digest', result, format: 'string' },
+    ])
+  })
+
+  it('runs only the selected step with the results of earlier steps as variables', async () => {
+    const { heyi, prompts } = createTestHeyi(answerPreset)
+
+    const { result } = await heyi.runPreset(presetPath, {
+      step: 'summaries',
+      vars: { extract: JSON.stringify({ title: 'Dogs', topics: ['walks'] }) },
+    })
+
+    assert.deepEqual(prompts, ['Summarize walks of Dogs'])
+    assert.deepEqual(result, ['About walks'])
+  })
+
+  it('rejects unknown steps', async () => {
+    const { heyi, prompts } = createTestHeyi(answerPreset)
+
+    await assert.rejects(heyi.runPreset(presetPath, { step: 'publish' }), (error) => {
+      assert.ok(error instanceof ValidationError)
+      assert.equal(error.message, "Unknown step 'publish'. Available steps: extract, summaries, digest")
+      return true
+    })
+    assert.deepEqual(prompts, [])
+  })
+
+  it('rejects each of values that are not arrays', async () => {
+    const { heyi } = createTestHeyi(answerPreset)
+
+    await assert.rejects(
+      heyi.runPreset(presetPath, { step: 'summaries', vars: { extract: '{"topics":"food"}' } }),
+      (error) => {
+        assert.ok(error instanceof ValidationError)
+        assert.equal(error.message, "'extract.topics' of step 'summaries' must be an array to use it with each")
+        assert.equal(error.step, 'summaries')
+        return true
+      },
+    )
+  })
+
+  it('reports the step that failed', async () => {
+    const { heyi, prompts } = createTestHeyi((prompt) => {
+      return prompt.startsWith('Summarize') ? { status: 400 } : answerPreset(prompt)
+    })
+
+    await assert.rejects(heyi.runPreset(presetPath, { vars: { text: 'cats' } }), (error) => {
+      assert.ok(error instanceof GenerationError)
+      assert.equal(error.step, 'summaries')
+      return true
+    })
+    assert.equal(prompts.length, 2)
+  })
+})
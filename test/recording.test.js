@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { createRecorder, getRecordingsPath } from '../src/utils/recording.js'
+
+const pdfData = new Uint8Array([37, 80, 68, 70, 0, 255])
+
+let directory
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-recording-'))
+})
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+/**
+ * Answer requests like a provider and a website.
+ *
+ * @param {string|URL} input - The URL of the request
+ * @param {object} [init] - The options of the request
+ * @returns {Promise<Response>} The response
+ */
+const answerRequest = (input, init = {}) => {
+  const url = String(input)
+
+  if (init.body) return Promise.resolve(Response.json({ answer: JSON.parse(init.body).messages }))
+  if (url.endsWith('.pdf')) {
+    return Promise.resolve(new Response(pdfData, { headers: { 'content-type': 'application/pdf' } }))
+  }
+  if (url.endsWith('/missing')) return Promise.resolve(new Response('Not found', { status: 404 }))
+
+  return Promise.resolve(
+    new Response('<p>Page</p>', { headers: { 'content-type': 'text/html; charset=utf-8', 'x-request-id': '1' } }),
+  )
+}
+
+/**
+ * Send a request to the provider.
+ *
+ * @param {typeof fetch} fetch - The fetch function
+ * @param {string} model - The model of the request
+ * @param {string} message - The message of the request
+ * @returns {Promise<Response>} The response
+ */
+const sendPrompt = (fetch, model, message) => {
+  return fetch('https://provider.test/v1/chat/completions', {
+    method: 'POST',
+    body: JSON.stringify({ model, messages: [message] }),
+  })
+}
+
+describe('getRecordingsPath', () => {
+  it('puts the recordings next to the test file', () => {
+    assert.equal(
+      getRecordingsPath(path.join('presets', 'summarize.test.yaml')),
+      path.join('presets', 'summarize.recordings.json'),
+    )
+    assert.equal(getRecordingsPath('summarize.test.JSON'), 'summarize.recordings.json')
+  })
+})
+
+describe('createRecorder', () => {
+  it('records and replays responses of the provider and of URLs', async (t) => {
+    const sentRequests = t.mock.method(globalThis, 'fetch', answerRequest)
+    const filePath = path.join(directory, 'record.recordings.json')
+
+    const recorder = await createRecorder(filePath, 'record')
+    await sendPrompt(recorder.fetch, 'test-model', 'Hi')
+    await recorder.fetch('https://example.test/page')
+    await recorder.fetch(new URL('https://example.test/file.pdf'))
+    await recorder.fetch('https://example.test/missing')
+    await recorder.save()
+
+    const recordings = JSON.parse(await readFile(filePath, 'utf8'))
+    const records = Object.values(recordings)
+
+    t.assert.strictEqual(sentRequests.mock.callCount(), 4)
+    t.assert.deepStrictEqual(
+      records.toSorted((a, b) => (a.model ?? a.url).localeCompare(b.model ?? b.url)),
+      [
+        {
+          url: 'https://example.test/file.pdf',
+          status: 200,
+          headers: { 'content-type': 'application/pdf' },
+          base64Body: Buffer.from(pdfData).toString('base64'),
+        },
+        {
+          url: 'https://example.test/page',
+          status: 200,
+          headers: { 'content-type': 'text/html; charset=utf-8' },
+          body: '<p>Page</p>',
+        },
+        {
+          model: 'test-model',
+          status: 200,
+          headers: { 'content-type': 'application/json' },
+          body: '{"answer":["Hi"]}',
+        },
+      ],
+    )
+
+    const replayer = await createRecorder(filePath, 'replay')
+    const response = await sendPrompt(replayer.fetch, 'test-model', 'Hi')
+    const page = await replayer.fetch('https://example.test/page')
+    const pdf = await replayer.fetch('https://example.test/file.pdf')
+
+    t.assert.strictEqual(sentRequests.mock.callCount(), 4)
+    t.assert.deepStrictEqual(await response.json(), { answer: ['Hi'] })
+    t.assert.strictEqual(page.headers.get('content-type'), 'text/html; charset=utf-8')
+    t.assert.strictEqual(await page.text(), '<p>Page</p>')
+    t.assert.deepStrictEqual(new Uint8Array(await pdf.arrayBuffer()), pdfData)
+  })
+
+  it('answers requests without recording with a client error', async (t) => {
+    const sentRequests = t.mock.method(globalThis, 'fetch', answerRequest)
+    const recorder = await createRecorder(path.join(directory, 'none.recordings.json'), 'replay')
+
+    const response = await sendPrompt(recorder.fetch, 'test-model', 'Hi')
+    const page = await recorder.fetch('https://example.test/page')
+    const { error } = await response.json()
+
+    t.assert.strictEqual(sentRequests.mock.callCount(), 0)
+    t.assert.strictEqual(response.status, 404)
+    t.assert.strictEqual(
+      error.message,
+      'No recorded response of test-model for this request. Record responses with heyi test --record',
+    )
+    t.assert.strictEqual(page.status, 404)
+    t.assert.strictEqual(
+      page.statusText,
+      'No recorded response of https://example.test/page for this request. Record responses with heyi test --record',
+    )
+  })
+
+  it('sends requests without recording them when live', async (t) => {
+    const sentRequests = t.mock.method(globalThis, 'fetch', answerRequest)
+    const filePath = path.join(directory, 'live.recordings.json')
+
+    const recorder = await createRecorder(filePath, 'live')
+    const response = await sendPrompt(recorder.fetch, 'test-model', 'Hi')
+    await recorder.save()
+
+    t.assert.strictEqual(sentRequests.mock.callCount(), 1)
+    t.assert.deepStrictEqual(await response.json(), { answer: ['Hi'] })
+    await t.assert.rejects(readFile(filePath), { code: 'ENOENT' })
+  })
+
+  it('rejects unknown modes', async () => {
+    await assert.rejects(createRecorder('a.recordings.json', 'mock'), /Unknown recording mode 'mock'/)
+  })
+})
@@ -0,0 +1,183 @@
+import { APICallError } from 'ai'
+import { describe, it } from 'node:test'
+import { generateResult } from '../src/generate.js'
+import { isRetryableError, withRetries } from '../src/utils/retry.js'
+
+/**
+ * Create an error of a failed request to the provider.
+ *
+ * @param {number} statusCode - The status code of the response
+ * @param {object} [responseHeaders] - The headers of the response
+ * @returns {APICallError} The error
+ */
+const createApiError = (statusCode, responseHeaders) => {
+  return new APICallError({
+    message: `Status ${statusCode}`,
+    url: 'https://provider.test/v1/chat/completions',
+    requestBodyValues: {},
+    statusCode,
+    responseHeaders,
+  })
+}
+
+/**
+ * Create a function that fails with the given errors before it returns a result.
+ *
+ * @param {Error[]} errors - The errors of the first calls
+ * @returns {() => Promise<string>} The function
+ */
+const failWith = (errors) => {
+  return () => {
+    const error = errors.shift()
+    return error ? Promise.reject(error) : Promise.resolve('result')
+  }
+}
+
+/**
+ * Answer requests to the provider, failing with a server error for some models.
+ *
+ * @param {string[]} failingModels - The models whose requests fail
+ * @param {string[]} models - Collects the model of every request
+ * @returns {typeof fetch} The fetch function
+ */
+const answerExcept = (failingModels, models) => {
+  return (url, init) => {
+    const { model } = JSON.parse(init.body)
+    models.push(model)
+
+    if (failingModels.includes(model)) {
+      return Promise.resolve(Response.json({ error: { message: 'Overloaded' } }, { status: 503 }))
+    }
+
+    return Promise.resolve(
+      Response.json({
+        id: 'test',
+        object: 'chat.completion',
+        created: 0,
+        model,
+        choices: [
+          { index: 0, message: { role: 'assistant', content: `{"result":"${model}"}` }, finish_reason: 'stop' },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      }),
+    )
+  }
+}
+
+/**
+ * Get the options of a prompt with the test provider.
+ *
+ * @param {typeof fetch} fetch - The fetch function of the provider
+ * @param {string[]} messages - Collects the log messages
+ * @returns {object} The options (see generateResult)
+ */
+const getOptions = (fetch, messages) => {
+  return {
+    model: 'test-model',
+    fallbackModels: ['second-model', 'third-model'],
+    provider: 'openai-compatible',
+    baseUrl: 'https://provider.test/v1',
+    apiKey: 'test',
+    fetch,
+    retries: 0,
+    onLog: (message) => {
+      messages.push(message)
+    },
+  }
+}
+
+describe('isRetryableError', () => {
+  it('retries rate limits, server errors and timeouts', (t) => {
+    t.assert.strictEqual(isRetryableError(createApiError(429)), true)
+    t.assert.strictEqual(isRetryableError(createApiError(500)), true)
+    t.assert.strictEqual(isRetryableError(createApiError(400)), false)
+    t.assert.strictEqual(isRetryableError(createApiError(401)), false)
+    t.assert.strictEqual(isRetryableError(new DOMException('Timed out', 'TimeoutError')), true)
+    t.assert.strictEqual(
+      isRetryableError(new Error('Timed out', { cause: new DOMException('Timed out', 'TimeoutError') })),
+      true,
+    )
+    t.assert.strictEqual(isRetryableError(new Error('Invalid')), false)
+  })
+})
+
+describe('withRetries', () => {
+  it('retries temporary errors with exponential backoff', async (t) => {
+    t.mock.method(Math, 'random', () => 0)
+    const messages = []
+
+    const result = await withRetries(failWith([createApiError(500), createApiError(429)]), {
+      retries: 2,
+      label: 'Request to test-model',
+      onLog: (message) => {
+        messages.push(message)
+      },
+    })
+
+    t.assert.strictEqual(result, 'result')
+    t.assert.deepStrictEqual(messages, [
+      'Request to test-model failed: Status 500. Retrying in 0.5s (retry 1 of 2)',
+      'Request to test-model failed: Status 429. Retrying in 1.0s (retry 2 of 2)',
+    ])
+  })
+
+  it('waits as long as the provider asks', async (t) => {
+    const controller = new AbortController()
+    const messages = []
+
+    // Aborting stops waiting, so the test doesn't wait for the retry
+    const retrying = withRetries(failWith([createApiError(429, { 'retry-after': '30' })]), {
+      retries: 1,
+      signal: controller.signal,
+      onLog: (message) => {
+        messages.push(message)
+        controller.abort()
+      },
+    })
+
+    await t.assert.rejects(retrying, { name: 'AbortError' })
+    t.assert.deepStrictEqual(messages, ['Request failed: Status 429. Retrying in 30.0s (retry 1 of 1)'])
+  })
+
+  it('throws errors that are not temporary or of the last retry', async (t) => {
+    const calls = t.mock.fn(failWith([createApiError(401)]))
+
+    await t.assert.rejects(withRetries(calls, { retries: 2 }), { message: 'Status 401' })
+    t.assert.strictEqual(calls.mock.callCount(), 1)
+
+    await t.assert.rejects(withRetries(failWith([createApiError(500)])), { message: 'Status 500' })
+  })
+
+  it('does not retry when aborted', async (t) => {
+    const controller = new AbortController()
+    controller.abort()
+    const calls = t.mock.fn(failWith([createApiError(500)]))
+
+    await t.assert.rejects(withRetries(calls, { retries: 2, signal: controller.signal }), { message: 'Status 500' })
+    t.assert.strictEqual(calls.mock.callCount(), 1)
+  })
+})
+
+describe('generateResult with fallback models', () => {
+  it('falls back to the next model when a model fails', async (t) => {
+    const models = []
+    const messages = []
+
+    const result = await generateResult('Hi', getOptions(answerExcept(['test-model'], models), messages))
+
+    t.assert.strictEqual(result, 'second-model')
+    t.assert.deepStrictEqual(models, ['test-model', 'second-model'])
+    t.assert.deepStrictEqual(messages, [
+      'test-model failed: Overloaded. Falling back to second-model',
+      'Answered by second-model',
+    ])
+  })
+
+  it('throws the error of the last model when all models fail', async (t) => {
+    const models = []
+    const fetch = answerExcept(['test-model', 'second-model', 'third-model'], models)
+
+    await t.assert.rejects(generateResult('Hi', getOptions(fetch, [])), { statusCode: 503 })
+    t.assert.deepStrictEqual(models, ['test-model', 'second-model', 'third-model'])
+  })
+})
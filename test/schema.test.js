@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getFormatSchema, parseSchema } from '../src/utils/schema.js'
+
+const personJsonSchema = {
+  type: 'object',
+  properties: { name: { type: 'string' }, age: { type: 'integer' } },
+  required: ['name'],
+}
+
+describe('parseSchema', () => {
+  it('parses allowed factories with arguments', () => {
+    const schema = parseSchema(
+      `z.object({
+        name: z.string(),
+        'full name': z.string().optional(),
+        age: z.number().int().min(0),
+        tags: z.array(z.enum(['a', 'b'])),
+        kind: z.union([z.literal('x'), z.literal(true), z.null()]),
+        meta: z.record(z.string(), z.number()),
+      })`,
+    )
+
+    assert.deepEqual(schema.parse({ name: 'Ada', age: 36, tags: ['a'], kind: true, meta: { x: 1 } }), {
+      name: 'Ada',
+      age: 36,
+      tags: ['a'],
+      kind: true,
+      meta: { x: 1 },
+    })
+    assert.equal(schema.safeParse({ name: 'Ada', age: -1, tags: [], kind: 'x', meta: {} }).success, false)
+    assert.equal(schema.safeParse({ name: 'Ada', age: 1, tags: ['c'], kind: 'x', meta: {} }).success, false)
+  })
+
+  it('parses allowed methods', () => {
+    assert.equal(parseSchema('z.string().trim().toUpperCase().default("none")').parse('  hi '), 'HI')
+    assert.equal(parseSchema('z.string().default("none")').parse(), 'none')
+    assert.equal(parseSchema('z.number().nullish()').parse(null), null)
+    assert.equal(parseSchema('z.string().or(z.number())').parse(1), 1)
+    assert.deepEqual(parseSchema('z.string().array().nonempty()').parse(['a']), ['a'])
+    assert.equal(parseSchema('z.string().describe("A name")').description, 'A name')
+  })
+
+  it('allows trailing commas, escapes and numbers', () => {
+    const schema = parseSchema(String.raw`z.object({ a: z.literal("say \"hi\"\n"), b: z.literal(-1.5e2), },)`)
+
+    assert.deepEqual(schema.parse({ a: 'say "hi"\n', b: -150 }), { a: 'say "hi"\n', b: -150 })
+  })
+
+  it('rejects functions that are not allowed', () => {
+    assert.throws(() => parseSchema('z.custom()'), /Unsupported function 'z\.custom'/)
+    assert.throws(() => parseSchema('z.constructor("return 1")'), /Unsupported function 'z\.constructor'/)
+  })
+
+  it('rejects methods that are not allowed', () => {
+    assert.throws(() => parseSchema('z.string().constructor("return 1")'), /Unsupported method '\.constructor\(\)'/)
+    assert.throws(() => parseSchema('z.string().transform(z.string())'), /Unsupported method '\.transform\(\)'/)
+    assert.throws(() => parseSchema('z.string().refine(z.string())'), /Unsupported method '\.refine\(\)'/)
+  })
+
+  it('rejects arrow functions', () => {
+    assert.throws(() => parseSchema('z.string().default(() => "x")'), /Unexpected character '='/)
+    assert.throws(() => parseSchema('z.string().default(x => "x")'), /column 22: Unexpected character '='/)
+    assert.throws(() => parseSchema('z.string().default(x)'), /Unknown identifier 'x'/)
+  })
+
+  it('rejects computed access', () => {
+    assert.throws(() => parseSchema('z["string"]()'), /Expected '\.' but found '\['/)
+    assert.throws(() => parseSchema('z.string()["optional"]()'), /Expected end of schema but found '\['/)
+  })
+
+  it('rejects code that is not a schema', () => {
+    assert.throws(() => parseSchema('process.exit(1)'), /Expected schema starting with 'z\.' but found 'process'/)
+    assert.throws(() => parseSchema('z.string(); process.exit(1)'), /Unexpected character ';'/)
+    assert.throws(() => parseSchema('z.string() + 1'), /Unexpected character '\+'/)
+    assert.throws(() => parseSchema('z.literal(`x`)'), /Unexpected character '`'/)
+  })
+
+  it('points to the position of the problem', () => {
+    assert.throws(
+      () => parseSchema('z.object({\n  name: z.strin(),\n})'),
+      (error) => {
+        assert.equal(
+          error.message,
+          "Invalid schema at line 2, column 11: Unsupported function 'z.strin'\n\n    name: z.strin(),\n            ^",
+        )
+        return true
+      },
+    )
+    assert.throws(() => parseSchema('z.literal("x)'), /line 1, column 11: Unterminated string/)
+    assert.throws(
+      () => parseSchema('z.object({ a: z.string() '),
+      /line 1, column 26: Expected '}' but found end of schema/,
+    )
+  })
+
+  it('reports invalid arguments', () => {
+    assert.throws(() => parseSchema('z.enum(null)'), /line 1, column 1: Invalid arguments for z\.enum\(\)/)
+  })
+
+  it('requires a schema', () => {
+    assert.throws(() => parseSchema(''), /A schema is required/)
+    assert.throws(() => parseSchema(), /A schema is required/)
+  })
+
+  it('parses JSON Schemas as object', () => {
+    const schema = parseSchema(personJsonSchema)
+
+    assert.deepEqual(schema.parse({ name: 'Ada', age: 36 }), { name: 'Ada', age: 36 })
+    assert.equal(schema.safeParse({ age: 36 }).success, false)
+    assert.equal(schema.safeParse({ name: 'Ada', age: 1.5 }).success, false)
+  })
+
+  it('parses JSON Schemas as string', () => {
+    const schema = parseSchema(`  ${JSON.stringify(personJsonSchema)}`)
+
+    assert.deepEqual(schema.parse({ name: 'Ada', age: 36 }), { name: 'Ada', age: 36 })
+    assert.equal(schema.safeParse({ age: 36 }).success, false)
+  })
+
+  it('points to the position of invalid JSON', () => {
+    assert.throws(() => parseSchema('{\n  "type": "string",\n}'), /^Error: Invalid schema at line 3, column 1/)
+  })
+
+  it('rejects invalid JSON Schemas', () => {
+    assert.throws(() => parseSchema({ type: 'nope' }), /^Error: Invalid JSON Schema/)
+  })
+})
+
+describe('getFormatSchema', () => {
+  it('wraps the result of each format', () => {
+    assert.deepEqual(getFormatSchema('string').parse({ result: 'a' }), { result: 'a' })
+    assert.deepEqual(getFormatSchema('enum', undefined, ['a', 'b']).parse({ result: 'b' }), { result: 'b' })
+    assert.equal(getFormatSchema('enum', undefined, ['a', 'b']).safeParse({ result: 'c' }).success, false)
+    assert.deepEqual(getFormatSchema('array', 'z.number()').parse({ result: [1, 2] }), { result: [1, 2] })
+    assert.throws(() => getFormatSchema('xml'), /unknown format 'xml'/)
+  })
+})
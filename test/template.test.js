@@ -0,0 +1,228 @@
+import assert from 'node:assert/strict'
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { loadPreset } from '../src/utils/preset.js'
+import { findTemplateVariables, renderTemplate } from '../src/utils/template.js'
+import { findMissingVariables, readVariableSources } from '../src/utils/variables.js'
+
+let directory
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-template-'))
+  await mkdir(path.join(directory, 'preset', 'docs'), { recursive: true })
+  await writeFile(path.join(directory, 'preset', 'docs', 'guide.md'), 'Guide')
+  await writeFile(path.join(directory, 'secret.txt'), 'Secret')
+  await symlink(path.join(directory, 'secret.txt'), path.join(directory, 'preset', 'link.txt'))
+})
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+/**
+ * Write a preset whose variable reads its value from a file.
+ *
+ * @param {string} filePath - The file of the variable relative to the preset
+ * @returns {Promise<string>} Path to the preset
+ */
+const writeFilePreset = async (filePath) => {
+  const presetPath = path.join(directory, 'preset', 'file.json')
+  await writeFile(presetPath, JSON.stringify({ prompt: '{{guide}}', variables: { guide: { file: filePath } } }))
+
+  return presetPath
+}
+
+describe('renderTemplate', () => {
+  it('replaces variables and keeps variables that are not provided', () => {
+    assert.equal(renderTemplate('Translate {{ text }} to {{language}}', { text: 'Hi' }), 'Translate Hi to {{language}}')
+  })
+
+  it('uses defaults and filters', () => {
+    assert.equal(renderTemplate(`{{tone default='friendly' | upper}}`), 'FRIENDLY')
+    assert.equal(renderTemplate('{{tone default="friendly"}}', { tone: 'formal' }), 'formal')
+    assert.equal(renderTemplate('{{code | trim | indent 4}}', { code: '\na\n\nb\n' }), '    a\n\n    b')
+    assert.equal(renderTemplate('{{text | json}}', { text: 'say "hi"' }), String.raw`"say \"hi\""`)
+  })
+
+  it('reads fields of JSON variables', () => {
+    assert.equal(renderTemplate('{{user.name}} {{user.tags}}', { user: '{"name":"Ada","tags":["a"]}' }), 'Ada ["a"]')
+    assert.equal(renderTemplate('{{user.age}}', { user: '{"name":"Ada"}' }), '{{user.age}}')
+    assert.throws(() => renderTemplate('{{user.name}}', { user: 'Ada' }), /Variable 'user' must be JSON/)
+  })
+
+  it('only reads own properties', () => {
+    assert.equal(
+      renderTemplate('{{constructor}} {{user.constructor}}', { user: '{}' }),
+      '{{constructor}} {{user.constructor}}',
+    )
+  })
+
+  it('reads environment variables when allowed', () => {
+    const options = { allowEnv: true }
+
+    assert.equal(renderTemplate('{{env.PATH}}', {}, options), process.env.PATH)
+    assert.equal(renderTemplate('{{env.HEYI_TEST_MISSING default="y"}}', {}, options), 'y')
+    assert.throws(
+      () => renderTemplate('{{env.HEYI_TEST_MISSING}}', {}, options),
+      /Environment variable 'HEYI_TEST_MISSING'/,
+    )
+    assert.throws(
+      () => renderTemplate('{{#if env.PATH}}a{{/if}}'),
+      /^Error: \{\{env\.PATH\}\} reads the environment variable 'PATH', which requires --allow-var-env$/,
+    )
+  })
+
+  it('renders the branch of conditions', () => {
+    const template = '{{#if examples}}Examples: {{examples}}{{else}}No examples{{/if}}'
+
+    assert.equal(renderTemplate(template, { examples: 'a' }), 'Examples: a')
+    assert.equal(renderTemplate(template), 'No examples')
+    assert.deepEqual(
+      ['', 'false', '0', '[]', '{}', ' '].map((examples) => renderTemplate(template, { examples })),
+      Array.from({ length: 6 }, () => 'No examples'),
+    )
+  })
+
+  it('removes the lines of block tags', () => {
+    const template = 'Start\n{{#if a}}\nA\n{{else}}\nB\n{{/if}}\nEnd'
+
+    assert.equal(renderTemplate(template, { a: 'true' }), 'Start\nA\nEnd')
+    assert.equal(renderTemplate(template), 'Start\nB\nEnd')
+  })
+
+  it('renders loops over JSON arrays', () => {
+    const template = '{{#each items}}\n{{@index}}. {{this.name}} ({{language}})\n{{/each}}'
+
+    assert.equal(
+      renderTemplate(template, { items: '[{"name":"a"},{"name":"b"}]', language: 'en' }),
+      '0. a (en)\n1. b (en)\n',
+    )
+    assert.equal(renderTemplate(template), '')
+    assert.throws(() => renderTemplate(template, { items: '{}' }), /Variable 'items' must be a JSON array/)
+    assert.throws(() => renderTemplate(template, { items: '[' }), /Variable 'items' must be a JSON array/)
+  })
+
+  it('renders nested blocks', () => {
+    const template = '{{#each items}}{{#if this.done}}[x]{{else}}[ ]{{/if}} {{this.name}};{{/each}}'
+
+    assert.equal(
+      renderTemplate(template, { items: '[{"name":"a","done":true},{"name":"b","done":false}]' }),
+      '[x] a;[ ] b;',
+    )
+  })
+
+  it('keeps invalid tags as text', () => {
+    assert.equal(renderTemplate('{{name | unknown}} {{name}}', { name: 'a' }), '{{name | unknown}} a')
+    assert.equal(renderTemplate('{{ 1 + 2 }} {{}} {{/if}} {{else}}'), '{{ 1 + 2 }} {{}} {{/if}} {{else}}')
+    assert.equal(renderTemplate('{{#if a}}\n{{a}}\n{{else}}\nb', { a: 'x' }), '{{#if a}}\nx\n{{else}}\nb')
+    assert.equal(renderTemplate('{{#each a}}{{/if}}'), '{{#each a}}{{/if}}')
+  })
+
+  it('keeps escaped tags as text without the backslash', () => {
+    assert.equal(renderTemplate(String.raw`\{{name}} {{name}} \{{#if name}}`, { name: 'a' }), '{{name}} a {{#if name}}')
+  })
+})
+
+describe('findTemplateVariables', () => {
+  it('finds variables in the order of their first use', () => {
+    assert.deepEqual(
+      findTemplateVariables([
+        `{{text description="The text"}} {{tone default='friendly'}} {{user.name}}`,
+        '{{text}} {{env.HOME}} {{language description="Ignored"}} {{language}}',
+      ]),
+      [
+        { name: 'text', description: 'The text', default: undefined, optional: false },
+        { name: 'tone', description: null, default: 'friendly', optional: true },
+        { name: 'user', description: null, default: undefined, optional: false },
+        { name: 'language', description: 'Ignored', default: undefined, optional: false },
+      ],
+    )
+  })
+
+  it('makes variables that are only used in conditions optional', () => {
+    assert.deepEqual(findTemplateVariables('{{#if examples}}Examples{{/if}}'), [
+      { name: 'examples', description: null, optional: true },
+    ])
+    assert.deepEqual(findTemplateVariables('{{#if examples}}{{examples}}{{/if}}'), [
+      { name: 'examples', description: null, optional: false },
+    ])
+  })
+
+  it('visits all branches without variables and the rendered branch with variables', () => {
+    const template = '{{#if detailed}}{{details}}{{else}}{{summary}}{{/if}}'
+    const names = (variables) => findTemplateVariables(template, variables).map(({ name }) => name)
+
+    assert.deepEqual(names(), ['detailed', 'details', 'summary'])
+    assert.deepEqual(names({}), ['detailed', 'summary'])
+    assert.deepEqual(names({ detailed: 'true' }), ['detailed', 'details'])
+    assert.deepEqual(
+      findTemplateVariables('{{#if env.CI}}{{a}}{{else}}{{b}}{{/if}}', {}).map(({ name }) => name),
+      ['a', 'b'],
+    )
+  })
+
+  it('finds the array of loops but not the item and index', () => {
+    assert.deepEqual(findTemplateVariables('{{#each items}}{{@index}} {{this.name}} {{language}}{{/each}}'), [
+      { name: 'items', description: null, optional: false },
+      { name: 'language', description: null, default: undefined, optional: false },
+    ])
+  })
+
+  it('ignores invalid and escaped tags', () => {
+    assert.deepEqual(findTemplateVariables(String.raw`{{name | unknown}} \{{other}}`), [])
+  })
+})
+
+describe('findMissingVariables', () => {
+  it('reports variables that are required and not provided', () => {
+    const prompt = [
+      '{{text}} {{tone default="friendly"}} {{#if examples}}{{examples}}{{/if}}',
+      '{{#if detailed}}{{details}}{{else}}{{summary}}{{/if}} {{#each items}}{{this}}{{/each}}',
+    ]
+
+    assert.deepEqual(
+      findMissingVariables(prompt, { text: 'a' }).map(({ name }) => name),
+      ['summary', 'items'],
+    )
+    assert.deepEqual(
+      findMissingVariables(prompt, { detailed: 'yes', examples: 'true', items: '[]' }).map(({ name }) => name),
+      ['text', 'details'],
+    )
+  })
+
+  it('reports declared variables that are required', () => {
+    assert.deepEqual(findMissingVariables('{{text}}', {}, { language: { required: true, description: 'Language' } }), [
+      { name: 'language', description: 'Language' },
+      { name: 'text', description: null },
+    ])
+  })
+})
+
+describe('readVariableSources', () => {
+  it('reads environment variables only when allowed', async () => {
+    const definitions = { path: { env: 'PATH' } }
+
+    assert.deepEqual(await readVariableSources({}, definitions, { allowEnv: true }), { path: process.env.PATH })
+    assert.deepEqual(await readVariableSources({ path: '/bin' }, definitions), { path: '/bin' })
+    await assert.rejects(
+      readVariableSources({}, definitions),
+      /^Error: Variable 'path' reads the environment variable 'PATH', which requires --allow-var-env$/,
+    )
+  })
+
+  it('reads files of presets only in the directory of the preset', async () => {
+    const preset = await loadPreset(await writeFilePreset('docs/guide.md'))
+
+    assert.deepEqual(await readVariableSources({}, preset.variables), { guide: 'Guide' })
+    await assert.rejects(
+      loadPreset(await writeFilePreset('../secret.txt')),
+      /File '\.\.\/secret\.txt' of variable 'guide' must be in the directory of the preset/,
+    )
+    await assert.rejects(
+      loadPreset(await writeFilePreset('link.txt')),
+      /File 'link\.txt' of variable 'guide' must be in the directory of the preset/,
+    )
+  })
+})
@@ -0,0 +1,200 @@
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { createHeyi } from '../src/index.js'
+import { createRecorder, getRecordingsPath } from '../src/utils/recording.js'
+import { findTestFiles, runTestFile } from '../src/utils/testing.js'
+
+const fixtures = path.join(import.meta.dirname, 'fixtures')
+const testFilePath = path.join(fixtures, 'review.test.yaml')
+
+let directory
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-testing-'))
+})
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+/**
+ * Create an instance like the one of heyi test with the given fetch function.
+ *
+ * @param {typeof fetch} fetch - The function that sends the requests to the provider
+ * @returns {object} The instance (see createHeyi)
+ */
+const createTestHeyi = (fetch) => {
+  return createHeyi({ provider: 'openai-compatible', baseUrl: 'https://provider.test/v1', apiKey: 'test', fetch })
+}
+
+/**
+ * Answer requests to the provider with the same content.
+ *
+ * @param {object} content - The JSON content of the answers
+ * @returns {typeof fetch} The fetch function
+ */
+const answerWith = (content) => {
+  return (url, init) => {
+    const { model } = JSON.parse(init.body)
+
+    return Promise.resolve(
+      Response.json({
+        id: 'test',
+        object: 'chat.completion',
+        created: 0,
+        model,
+        choices: [
+          { index: 0, message: { role: 'assistant', content: JSON.stringify(content) }, finish_reason: 'stop' },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      }),
+    )
+  }
+}
+
+/**
+ * Write a test file of the review preset of the fixtures.
+ *
+ * @param {string} name - Name of the test file
+ * @param {object[]} cases - The test cases
+ * @returns {Promise<string>} Path to the test file
+ */
+const writeTestFile = async (name, cases) => {
+  const filePath = path.join(directory, name)
+  await writeFile(filePath, JSON.stringify({ preset: path.join(fixtures, 'review.yaml'), cases }))
+
+  return filePath
+}
+
+describe('findTestFiles', () => {
+  it('finds the test files of directories and presets', async () => {
+    assert.deepEqual(await findTestFiles([fixtures]), [testFilePath])
+    assert.deepEqual(await findTestFiles([path.join(fixtures, 'review.yaml')]), [testFilePath])
+    await assert.rejects(findTestFiles([path.join(fixtures, 'review.recordings.json')]), /has no test file/)
+  })
+})
+
+describe('runTestFile', () => {
+  it('passes the sample test file with its recorded responses', async () => {
+    const recorder = await createRecorder(getRecordingsPath(testFilePath), 'replay')
+    const outcomes = []
+
+    await runTestFile(testFilePath, {
+      heyi: createTestHeyi(recorder.fetch),
+      onCase: (outcome) => {
+        outcomes.push(outcome)
+      },
+    })
+
+    assert.deepEqual(outcomes, [
+      {
+        name: 'positive review',
+        passed: true,
+        result: { sentiment: 'positive', score: 4, summary: 'Great sound with a flimsy case' },
+        format: 'object',
+        failures: [],
+      },
+      {
+        name: 'negative review',
+        passed: true,
+        result: { sentiment: 'negative', score: 1, summary: 'Broke after a week' },
+        format: 'object',
+        failures: [],
+      },
+    ])
+  })
+
+  it('fails runs without recorded response', async () => {
+    const recorder = await createRecorder(getRecordingsPath(testFilePath), 'replay')
+    const filePath = await writeTestFile('missing.test.json', [
+      { name: 'new review', vars: { product: 'Lamp', review: 'Too dim.' }, assert: [{ type: 'schema' }] },
+    ])
+
+    const [outcome] = await runTestFile(filePath, { heyi: createTestHeyi(recorder.fetch) })
+
+    assert.equal(outcome.passed, false)
+    assert.equal(outcome.failures.length, 1)
+    assert.match(
+      outcome.failures[0],
+      /^Run failed: .*No recorded response of test-model for this request\. Record responses with heyi test --record$/,
+    )
+  })
+
+  it('reports why assertions failed', async () => {
+    const filePath = await writeTestFile('failing.test.json', [
+      {
+        name: 'failing review',
+        vars: { product: 'Lamp', review: 'Too dim.' },
+        assert: [
+          { type: 'schema', path: 'summary', value: 'z.number()' },
+          { type: 'equals', path: 'sentiment', value: 'positive' },
+          { type: 'contains', path: 'summary', value: 'bright' },
+          { type: 'notContains', path: 'summary', value: 'DIM', ignoreCase: true },
+          { type: 'regex', path: 'summary', value: '^bright', flags: 'i' },
+          { type: 'range', path: 'score', min: 3 },
+          { type: 'range', path: 'summary', max: 5 },
+          { type: 'regex', value: '(' },
+        ],
+      },
+    ])
+
+    const [outcome] = await runTestFile(filePath, {
+      heyi: createTestHeyi(answerWith({ result: { sentiment: 'negative', score: 1, summary: 'Too dim' } })),
+    })
+
+    assert.equal(outcome.passed, false)
+    assert.deepEqual(outcome.failures, [
+      "Expected 'summary' to match the schema:\n✖ Invalid input: expected number, received string",
+      'Expected \'sentiment\' to equal "positive", got "negative"',
+      "Expected 'summary' to contain 'bright'",
+      "Expected 'summary' not to contain 'DIM'",
+      "Expected 'summary' to match /^bright/i",
+      "Expected 'score' to be between 3 and Infinity, got 1",
+      'Expected \'summary\' to be a number, got "Too dim"',
+      'Assertion regex failed: Invalid regular expression: /(/: Unterminated group',
+    ])
+  })
+
+  it('checks results against the schema of the preset', async () => {
+    const filePath = await writeTestFile('schema.test.json', [
+      { name: 'valid result', vars: { product: 'Lamp', review: 'Too dim.' }, assert: [{ type: 'schema' }] },
+    ])
+
+    const [outcome] = await runTestFile(filePath, {
+      heyi: createTestHeyi(answerWith({ result: { sentiment: 'negative', score: 1, summary: 'Too dim' } })),
+    })
+
+    assert.deepEqual(outcome.failures, [])
+  })
+
+  it('grades results with a rubric', async () => {
+    const filePath = await writeTestFile('rubric.test.json', [
+      {
+        name: 'rubric',
+        vars: { product: 'Lamp', review: 'Too dim.' },
+        assert: [{ type: 'rubric', value: 'Mentions the brightness' }],
+      },
+    ])
+
+    // The answer is both the result of the preset and the grade of the rubric
+    const [outcome] = await runTestFile(filePath, {
+      heyi: createTestHeyi(
+        answerWith({ result: { sentiment: 'negative', score: 1, summary: 'Too dim', pass: false, reason: 'No' } }),
+      ),
+    })
+
+    assert.deepEqual(outcome.failures, ["Expected the result to meet the rubric 'Mentions the brightness': No"])
+  })
+
+  it('rejects invalid test files', async () => {
+    const filePath = await writeTestFile('invalid.test.json', [{ name: 'no assertions', assert: [] }])
+
+    await assert.rejects(runTestFile(filePath, { heyi: createTestHeyi(answerWith({})) }), (error) => {
+      assert.equal(error.message, `Error while parsing test file '${filePath}'`)
+      return true
+    })
+  })
+})
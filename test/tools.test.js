@@ -0,0 +1,229 @@
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { generateResult, streamPrompt } from '../src/generate.js'
+import { createTools } from '../src/utils/tools.js'
+
+const toolCall = { id: 'call-1', type: 'function', function: { name: 'list_directory', arguments: '{"path":"docs"}' } }
+
+let directory
+let allowedDirectory
+
+before(async () => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'heyi-tools-'))
+  allowedDirectory = path.join(directory, 'project')
+
+  await mkdir(path.join(allowedDirectory, 'docs'), { recursive: true })
+  await mkdir(path.join(directory, 'project-other'))
+  await writeFile(path.join(allowedDirectory, 'docs', 'guide.md'), 'Guide')
+  await writeFile(path.join(allowedDirectory, '.env'), 'TOKEN=secret')
+  await writeFile(path.join(allowedDirectory, '.gitignore'), 'build.log\n')
+  await writeFile(path.join(allowedDirectory, 'build.log'), 'Log')
+  await writeFile(path.join(directory, 'secret.txt'), 'Secret')
+  await writeFile(path.join(directory, 'project-other', 'notes.txt'), 'Notes')
+  await symlink(path.join(directory, 'secret.txt'), path.join(allowedDirectory, 'link.txt'))
+  await symlink(path.join(allowedDirectory, 'docs', 'guide.md'), path.join(allowedDirectory, 'guide-link.md'))
+})
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true })
+})
+
+/**
+ * Read a file with the read_file tool of the allowed directory.
+ *
+ * @param {string} filePath - The path given by the model
+ * @returns {Promise<string>} The content of the file
+ */
+const readFileTool = (filePath) => {
+  const tools = createTools({ tools: ['read_file'], directory: allowedDirectory })
+
+  return tools.read_file.execute({ path: filePath })
+}
+
+describe('read_file', () => {
+  it('reads files in the allowed directory', async (t) => {
+    t.assert.strictEqual(await readFileTool('docs/guide.md'), 'Guide')
+    t.assert.strictEqual(await readFileTool(path.join(allowedDirectory, 'docs', 'guide.md')), 'Guide')
+    t.assert.strictEqual(await readFileTool('guide-link.md'), 'Guide')
+  })
+
+  it('denies paths outside of the allowed directory', async (t) => {
+    const denied = `Only paths in '${allowedDirectory}' are allowed.`
+
+    await t.assert.rejects(readFileTool('../secret.txt'), { message: `Access to '../secret.txt' denied. ${denied}` })
+    await t.assert.rejects(readFileTool(path.join(directory, 'secret.txt')), { message: new RegExp(denied) })
+    await t.assert.rejects(readFileTool('../project-other/notes.txt'), { message: new RegExp(denied) })
+  })
+
+  it('denies symbolic links that point outside of the allowed directory', async (t) => {
+    await t.assert.rejects(readFileTool('link.txt'), {
+      message: `Access to 'link.txt' denied. Only paths in '${allowedDirectory}' are allowed.`,
+    })
+  })
+
+  it('denies hidden and ignored files', async (t) => {
+    await t.assert.rejects(readFileTool('.env'), {
+      message: "Access to '.env' denied. Hidden and ignored files can't be read.",
+    })
+    await t.assert.rejects(readFileTool('build.log'), {
+      message: "Access to 'build.log' denied. Hidden and ignored files can't be read.",
+    })
+  })
+
+  it('reports missing files', async (t) => {
+    await t.assert.rejects(readFileTool('missing.md'), { message: "Path 'missing.md' not found" })
+  })
+})
+
+describe('list_directory', () => {
+  it('lists directories without hidden and ignored files', async (t) => {
+    const tools = createTools({ tools: ['list_directory'], directory: allowedDirectory })
+
+    t.assert.strictEqual(await tools.list_directory.execute({ path: '.' }), 'docs/\nguide-link.md\nlink.txt')
+    await t.assert.rejects(tools.list_directory.execute({ path: '..' }), {
+      message: `Access to '..' denied. Only paths in '${allowedDirectory}' are allowed.`,
+    })
+  })
+})
+
+/**
+ * Create a fetch function that answers like a provider whose model lists a directory before it answers.
+ *
+ * @param {object} options - Configuration options
+ * @param {string[]} [options.answers] - The contents of the answers after the tool call, the last one is repeated
+ * @param {number} [options.failures] - Number of requests after the tool call that fail with a server error
+ * @returns {{fetch: typeof fetch, requests: object[]}} The fetch function and the bodies of all requests
+ */
+const createAgentFetch = ({ answers = ['{"result":"Guide"}'], failures = 0 } = {}) => {
+  const requests = []
+
+  const fetch = (url, init) => {
+    const body = JSON.parse(init.body)
+    requests.push(body)
+
+    const calledTool = body.messages.some(({ role }) => role === 'tool')
+    if (calledTool && failures-- > 0) {
+      return Promise.resolve(Response.json({ error: { message: 'Overloaded' } }, { status: 500 }))
+    }
+
+    const message = calledTool
+      ? { role: 'assistant', content: answers.length > 1 ? answers.shift() : answers[0] }
+      : { role: 'assistant', content: null, tool_calls: [toolCall] }
+    if (body.stream) {
+      const delta = calledTool ? message : { role: 'assistant', tool_calls: [{ index: 0, ...toolCall }] }
+      const chunks = [
+        { choices: [{ index: 0, delta, finish_reason: null }] },
+        { choices: [{ index: 0, delta: {}, finish_reason: calledTool ? 'stop' : 'tool_calls' }] },
+      ]
+
+      return Promise.resolve(
+        new Response(`${chunks.map((chunk) => `data: ${JSON.stringify(chunk)}\n\n`).join('')}data: [DONE]\n\n`, {
+          headers: { 'content-type': 'text/event-stream' },
+        }),
+      )
+    }
+
+    return Promise.resolve(
+      Response.json({
+        id: 'test',
+        object: 'chat.completion',
+        created: 0,
+        model: body.model,
+        choices: [{ index: 0, message, finish_reason: calledTool ? 'stop' : 'tool_calls' }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      }),
+    )
+  }
+
+  return { fetch, requests }
+}
+
+/**
+ * Get the options of an agent run with the test provider.
+ *
+ * @param {typeof fetch} fetch - The fetch function of the provider
+ * @param {string[]} toolCalls - Collects the log messages of the tool calls
+ * @returns {object} The options (see generateResult)
+ */
+const getAgentOptions = (fetch, toolCalls) => {
+  return {
+    model: 'test-model',
+    provider: 'openai-compatible',
+    baseUrl: 'https://provider.test/v1',
+    apiKey: 'test',
+    fetch,
+    tools: createTools({
+      tools: ['list_directory'],
+      directory: allowedDirectory,
+      onLog: (message) => {
+        toolCalls.push(message)
+      },
+    }),
+  }
+}
+
+describe('agent mode', () => {
+  it('retries failed requests without calling the tools again', async (t) => {
+    const { fetch, requests } = createAgentFetch({ failures: 1 })
+    const toolCalls = []
+
+    const result = await generateResult('Read the guide', { ...getAgentOptions(fetch, toolCalls), retries: 1 })
+
+    t.assert.strictEqual(result, 'Guide')
+    t.assert.strictEqual(requests.length, 3)
+    t.assert.deepStrictEqual(toolCalls, ['Tool list_directory {"path":"docs"}'])
+  })
+
+  it('corrects responses that do not match the format with the results of the tools', async (t) => {
+    const { fetch, requests } = createAgentFetch({ answers: ['{"result":"many"}', '{"result":1}'] })
+    const toolCalls = []
+
+    const result = await generateResult('Count the guides', { ...getAgentOptions(fetch, toolCalls), format: 'number' })
+
+    t.assert.strictEqual(result, 1)
+    t.assert.deepStrictEqual(
+      requests.map(({ messages }) => messages.map(({ role }) => role).join(',')),
+      ['user', 'user,assistant,tool', 'user,assistant,tool,assistant,user'],
+    )
+    t.assert.strictEqual(toolCalls.length, 1)
+  })
+
+  it('does not fall back to other models after tools have been called', async (t) => {
+    const { fetch, requests } = createAgentFetch({ failures: 1 })
+    const toolCalls = []
+    const options = { ...getAgentOptions(fetch, toolCalls), fallbackModels: ['other-model'], retries: 0 }
+
+    await t.assert.rejects(generateResult('Read the guide', options), { statusCode: 500 })
+    t.assert.deepStrictEqual(
+      requests.map(({ model }) => model),
+      ['test-model', 'test-model'],
+    )
+    t.assert.strictEqual(toolCalls.length, 1)
+  })
+
+  it('fails when the model reaches the step limit', async (t) => {
+    const { fetch } = createAgentFetch()
+    const options = { ...getAgentOptions(fetch, []), maxSteps: 1 }
+
+    await t.assert.rejects(generateResult('Read the guide', options), {
+      message: 'test-model reached the limit of 1 steps without answering',
+    })
+    await t.assert.rejects(Array.fromAsync(streamPrompt('Read the guide', options)), {
+      message: 'test-model reached the limit of 1 steps without answering',
+    })
+  })
+
+  it('streams the answer after the tool calls', async (t) => {
+    const { fetch } = createAgentFetch({ answers: ['Guide'], failures: 1 })
+    const toolCalls = []
+
+    const chunks = await Array.fromAsync(
+      streamPrompt('Read the guide', { ...getAgentOptions(fetch, toolCalls), retries: 1 }),
+    )
+
+    t.assert.deepStrictEqual(chunks, ['Guide'])
+    t.assert.strictEqual(toolCalls.length, 1)
+  })
+})